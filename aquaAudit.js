@@ -0,0 +1,167 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { createHash, randomUUID } = require('crypto');
+
+/**
+ * The audit log records every change the MCP tools make in AquaCloud, as JSON lines appended to
+ * a file. Each line is one tool call: who made it (session and API identity), the tool, the item,
+ * and for every request that changed something the method, path, a hash of the payload and the
+ * AquaCloud response. Payloads themselves are not logged, as they may hold customer data.
+ *
+ * Entries can carry an `undo` description, which aquacloud_undo-last-change uses to revert the
+ * call; the entry of the undo itself references the reverted entry in `undoes`.
+ */
+
+// How much of the file findLastEntry reads at a time, from the end.
+const READ_CHUNK_BYTES = 64 * 1024;
+// Longer responses are cut, so one large response doesn't bloat the log.
+const MAX_RESPONSE_CHARS = 4000;
+
+/**
+ * Hashes a request payload.
+ * @param {any} body - A JSON body, a Buffer (uploads) or nothing.
+ * @returns {string|null} The SHA-256 hex digest, or null if there was no payload.
+ */
+function hashPayload(body) {
+    if (body === null || body === undefined) return null;
+    const data = Buffer.isBuffer(body) ? body : JSON.stringify(body);
+    return createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Works out the item a request refers to: the one in its URL (/api/<Type>/<Id>/...), or the one
+ * it created (POST /api/<Type>).
+ * @param {{method: string, url: string, data: any}} write
+ * @returns {{itemId: number, itemType: string}|null}
+ */
+function getRequestItem({ method, url, data }) {
+    const pathname = new URL(url).pathname;
+    const match = /\/api\/([A-Za-z]+)\/(\d+)(?:\/|$)/.exec(pathname);
+    if (match) return { itemId: Number(match[2]), itemType: match[1] };
+    const created = /\/api\/([A-Za-z]+)$/.exec(pathname);
+    return created && method.toUpperCase() === 'POST' && data && data.Id ? { itemId: data.Id, itemType: created[1] } : null;
+}
+
+/**
+ * Shortens a response for the log.
+ * @param {any} data
+ * @returns {any}
+ */
+function summarizeResponse(data) {
+    if (data === undefined || data === '') return null;
+    if (Buffer.isBuffer(data)) return `[${data.length} bytes]`;
+    const json = JSON.stringify(data);
+    return json.length > MAX_RESPONSE_CHARS ? `${json.slice(0, MAX_RESPONSE_CHARS)}... [${json.length} characters]` : data;
+}
+
+/**
+ * Builds the audit entry of a tool call.
+ * @param {object} call
+ * @param {string|null} call.sessionId
+ * @param {object} call.identity - Who made the call (credential profile or AquaCloud user).
+ * @param {string} call.tool
+ * @param {Array<{method: string, url: string, body: any, status: number|null, data: any, error?: string}>} call.writes - The requests
+ *   that change something (see aquaUtils.callApi); those without a status got no response, and carry the error instead.
+ * @param {string} [call.error] - Set if the tool call failed.
+ * @param {object} [call.undo] - How to revert the call.
+ * @param {string} [call.undoes] - The ID of the entry this call reverted.
+ * @returns {object}
+ */
+function buildEntry({ sessionId, identity, tool, writes, error, undo, undoes }) {
+    const requests = writes.map(write => ({
+        method: write.method,
+        path: new URL(write.url).pathname + new URL(write.url).search,
+        item: getRequestItem(write),
+        payloadHash: hashPayload(write.body),
+        status: write.status,
+        response: summarizeResponse(write.data),
+        ...(write.error ? { error: write.error } : {}),
+    }));
+    return {
+        id: randomUUID(),
+        time: new Date().toISOString(),
+        sessionId,
+        identity,
+        tool,
+        item: requests.map(request => request.item).find(Boolean) || null,
+        requests,
+        ...(error ? { error } : {}),
+        ...(undo ? { undo } : {}),
+        ...(undoes ? { undoes } : {}),
+    };
+}
+
+/**
+ * Creates an audit log that appends to a JSON lines file.
+ * @param {object} options
+ * @param {string} options.file
+ * @returns {{append: function(object): Promise<object>, findLastEntry: function(function(object): boolean): Promise<object|null>}}
+ */
+function createAuditLog({ file }) {
+    // Appends are chained, so lines from concurrent tool calls never interleave.
+    let pending = Promise.resolve();
+
+    /**
+     * Writes an entry to the log.
+     * @param {object} entry - From buildEntry.
+     * @returns {Promise<object>} The entry.
+     */
+    const append = (entry) => {
+        pending = pending.catch(() => {}).then(async () => {
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.appendFile(file, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+        });
+        return pending.then(() => entry);
+    };
+
+    /**
+     * Finds the most recent entry that matches, reading the file backwards.
+     * @param {function(object): boolean} predicate - Called from the newest entry to the oldest; return true to stop.
+     * @returns {Promise<object|null>}
+     */
+    const findLastEntry = async (predicate) => {
+        await pending.catch(() => {});
+        let handle;
+        try {
+            handle = await fs.open(file, 'r');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+        try {
+            let position = (await handle.stat()).size;
+            let rest = Buffer.alloc(0); // The start of a line whose beginning hasn't been read yet
+            while (position > 0) {
+                const length = Math.min(READ_CHUNK_BYTES, position);
+                position -= length;
+                const chunk = Buffer.alloc(length);
+                await handle.read(chunk, 0, length, position);
+                const data = Buffer.concat([chunk, rest]);
+                // Split on bytes, not characters: the chunk may start in the middle of one.
+                const firstLineEnd = position > 0 ? data.indexOf(0x0a) : -1;
+                if (position > 0 && firstLineEnd === -1) {
+                    rest = data;
+                    continue;
+                }
+                rest = data.subarray(0, firstLineEnd + 1);
+                const lines = data.subarray(firstLineEnd + 1).toString('utf8').split('\n');
+                for (const line of lines.reverse()) {
+                    if (!line.trim()) continue;
+                    const entry = JSON.parse(line);
+                    if (predicate(entry)) return entry;
+                }
+            }
+            return null;
+        } finally {
+            await handle.close();
+        }
+    };
+
+    return { append, findLastEntry };
+}
+
+module.exports = {
+    hashPayload,
+    buildEntry,
+    createAuditLog,
+};
@@ -0,0 +1,251 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { createHash } = require('crypto');
+const aquaUtils = require('./aquaUtils.js');
+const aquaCrypto = require('./aquaCrypto.js');
+
+/**
+ * An auth provider gets AquaCloud tokens for one user: it reuses the stored access token, renews it
+ * with the refresh token, and falls back to a password login. Tokens are kept in a token storage,
+ * which implements the async interface
+ *   load(key) -> { token, refresh_token, expires_at } | null, save(key, tokens), clear(key)
+ * where expires_at may be null if unknown (the token is then used until AquaCloud rejects it).
+ */
+
+// Rejected password logins of all providers, keyed by "aquaUrl|username": { passwordHash, count }.
+const failedLogins = new Map();
+
+/**
+ * Creates a token storage that keeps tokens in this process only.
+ * @returns {object} A token storage.
+ */
+function createMemoryTokenStorage() {
+    const tokens = new Map();
+    return {
+        async load(key) {
+            return tokens.get(key) || null;
+        },
+        async save(key, value) {
+            tokens.set(key, value);
+        },
+        async clear(key) {
+            tokens.delete(key);
+        },
+    };
+}
+
+/**
+ * Creates a token storage that keeps tokens encrypted (see aquaCrypto.js) in a JSON file,
+ * so they survive restarts. The file is only readable by the owner.
+ * @param {object} options
+ * @param {string} options.file - The file to store tokens in. Created if missing.
+ * @param {string} [options.masterKey] - Defaults to AQUA_MCP_MASTER_KEY.
+ * @returns {object} A token storage.
+ */
+function createEncryptedFileTokenStorage({ file, masterKey }) {
+    // Writes are chained so concurrent saves don't overwrite each other.
+    let writes = Promise.resolve();
+
+    const readAll = async () => {
+        try {
+            return JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            throw error;
+        }
+    };
+
+    const update = (change) => {
+        writes = writes.catch(() => {}).then(async () => {
+            const entries = await readAll();
+            change(entries);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            const tempFile = `${file}.${process.pid}.tmp`;
+            await fs.writeFile(tempFile, JSON.stringify(entries, null, 2), { mode: 0o600 });
+            await fs.rename(tempFile, file);
+        });
+        return writes;
+    };
+
+    return {
+        async load(key) {
+            const entry = (await readAll())[key];
+            return entry ? JSON.parse(aquaCrypto.decrypt(entry, masterKey)) : null;
+        },
+        async save(key, value) {
+            const entry = aquaCrypto.encrypt(JSON.stringify(value), masterKey);
+            await update(entries => { entries[key] = entry; });
+        },
+        async clear(key) {
+            await update(entries => { delete entries[key]; });
+        },
+    };
+}
+
+/**
+ * Creates a token storage backed by the caller's own functions, e.g. to keep tokens on a user record.
+ * Each function receives the storage key as its first argument.
+ * @param {object} callbacks
+ * @param {function(string): Promise<object|null>} callbacks.load
+ * @param {function(string, object): Promise<void>} callbacks.save
+ * @param {function(string): Promise<void>} [callbacks.clear] - Defaults to doing nothing.
+ * @returns {object} A token storage.
+ */
+function createCallbackTokenStorage({ load, save, clear = async () => {} }) {
+    if (typeof load !== 'function' || typeof save !== 'function') {
+        throw new Error('A callback token storage needs load and save functions.');
+    }
+    return {
+        async load(key) {
+            return (await load(key)) || null;
+        },
+        async save(key, value) {
+            await save(key, value);
+        },
+        async clear(key) {
+            await clear(key);
+        },
+    };
+}
+
+/**
+ * Turns a token response from AquaCloud into the stored form.
+ * @param {object} tokenData
+ * @returns {{token: string, refresh_token: string|null, expires_at: number|null}}
+ */
+function toStoredTokens(tokenData) {
+    return {
+        token: tokenData.access_token,
+        refresh_token: tokenData.refresh_token || null,
+        expires_at: tokenData.expires_in ? Date.now() + (tokenData.expires_in * 1000) - 60000 : null, // 60s buffer
+    };
+}
+
+/**
+ * Creates an auth provider for one AquaCloud user.
+ * @param {object} options
+ * @param {string} options.aquaUrl - The base URL of the AquaCloud instance.
+ * @param {string} options.username
+ * @param {function(): Promise<string|null>} options.getPassword - Called only when a password login is needed.
+ * @param {object} [options.storage] - A token storage. Defaults to an in-memory one.
+ * @param {string} [options.storageKey] - The key to store tokens under. Defaults to "aquaUrl|username".
+ * @param {number} [options.maxLoginFailures=3] - Rejected logins with the same password before giving up,
+ *   so a wrong password doesn't get the account locked. A changed password is tried again.
+ * @param {string} [options.logName] - Who the provider is for in log lines, e.g. a session or credential
+ *   profile. Usernames are kept out of the logs.
+ * @returns {{getAuth: function, withAuth: function, invalidate: function}}
+ */
+function createAuthProvider({ aquaUrl, username, getPassword, storage = createMemoryTokenStorage(), storageKey, maxLoginFailures = 3, logName }) {
+    if (!aquaUrl || !username) {
+        throw new Error('An auth provider needs an AquaCloud URL and a username.');
+    }
+    const key = storageKey || `${aquaUrl}|${username}`;
+    const loginKey = `${aquaUrl}|${username}`;
+    // The renewal in flight, so concurrent calls share one refresh or login.
+    let pendingRenewal = null;
+    const forWhom = logName ? ` for ${logName}` : '';
+
+    const authFailed = (error) => {
+        const detail = error.response ? JSON.stringify(error.response.data) : error.message;
+        const authError = new Error(`Could not authenticate with AquaCloud: ${detail}`);
+        authError.code = 'AQUA_AUTH_FAILED';
+        authError.cause = error;
+        return authError;
+    };
+
+    const loginWithPassword = async () => {
+        const password = await getPassword();
+        if (!password) {
+            throw authFailed(new Error('No refresh token or password available.'));
+        }
+        const passwordHash = createHash('sha256').update(String(password)).digest('hex');
+
+        const failures = failedLogins.get(loginKey);
+        if (failures && failures.passwordHash === passwordHash && failures.count >= maxLoginFailures) {
+            throw authFailed(new Error(`AquaCloud rejected the password ${failures.count} times; not trying again to avoid locking the account. Update the credentials and reconnect.`));
+        }
+
+        console.log(`Performing full AquaCloud login${forWhom}...`);
+        try {
+            const tokens = toStoredTokens(await aquaUtils.login(aquaUrl, username, password));
+            failedLogins.delete(loginKey);
+            await storage.save(key, tokens);
+            return tokens;
+        } catch (error) {
+            const status = error.response && error.response.status;
+            if (status === 400 || status === 401) {
+                const count = failures && failures.passwordHash === passwordHash ? failures.count + 1 : 1;
+                failedLogins.set(loginKey, { passwordHash, count });
+                console.warn(`AquaCloud login rejected${forWhom} (${count}/${maxLoginFailures}).`);
+                await storage.clear(key);
+            }
+            throw authFailed(error);
+        }
+    };
+
+    const renew = async (current) => {
+        if (current && current.refresh_token) {
+            try {
+                console.log(`Refreshing AquaCloud token${forWhom}...`);
+                const tokens = toStoredTokens(await aquaUtils.refreshToken(aquaUrl, current.refresh_token));
+                // Some instances don't rotate refresh tokens; keep the old one then.
+                tokens.refresh_token = tokens.refresh_token || current.refresh_token;
+                await storage.save(key, tokens);
+                return tokens;
+            } catch (error) {
+                console.warn(`AquaCloud token refresh failed${forWhom}. Will attempt to log in again. Error:`, error.message);
+            }
+        }
+        return await loginWithPassword();
+    };
+
+    const provider = {
+        /**
+         * Gets a valid auth object, renewing the token if necessary.
+         * @param {object} [options]
+         * @param {string} [options.rejectedToken] - A token AquaCloud answered with 401. It is renewed even if it hasn't expired yet.
+         * @returns {Promise<{token: string, type: string}>} An authentication object for aquaUtils.
+         * @throws {Error} with code 'AQUA_AUTH_FAILED' if no token can be obtained.
+         */
+        async getAuth({ rejectedToken = null } = {}) {
+            const current = await storage.load(key);
+            // If another call already replaced the rejected token, just use the new one.
+            if (current && current.token && current.token !== rejectedToken && !(current.expires_at && current.expires_at <= Date.now())) {
+                return { token: current.token, type: 'bearer' };
+            }
+
+            if (!pendingRenewal) {
+                pendingRenewal = renew(current).finally(() => { pendingRenewal = null; });
+            }
+            const tokens = await pendingRenewal;
+            return { token: tokens.token, type: 'bearer' };
+        },
+
+        /**
+         * Calls a function with a valid auth object. The auth object can renew its token: if AquaCloud
+         * rejects it (it may have been revoked before it expired), aquaUtils.callApi renews it and
+         * resends only the rejected request; the function itself runs once.
+         * @param {function({token: string, type: string, renew: function(string): Promise<object>}): Promise<any>} apiCall
+         * @returns {Promise<any>} The result of apiCall.
+         */
+        async withAuth(apiCall) {
+            const auth = await provider.getAuth();
+            return await apiCall({ ...auth, renew: (rejectedToken) => provider.getAuth({ rejectedToken }) });
+        },
+
+        /**
+         * Forgets the stored tokens, so the next call logs in again.
+         */
+        async invalidate() {
+            await storage.clear(key);
+        },
+    };
+    return provider;
+}
+
+module.exports = {
+    createAuthProvider,
+    createMemoryTokenStorage,
+    createEncryptedFileTokenStorage,
+    createCallbackTokenStorage,
+};
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+const { parseArgs } = require('util');
+
+const USAGE = `Usage:
+  aquacloud-mcp --stdio [--url <aquaUrl>] [--username <user>] [--password <password>] [--project <id>] [--task <taskId>]
+                [--read-only] [--dry-run] [--policy <json>]
+  aquacloud-mcp --http [--port <port>] [--bind <address>]
+
+stdio options default to the AQUA_URL, AQUA_USERNAME, AQUA_PASSWORD, AQUA_PROJECT_ID and AQUA_TASK_ID
+environment variables. Prefer AQUA_PASSWORD over --password, as flags are visible to other local users.
+--read-only, --dry-run and --policy restrict the tools (see aquaPolicy.js), on top of AQUA_MCP_POLICY.
+HTTP options default to AQUA_MCP_PORT (5005) and AQUA_MCP_BIND_ADDRESS (all interfaces).`;
+
+/**
+ * Runs the CLI.
+ * @param {Array<string>} argv - The command line arguments, without the node and script paths.
+ * @returns {Promise<number>} The exit code, or 0 while a server keeps running.
+ */
+async function main(argv) {
+    let values;
+    try {
+        ({ values } = parseArgs({
+            args: argv,
+            options: {
+                stdio: { type: 'boolean' },
+                http: { type: 'boolean' },
+                port: { type: 'string' },
+                bind: { type: 'string' },
+                url: { type: 'string' },
+                username: { type: 'string' },
+                password: { type: 'string' },
+                project: { type: 'string' },
+                task: { type: 'string' },
+                'read-only': { type: 'boolean' },
+                'dry-run': { type: 'boolean' },
+                policy: { type: 'string' },
+                help: { type: 'boolean', short: 'h' },
+            },
+        }));
+    } catch (error) {
+        console.error(`Error: ${error.message}\n\n${USAGE}`);
+        return 1;
+    }
+
+    if (values.help) {
+        console.error(USAGE);
+        return 0;
+    }
+    if (values.stdio === values.http) {
+        console.error(`Error: Choose exactly one of --stdio and --http.\n\n${USAGE}`);
+        return 1;
+    }
+
+    if (values.stdio) {
+        // stdout carries the protocol, so everything else (including dotenv's banner) goes to stderr.
+        console.log = console.info = console.debug = console.error;
+    }
+    const aquacloud = require('./aquacloud.js');
+    const aquaPolicy = require('./aquaPolicy.js');
+
+    if (values.http) {
+        const port = values.port !== undefined ? parseInt(values.port, 10) : undefined;
+        if (port !== undefined && !(port >= 0 && port < 65536)) {
+            console.error(`Error: Invalid port "${values.port}".`);
+            return 1;
+        }
+        aquacloud.startHttpServer({ port, host: values.bind });
+        return 0;
+    }
+
+    const aquaUrl = values.url || process.env.AQUA_URL;
+    const username = values.username || process.env.AQUA_USERNAME;
+    const password = values.password || process.env.AQUA_PASSWORD;
+    const projectId = values.project || process.env.AQUA_PROJECT_ID;
+    const missing = [
+        !aquaUrl && '--url/AQUA_URL',
+        !username && '--username/AQUA_USERNAME',
+        !password && 'AQUA_PASSWORD',
+        !projectId && '--project/AQUA_PROJECT_ID',
+    ].filter(Boolean);
+    if (missing.length) {
+        console.error(`Error: Missing ${missing.join(', ')}.\n\n${USAGE}`);
+        return 1;
+    }
+
+    let policy;
+    try {
+        policy = aquaPolicy.mergePolicies(
+            aquaPolicy.parsePolicy(values.policy, '--policy'),
+            { readOnly: Boolean(values['read-only']), dryRun: Boolean(values['dry-run']) },
+        );
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        return 1;
+    }
+
+    await aquacloud.startStdioServer({
+        user: {
+            aquacloud_url: aquaUrl.replace(/\/+$/, ''),
+            aquacloud_username: username,
+            aquacloud_password: password,
+        },
+        projectId,
+        taskId: values.task || process.env.AQUA_TASK_ID || null,
+        policy,
+    });
+    return 0;
+}
+
+module.exports = { main };
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        if (code) process.exitCode = code;
+    }).catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
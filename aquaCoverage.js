@@ -0,0 +1,147 @@
+const aquaUtils = require('./aquaUtils.js');
+const aquaTestExecutions = require('./aquaTestExecutions.js');
+
+// Defect statuses that count as resolved unless the caller says otherwise.
+const DEFAULT_CLOSED_STATUSES = ['Closed', 'Done', 'Resolved', 'Fixed', 'Rejected', 'Verified'];
+
+// Gap flags set on report rows.
+const GAPS = {
+    NO_TEST_CASE: 'NO_TEST_CASE',
+    NEVER_EXECUTED: 'NEVER_EXECUTED',
+    FAILING: 'FAILING',
+    OPEN_DEFECTS: 'OPEN_DEFECTS',
+};
+
+/**
+ * Builds a traceability matrix for a list of requirements: the test cases related to each
+ * requirement with their latest result, and the defects related to the requirement or to
+ * one of its test cases.
+ * @param {string} aquaUrl
+ * @param {object} auth
+ * @param {Array<{itemId: number, name: string, status: string|null}>} requirements
+ * @param {object} [options]
+ * @param {Array<string>} [options.closedStatuses=DEFAULT_CLOSED_STATUSES] - Defect statuses that don't count as open.
+ * @returns {Promise<{summary: object, rows: Array<object>}>}
+ */
+async function buildCoverageReport(aquaUrl, auth, requirements, { closedStatuses = DEFAULT_CLOSED_STATUSES } = {}) {
+    const closed = closedStatuses.map(status => status.toLowerCase());
+    // Test cases and defects are often shared between requirements; fetch each one only once.
+    const testCaseCache = new Map();
+    const defectCache = new Map();
+
+    const getDefect = async (defectId) => {
+        if (!defectCache.has(defectId)) {
+            const details = await aquaUtils.getItemDetails(aquaUrl, auth, defectId, 'Defect');
+            const status = aquaUtils.formatFieldValue(aquaUtils.getItemFieldValue(details, 'Status'));
+            defectCache.set(defectId, {
+                id: aquaUtils.formatAquaItemId(defectId, 'Defect'),
+                name: details.Name,
+                status,
+                open: !status || !closed.includes(status.toLowerCase()),
+            });
+        }
+        return defectCache.get(defectId);
+    };
+
+    const getTestCase = async (testCaseId, name) => {
+        if (!testCaseCache.has(testCaseId)) {
+            const executions = (await aquaUtils.getTestExecutions(aquaUrl, auth, testCaseId)).map(aquaTestExecutions.normalizeTestExecution);
+            const { summary } = aquaTestExecutions.summarizeTestExecutions(executions);
+            const relations = await aquaUtils.getItemRelations(aquaUrl, auth, testCaseId, 'TestCase');
+            testCaseCache.set(testCaseId, {
+                id: aquaUtils.formatAquaItemId(testCaseId, 'TestCase'),
+                name,
+                latestResult: summary.lastStatus,
+                executions: summary.total,
+                defectIds: relations.filter(relation => relation.ItemType === 'Defect').map(relation => relation.ItemId),
+            });
+        }
+        return testCaseCache.get(testCaseId);
+    };
+
+    const rows = [];
+    for (const requirement of requirements) {
+        const relations = await aquaUtils.getItemRelations(aquaUrl, auth, requirement.itemId, 'Requirement');
+
+        const testCases = [];
+        for (const relation of relations.filter(r => r.ItemType === 'TestCase')) {
+            testCases.push(await getTestCase(relation.ItemId, relation.Name ?? relation.ItemName ?? null));
+        }
+
+        const defectIds = new Set(relations.filter(r => r.ItemType === 'Defect').map(r => r.ItemId));
+        testCases.forEach(testCase => testCase.defectIds.forEach(id => defectIds.add(id)));
+        const defects = [];
+        for (const defectId of defectIds) {
+            defects.push(await getDefect(defectId));
+        }
+
+        const gaps = [];
+        if (testCases.length === 0) gaps.push(GAPS.NO_TEST_CASE);
+        if (testCases.some(testCase => testCase.executions === 0)) gaps.push(GAPS.NEVER_EXECUTED);
+        if (testCases.some(testCase => testCase.latestResult === 'Failed')) gaps.push(GAPS.FAILING);
+        if (defects.some(defect => defect.open)) gaps.push(GAPS.OPEN_DEFECTS);
+
+        rows.push({
+            requirement: {
+                id: aquaUtils.formatAquaItemId(requirement.itemId, 'Requirement'),
+                name: requirement.name,
+                status: requirement.status,
+            },
+            testCases: testCases.map(({ defectIds: _, ...testCase }) => testCase),
+            defects,
+            gaps,
+        });
+    }
+
+    const count = (predicate) => rows.filter(predicate).length;
+    const summary = {
+        requirements: rows.length,
+        covered: count(row => row.testCases.length > 0),
+        uncovered: count(row => row.gaps.includes(GAPS.NO_TEST_CASE)),
+        withUnexecutedTests: count(row => row.gaps.includes(GAPS.NEVER_EXECUTED)),
+        withFailingTests: count(row => row.gaps.includes(GAPS.FAILING)),
+        withOpenDefects: count(row => row.gaps.includes(GAPS.OPEN_DEFECTS)),
+        testCases: testCaseCache.size,
+        defects: defectCache.size,
+        openDefects: [...defectCache.values()].filter(defect => defect.open).length,
+    };
+
+    return { summary, rows };
+}
+
+/**
+ * Escapes text for use inside a Markdown table cell.
+ * @param {string|null|undefined} text
+ * @returns {string}
+ */
+function escapeCell(text) {
+    return String(text ?? '').replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Renders a coverage report as a Markdown summary plus a table with one row per requirement.
+ * @param {{summary: object, rows: Array<object>}} report - From buildCoverageReport.
+ * @returns {string}
+ */
+function renderCoverageMarkdown({ summary, rows }) {
+    const lines = [
+        `**Requirements:** ${summary.requirements} · **covered:** ${summary.covered} · **without test case:** ${summary.uncovered} · **failing:** ${summary.withFailingTests} · **with open defects:** ${summary.withOpenDefects} · **open defects:** ${summary.openDefects}/${summary.defects}`,
+        '',
+        '| Requirement | Status | Test cases (latest result) | Defects | Gaps |',
+        '| --- | --- | --- | --- | --- |',
+    ];
+    for (const row of rows) {
+        const testCases = row.testCases.map(tc => `${tc.id} (${tc.latestResult || 'not run'})`).join(', ') || '—';
+        const defects = row.defects.map(defect => `${defect.id} (${defect.status || 'unknown'})`).join(', ') || '—';
+        const gaps = row.gaps.length ? `⚠️ ${row.gaps.join(', ')}` : '✅';
+        lines.push(`| ${escapeCell(`${row.requirement.id} ${row.requirement.name}`)} | ${escapeCell(row.requirement.status)} | ${escapeCell(testCases)} | ${escapeCell(defects)} | ${gaps} |`);
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    DEFAULT_CLOSED_STATUSES,
+    GAPS,
+    buildCoverageReport,
+    renderCoverageMarkdown,
+};
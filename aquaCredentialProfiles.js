@@ -0,0 +1,262 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { parseArgs } = require('util');
+const aquaCrypto = require('./aquaCrypto.js');
+const aquaPolicy = require('./aquaPolicy.js');
+
+/**
+ * Credential profiles let clients authenticate with an API key instead of sending AquaCloud
+ * credentials. Each profile holds the AquaCloud URL, username, the encrypted secret and a
+ * default project, plus the hashes of the API keys that map to it and an optional tool policy
+ * (see aquaPolicy.js) for the sessions of those keys. Profiles are kept in a
+ * JSON file that only the operator edits, through the CLI at the bottom of this file.
+ */
+
+/**
+ * Reads all profiles.
+ * @param {string} file - The profiles file.
+ * @returns {Promise<Array<object>>} An empty list if the file doesn't exist yet.
+ */
+async function loadProfiles(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8')).profiles || [];
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+/**
+ * Writes all profiles. The file holds encrypted secrets, so only the owner can read it.
+ * @param {string} file
+ * @param {Array<object>} profiles
+ */
+async function saveProfiles(file, profiles) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify({ profiles }, null, 2), { mode: 0o600 });
+}
+
+/**
+ * Finds the profile an API key belongs to.
+ * @param {string} file
+ * @param {string} apiKey
+ * @returns {Promise<object|null>}
+ */
+async function findProfileByApiKey(file, apiKey) {
+    if (!apiKey) return null;
+    const hash = aquaCrypto.hashApiKey(apiKey);
+    const profiles = await loadProfiles(file);
+    return profiles.find(profile => (profile.apiKeyHashes || []).includes(hash)) || null;
+}
+
+/**
+ * Finds a profile by name.
+ * @param {string} file
+ * @param {string} name
+ * @returns {Promise<object|null>}
+ */
+async function findProfileByName(file, name) {
+    const profiles = await loadProfiles(file);
+    return profiles.find(profile => profile.name === name) || null;
+}
+
+/**
+ * Decrypts a profile's AquaCloud password.
+ * @param {object} profile
+ * @param {string} [masterKey] - Defaults to AQUA_MCP_MASTER_KEY.
+ * @returns {string}
+ */
+function getProfileSecret(profile, masterKey) {
+    return aquaCrypto.decrypt(profile.encryptedSecret, masterKey);
+}
+
+/**
+ * Creates a profile, or updates the connection details of an existing one, and issues an API key for it.
+ * @param {string} file
+ * @param {object} options
+ * @param {string} options.name
+ * @param {string} options.aquaUrl
+ * @param {string} options.username
+ * @param {string} options.secret - The AquaCloud password; stored encrypted.
+ * @param {string} [options.defaultProjectId]
+ * @param {string} [options.masterKey] - Defaults to AQUA_MCP_MASTER_KEY.
+ * @returns {Promise<{profile: object, apiKey: string}>} The new API key is only ever returned here.
+ */
+async function registerProfile(file, { name, aquaUrl, username, secret, defaultProjectId, masterKey }) {
+    if (!name || !aquaUrl || !username || !secret) {
+        throw new Error('A profile needs a name, an AquaCloud URL, a username and a secret.');
+    }
+    const profiles = await loadProfiles(file);
+    let profile = profiles.find(p => p.name === name);
+    if (!profile) {
+        profile = { name, apiKeyHashes: [], createdAt: new Date().toISOString() };
+        profiles.push(profile);
+    }
+    Object.assign(profile, {
+        aquaUrl: aquaUrl.replace(/\/+$/, ''),
+        username,
+        encryptedSecret: aquaCrypto.encrypt(secret, masterKey),
+        defaultProjectId: defaultProjectId ?? profile.defaultProjectId ?? null,
+        updatedAt: new Date().toISOString(),
+    });
+
+    const apiKey = aquaCrypto.generateApiKey();
+    profile.apiKeyHashes.push(aquaCrypto.hashApiKey(apiKey));
+    await saveProfiles(file, profiles);
+    return { profile, apiKey };
+}
+
+/**
+ * Issues an additional API key for an existing profile.
+ * @param {string} file
+ * @param {string} name
+ * @returns {Promise<string>} The new API key.
+ */
+async function issueApiKey(file, name) {
+    const profiles = await loadProfiles(file);
+    const profile = profiles.find(p => p.name === name);
+    if (!profile) throw new Error(`Profile "${name}" does not exist.`);
+    const apiKey = aquaCrypto.generateApiKey();
+    profile.apiKeyHashes.push(aquaCrypto.hashApiKey(apiKey));
+    await saveProfiles(file, profiles);
+    return apiKey;
+}
+
+/**
+ * Revokes all API keys of a profile, or a single one.
+ * @param {string} file
+ * @param {string} name
+ * @param {string} [apiKey] - The key to revoke. If omitted, every key of the profile is revoked.
+ * @returns {Promise<number>} The number of revoked keys.
+ */
+async function revokeApiKeys(file, name, apiKey) {
+    const profiles = await loadProfiles(file);
+    const profile = profiles.find(p => p.name === name);
+    if (!profile) throw new Error(`Profile "${name}" does not exist.`);
+    const before = profile.apiKeyHashes.length;
+    profile.apiKeyHashes = apiKey ? profile.apiKeyHashes.filter(hash => hash !== aquaCrypto.hashApiKey(apiKey)) : [];
+    await saveProfiles(file, profiles);
+    return before - profile.apiKeyHashes.length;
+}
+
+/**
+ * Sets or clears the tool policy of a profile. It applies to sessions created afterwards.
+ * @param {string} file
+ * @param {string} name
+ * @param {object|null} policy - The policy; null removes it.
+ * @returns {Promise<object|null>} The normalized policy.
+ * @throws {Error} with code 'AQUA_POLICY_INVALID' if the policy is invalid.
+ */
+async function setProfilePolicy(file, name, policy) {
+    const profiles = await loadProfiles(file);
+    const profile = profiles.find(p => p.name === name);
+    if (!profile) throw new Error(`Profile "${name}" does not exist.`);
+    if (policy) {
+        profile.policy = aquaPolicy.normalizePolicy(policy);
+    } else {
+        delete profile.policy;
+    }
+    profile.updatedAt = new Date().toISOString();
+    await saveProfiles(file, profiles);
+    return profile.policy || null;
+}
+
+/**
+ * Deletes a profile and with it all of its API keys.
+ * @param {string} file
+ * @param {string} name
+ * @returns {Promise<boolean>} Whether the profile existed.
+ */
+async function removeProfile(file, name) {
+    const profiles = await loadProfiles(file);
+    const remaining = profiles.filter(p => p.name !== name);
+    await saveProfiles(file, remaining);
+    return remaining.length !== profiles.length;
+}
+
+module.exports = {
+    loadProfiles,
+    findProfileByApiKey,
+    findProfileByName,
+    getProfileSecret,
+    registerProfile,
+    issueApiKey,
+    revokeApiKeys,
+    setProfilePolicy,
+    removeProfile,
+};
+
+// --- Operator CLI ---
+// Usage:
+//   node aquaCredentialProfiles.js add --name <name> --url <aquaUrl> --username <user> [--project <id>]
+//       (reads the password from AQUA_PROFILE_SECRET or from stdin)
+//   node aquaCredentialProfiles.js issue-key --name <name>
+//   node aquaCredentialProfiles.js revoke-keys --name <name>
+//   node aquaCredentialProfiles.js set-policy --name <name> --policy '<json>'   (omit --policy to clear it)
+//   node aquaCredentialProfiles.js remove --name <name>
+//   node aquaCredentialProfiles.js list
+if (require.main === module) {
+    require('dotenv').config();
+    const file = process.env.AQUA_MCP_PROFILES_FILE || path.join(__dirname, 'profiles.json');
+
+    const readSecret = async () => {
+        if (process.env.AQUA_PROFILE_SECRET) return process.env.AQUA_PROFILE_SECRET;
+        if (process.stdin.isTTY) process.stderr.write('AquaCloud password (end with Ctrl-D): ');
+        const chunks = [];
+        for await (const chunk of process.stdin) chunks.push(chunk);
+        return Buffer.concat(chunks).toString('utf8').trim();
+    };
+
+    (async () => {
+        const { positionals: [command], values } = parseArgs({
+            allowPositionals: true,
+            options: {
+                name: { type: 'string' },
+                url: { type: 'string' },
+                username: { type: 'string' },
+                project: { type: 'string' },
+                policy: { type: 'string' },
+            },
+        });
+
+        switch (command) {
+            case 'add': {
+                const { profile, apiKey } = await registerProfile(file, {
+                    name: values.name,
+                    aquaUrl: values.url,
+                    username: values.username,
+                    defaultProjectId: values.project,
+                    secret: await readSecret(),
+                });
+                console.log(`Profile "${profile.name}" saved to ${file}.`);
+                console.log(`API key (shown only once): ${apiKey}`);
+                break;
+            }
+            case 'issue-key':
+                console.log(`API key (shown only once): ${await issueApiKey(file, values.name)}`);
+                break;
+            case 'revoke-keys':
+                console.log(`Revoked ${await revokeApiKeys(file, values.name)} API key(s) of "${values.name}".`);
+                break;
+            case 'set-policy': {
+                const policy = await setProfilePolicy(file, values.name, aquaPolicy.parsePolicy(values.policy, '--policy'));
+                console.log(policy ? `Policy of "${values.name}": ${JSON.stringify(policy)}` : `Removed the policy of "${values.name}".`);
+                break;
+            }
+            case 'remove':
+                console.log(await removeProfile(file, values.name) ? `Removed profile "${values.name}".` : `Profile "${values.name}" does not exist.`);
+                break;
+            case 'list':
+                for (const profile of await loadProfiles(file)) {
+                    console.log(`${profile.name}\t${profile.username}@${profile.aquaUrl}\tproject ${profile.defaultProjectId ?? '-'}\t${profile.apiKeyHashes.length} key(s)${profile.policy ? `\tpolicy ${JSON.stringify(profile.policy)}` : ''}`);
+                }
+                break;
+            default:
+                console.error('Usage: node aquaCredentialProfiles.js <add|issue-key|revoke-keys|set-policy|remove|list> [--name <name>] [--url <url>] [--username <user>] [--project <id>] [--policy <json>]');
+                process.exitCode = 1;
+        }
+    })().catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
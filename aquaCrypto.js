@@ -0,0 +1,79 @@
+const { createCipheriv, createDecipheriv, createHash, randomBytes, scryptSync } = require('crypto');
+
+const VERSION = 'v1';
+
+/**
+ * Turns the master key into a 32-byte AES key. A base64-encoded 32-byte key is used as is;
+ * anything else is treated as a passphrase.
+ * @param {string} masterKey
+ * @returns {Buffer}
+ * @throws {Error} if no master key is configured.
+ */
+function deriveKey(masterKey) {
+    if (!masterKey) {
+        throw new Error('No master key configured. Set AQUA_MCP_MASTER_KEY (e.g., to the output of `openssl rand -base64 32`).');
+    }
+    const decoded = Buffer.from(masterKey, 'base64');
+    if (decoded.length === 32 && decoded.toString('base64') === masterKey) {
+        return decoded;
+    }
+    return scryptSync(masterKey, 'aquacloud-mcp', 32);
+}
+
+/**
+ * Encrypts a string with AES-256-GCM.
+ * @param {string} plaintext
+ * @param {string} [masterKey=process.env.AQUA_MCP_MASTER_KEY]
+ * @returns {string} "v1.<iv>.<tag>.<ciphertext>", base64url-encoded parts.
+ */
+function encrypt(plaintext, masterKey = process.env.AQUA_MCP_MASTER_KEY) {
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', deriveKey(masterKey), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    return [VERSION, iv, cipher.getAuthTag(), ciphertext].map(part => typeof part === 'string' ? part : part.toString('base64url')).join('.');
+}
+
+/**
+ * Decrypts a string produced by encrypt.
+ * @param {string} payload
+ * @param {string} [masterKey=process.env.AQUA_MCP_MASTER_KEY]
+ * @returns {string}
+ * @throws {Error} if the payload is malformed, was tampered with, or the key is wrong.
+ */
+function decrypt(payload, masterKey = process.env.AQUA_MCP_MASTER_KEY) {
+    const [version, iv, tag, ciphertext] = String(payload).split('.');
+    if (version !== VERSION || !iv || !tag || ciphertext === undefined) {
+        throw new Error('Cannot decrypt: unrecognized format.');
+    }
+    const decipher = createDecipheriv('aes-256-gcm', deriveKey(masterKey), Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    try {
+        return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+    } catch (error) {
+        throw new Error('Cannot decrypt: wrong master key or corrupted data.');
+    }
+}
+
+/**
+ * Hashes an API key for storage and lookup. API keys are random, so a plain SHA-256 is enough.
+ * @param {string} apiKey
+ * @returns {string} The hex digest.
+ */
+function hashApiKey(apiKey) {
+    return createHash('sha256').update(String(apiKey)).digest('hex');
+}
+
+/**
+ * Generates a new random API key.
+ * @returns {string}
+ */
+function generateApiKey() {
+    return `aqmcp_${randomBytes(32).toString('base64url')}`;
+}
+
+module.exports = {
+    encrypt,
+    decrypt,
+    hashApiKey,
+    generateApiKey,
+};
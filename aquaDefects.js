@@ -0,0 +1,71 @@
+const aquaRichText = require('./aquaRichText.js');
+
+/**
+ * Defects for failed test runs (aquacloud_report-defect): the reproduction steps are the steps of
+ * the TestCase up to the failing one, followed by that step's expected result and what actually
+ * happened. Step texts are Aqua HTML (see aquaTestSteps.normalizeTestSteps).
+ */
+
+// Inputs of aquacloud_report-defect that set a field, and the field they set.
+const DEFECT_FIELD_INPUTS = {
+    severity: 'Severity',
+    priority: 'Priority',
+    assignee: 'AssignedTo',
+};
+
+/**
+ * Builds the title of a defect when none is given.
+ * @param {{id: string, name: string}} testCase - The prefixed ID and the name of the TestCase.
+ * @param {object} step - The failing step.
+ * @param {number} stepIndex - Its 1-based position.
+ * @returns {string}
+ */
+function getDefaultDefectTitle(testCase, step, stepIndex) {
+    return `${testCase.name}: step ${stepIndex}${step.name ? ` (${step.name})` : ''} fails`;
+}
+
+/**
+ * Builds the description of a defect.
+ * @param {object} report
+ * @param {{id: string, name: string}} report.testCase - The prefixed ID and the name of the TestCase.
+ * @param {Array<object>} report.steps - All steps of the TestCase, from aquaTestSteps.normalizeTestSteps.
+ * @param {number} report.failedStepIndex - The 1-based position of the failing step.
+ * @param {string} report.actualResult - HTML.
+ * @param {string|null} [report.notes] - HTML.
+ * @returns {string} HTML.
+ */
+function buildDefectDescription({ testCase, steps, failedStepIndex, actualResult, notes = null }) {
+    const escape = aquaRichText.escapeHtml;
+    const failedStep = steps[failedStepIndex - 1];
+    const reproduction = steps.slice(0, failedStepIndex).map((step, index) => {
+        const action = step.instructions || `<p>${escape(step.name)}</p>`;
+        return `<li>${action}${index + 1 === failedStepIndex ? '<p><strong>This step fails.</strong></p>' : ''}</li>`;
+    });
+    return [
+        `<p>Found with TestCase ${escape(testCase.id)} "${escape(testCase.name)}": step ${failedStepIndex} of ${steps.length} fails.</p>`,
+        '<h3>Steps to reproduce</h3>',
+        `<ol>${reproduction.join('')}</ol>`,
+        '<h3>Expected result</h3>',
+        failedStep.expectedResult || '<p>(The test step gives none.)</p>',
+        '<h3>Actual result</h3>',
+        actualResult,
+        ...(notes ? ['<h3>Additional information</h3>', notes] : []),
+    ].join('');
+}
+
+/**
+ * Builds the comment that points a TestCase to the defect reported for it.
+ * @param {{id: string, title: string}} defect - The prefixed ID and the title of the Defect.
+ * @param {number} failedStepIndex
+ * @returns {string} HTML.
+ */
+function buildTestCaseComment(defect, failedStepIndex) {
+    return `<p>Step ${failedStepIndex} failed and was reported as ${aquaRichText.escapeHtml(defect.id)}: ${aquaRichText.escapeHtml(defect.title)}</p>`;
+}
+
+module.exports = {
+    DEFECT_FIELD_INPUTS,
+    getDefaultDefectTitle,
+    buildDefectDescription,
+    buildTestCaseComment,
+};
@@ -0,0 +1,165 @@
+// Fields every item has, even if the project's field metadata doesn't list them.
+const BUILT_IN_FIELDS = [
+    { id: 'Name', name: 'Name', kind: 'text', readOnly: false, required: true },
+];
+
+// Fields that are maintained by AquaCloud and can't be written.
+const READ_ONLY_FIELDS = ['Id', 'CreatedBy', 'CreatedDateTime', 'LastModifiedBy', 'LastModifiedDateTime', 'Version'];
+
+/**
+ * Maps an AquaCloud field type name onto the kinds of value the update tool understands.
+ * @param {object} definition - A raw field definition.
+ * @returns {'text'|'number'|'boolean'|'date'|'list'|'multiList'|'user'|'multiUser'}
+ */
+function getFieldKind(definition) {
+    const type = String(definition.FieldType ?? definition.DataType ?? definition.Type ?? '').toLowerCase();
+    // Multi-value first: a multi-user field takes several users, not one.
+    if (type.includes('multi')) return type.includes('user') ? 'multiUser' : 'multiList';
+    if (type.includes('user')) return 'user';
+    if (type.includes('list') || type.includes('dictionary') || type.includes('select') || type.includes('enum')) return 'list';
+    if (type.includes('bool') || type.includes('checkbox')) return 'boolean';
+    if (type.includes('date') || type.includes('time')) return 'date';
+    if (type.includes('int') || type.includes('decimal') || type.includes('number') || type.includes('float') || type.includes('double')) return 'number';
+    if (Array.isArray(definition.Entries) && definition.Entries.length > 0) return 'list';
+    return 'text';
+}
+
+/**
+ * Converts raw field definitions (aquaUtils.getFieldDefinitions) into a compact shape and adds
+ * the built-in fields.
+ * @param {Array<object>} definitions
+ * @returns {Array<{id: string, name: string, kind: string, readOnly: boolean, required: boolean, entries?: Array<{id: number, name: string}>}>}
+ */
+function normalizeFieldDefinitions(definitions) {
+    const fields = definitions.map(definition => {
+        const id = definition.FieldId ?? definition.Id;
+        const field = {
+            id,
+            name: definition.Name ?? definition.Label ?? id,
+            kind: getFieldKind(definition),
+            readOnly: Boolean(definition.ReadOnly ?? definition.IsReadOnly) || READ_ONLY_FIELDS.includes(id),
+            required: Boolean(definition.Required ?? definition.IsRequired),
+        };
+        if (Array.isArray(definition.Entries)) {
+            field.entries = definition.Entries.map(entry => ({ id: entry.Id, name: entry.Name }));
+        }
+        return field;
+    });
+    for (const builtIn of BUILT_IN_FIELDS) {
+        if (!fields.some(field => field.id === builtIn.id)) fields.push({ ...builtIn });
+    }
+    return fields;
+}
+
+/**
+ * Finds a field by its ID or display name (case-insensitive).
+ * @param {Array<object>} fields - From normalizeFieldDefinitions.
+ * @param {string} nameOrId
+ * @returns {object|undefined}
+ */
+function findField(fields, nameOrId) {
+    const wanted = nameOrId.trim().toLowerCase();
+    return fields.find(field => String(field.id).toLowerCase() === wanted)
+        || fields.find(field => String(field.name).toLowerCase() === wanted);
+}
+
+/**
+ * Whether a field's values are IDs of entries that must be looked up.
+ * @param {object} field - From normalizeFieldDefinitions.
+ * @returns {boolean}
+ */
+function needsEntries(field) {
+    return ['list', 'multiList', 'user', 'multiUser'].includes(field.kind);
+}
+
+/**
+ * Resolves a single human value (an option label, a user's display name, or an ID) to an entry.
+ * @param {object} field
+ * @param {string|number} value
+ * @returns {{id: number, name: string}}
+ * @throws {Error} if no entry matches.
+ */
+function resolveEntry(field, value) {
+    const entries = field.entries || [];
+    const wanted = String(value).trim().toLowerCase();
+    const entry = entries.find(e => String(e.name).trim().toLowerCase() === wanted)
+        || entries.find(e => String(e.id) === wanted)
+        // User entries are often shown as "Last, First (login)"; also accept just the login.
+        || (field.kind === 'user' || field.kind === 'multiUser' ? entries.find(e => String(e.name).toLowerCase().endsWith(`(${wanted})`)) : undefined);
+    if (!entry) {
+        const validNames = entries.map(e => e.name).join(', ');
+        throw new Error(`Invalid value "${value}" for field "${field.name}". Valid values are: ${validNames || '(none)'}.`);
+    }
+    return entry;
+}
+
+/**
+ * Checks a human value against a field definition and converts it into the value sent to AquaCloud.
+ * @param {object} field - From normalizeFieldDefinitions (with entries loaded for list fields).
+ * @param {any} value - The value given by the caller. null clears the field.
+ * @returns {{value: any, display: string|null}} The API value and a readable form of it.
+ * @throws {Error} if the value doesn't fit the field.
+ */
+function coerceFieldValue(field, value) {
+    if (field.readOnly) {
+        throw new Error(`Field "${field.name}" is read-only.`);
+    }
+    if (value === null) {
+        if (field.required) throw new Error(`Field "${field.name}" is required and can't be cleared.`);
+        return { value: null, display: null };
+    }
+
+    switch (field.kind) {
+        case 'number': {
+            const number = typeof value === 'number' ? value : Number(String(value).trim());
+            if (String(value).trim() === '' || !Number.isFinite(number)) {
+                throw new Error(`Field "${field.name}" expects a number, got "${value}".`);
+            }
+            return { value: number, display: String(number) };
+        }
+        case 'boolean': {
+            const text = String(value).trim().toLowerCase();
+            if (!['true', 'false', 'yes', 'no'].includes(text)) {
+                throw new Error(`Field "${field.name}" expects true or false, got "${value}".`);
+            }
+            const bool = text === 'true' || text === 'yes';
+            return { value: bool, display: String(bool) };
+        }
+        case 'date': {
+            const date = new Date(value);
+            if (Number.isNaN(date.getTime())) {
+                throw new Error(`Field "${field.name}" expects a date (e.g., '2024-05-31'), got "${value}".`);
+            }
+            return { value: date.toISOString(), display: date.toISOString() };
+        }
+        case 'list':
+        case 'user': {
+            if (Array.isArray(value)) {
+                throw new Error(`Field "${field.name}" takes a single value.`);
+            }
+            const entry = resolveEntry(field, value);
+            return { value: entry.id, display: entry.name };
+        }
+        case 'multiList':
+        case 'multiUser': {
+            const entries = (Array.isArray(value) ? value : [value]).map(v => resolveEntry(field, v));
+            return { value: entries.map(entry => entry.id), display: entries.map(entry => entry.name).join(', ') };
+        }
+        default: {
+            if (typeof value !== 'string') {
+                throw new Error(`Field "${field.name}" expects text, got ${JSON.stringify(value)}.`);
+            }
+            if (field.required && value.trim() === '') {
+                throw new Error(`Field "${field.name}" is required and can't be empty.`);
+            }
+            return { value, display: value };
+        }
+    }
+}
+
+module.exports = {
+    normalizeFieldDefinitions,
+    findField,
+    needsEntries,
+    coerceFieldValue,
+};
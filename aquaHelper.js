@@ -1,105 +1,104 @@
-const { encrypt, decrypt } = require('../crypto.js');
 const aquaApi = require('./aquaUtils.js');
+const aquaCrypto = require('./aquaCrypto.js');
+const aquaAuthProvider = require('./aquaAuthProvider.js');
+
+// Auth providers of users, keyed by the user object, so that concurrent requests of a user share a
+// token renewal. Each is kept with the AquaCloud URL and username it was created for.
+const userAuthProviders = new WeakMap();
+
+/**
+ * Gets the auth provider of a user, creating it on first use or when the user's AquaCloud URL or
+ * username changed.
+ * @param {object} user - The user (req.user).
+ * @param {object} crypto
+ * @param {function(string): string} crypto.encrypt - Encrypts a value stored on the user.
+ * @param {function(string): string} crypto.decrypt - Decrypts a value stored on the user.
+ * @returns {object} An auth provider (see aquaAuthProvider.js).
+ */
+function getUserAuthProvider(user, { encrypt, decrypt }) {
+    const cached = userAuthProviders.get(user);
+    if (cached && cached.aquaUrl === user.aquacloud_url && cached.username === user.aquacloud_username) {
+        return cached.provider;
+    }
+    const provider = aquaAuthProvider.createAuthProvider({
+        aquaUrl: user.aquacloud_url,
+        username: user.aquacloud_username,
+        getPassword: async () => user.aquacloud_password ? decrypt(user.aquacloud_password) : null,
+        storage: aquaAuthProvider.createCallbackTokenStorage({
+            load: async () => user.aquacloud_access_token || user.aquacloud_refresh_token ? {
+                token: user.aquacloud_access_token ? decrypt(user.aquacloud_access_token) : null,
+                refresh_token: user.aquacloud_refresh_token ? decrypt(user.aquacloud_refresh_token) : null,
+                expires_at: null, // Not stored; the token is used until AquaCloud rejects it.
+            } : null,
+            save: async (key, tokens) => {
+                user.aquacloud_access_token = encrypt(tokens.token);
+                if (tokens.refresh_token) {
+                    user.aquacloud_refresh_token = encrypt(tokens.refresh_token);
+                }
+                await user.save();
+            },
+            clear: async () => {
+                user.aquacloud_access_token = undefined;
+                user.aquacloud_refresh_token = undefined;
+                await user.save();
+            },
+        }),
+    });
+    userAuthProviders.set(user, { provider, aquaUrl: user.aquacloud_url, username: user.aquacloud_username });
+    return provider;
+}
 
 /**
- * A wrapper for making authenticated calls to the AquaCloud API.
- * It handles token management (login, refresh) for API calls.
+ * A wrapper for making authenticated calls to the AquaCloud API from an Express app.
+ * It handles token management (login, refresh) for API calls, keeping the tokens encrypted on
+ * req.user (aquacloud_access_token, aquacloud_refresh_token) and saving them with req.user.save().
  * @param {object} req - The Express request object.
  * @param {object} res - The Express response object.
  * @param {function} apiCall - The function to call with an auth object. It will receive { token, type }.
  * @param {object} [options={}] - Options object.
  * @param {boolean} [options.silent=false] - If true, suppresses sending an error response on failure.
+ * @param {function(string): string} [options.encrypt] - Encrypts a value stored on the user. Defaults to aquaCrypto.encrypt (AQUA_MCP_MASTER_KEY).
+ * @param {function(string): string} [options.decrypt] - Decrypts a value stored on the user, including aquacloud_password. Defaults to aquaCrypto.decrypt.
  * @returns {Promise<any|null>} - The result of the apiCall, or null on failure.
  */
-async function withAquaAuth(req, res, apiCall, { silent = false } = {}) {
+async function withAquaAuth(req, res, apiCall, { silent = false, encrypt = aquaCrypto.encrypt, decrypt = aquaCrypto.decrypt } = {}) {
     const user = req.user;
     if (!user.aquacloud_url || !user.aquacloud_username) {
-        console.error(`Aqua API call failed: Missing AquaCloud URL or Username for user ${user.email}.`);
+        console.error('Aqua API call failed: Missing AquaCloud URL or Username for this user.');
         if (!silent) {
             res.status(401).json({ error: 'This action requires AquaCloud to be configured.' });
         }
         return null;
     }
 
-    const aquaUrl = user.aquacloud_url;
-    let accessToken = user.aquacloud_access_token ? decrypt(user.aquacloud_access_token) : null;
-
-    // Helper to perform the actual API call
-    const performApiCall = async (token) => {
-        return await apiCall({ token: token, type: 'bearer' });
-    };
+    const provider = getUserAuthProvider(user, { encrypt, decrypt });
 
-    // If we have an access token, try to use it first.
-    if (accessToken) {
-        try {
-            return await performApiCall(accessToken);
-        } catch (err) {
-            // If it's not a 401, it's an unrelated API error.
-            if (!err.response || err.response.status !== 401) {
-                const errorMessage = err.response ? JSON.stringify(err.response.data) : err.message;
-                console.error('Aqua API call failed:', errorMessage);
-                if (!silent) {
-                    res.status(err.response ? err.response.status : 500).json({ error: `An error occurred with AquaCloud: ${err.message}` });
-                }
-                return null;
-            }
-            // If it IS a 401, the token is expired. Proceed to refresh.
-            console.log('AquaCloud access token expired or invalid. Refreshing...');
-        }
-    }
-
-    // --- Token Refresh or Initial Login Logic ---
-    // 1. Attempt to refresh the token.
-    const refreshTokenString = user.aquacloud_refresh_token ? decrypt(user.aquacloud_refresh_token) : null;
-    if (refreshTokenString) {
-        try {
-            console.log('AquaCloud access token invalid. Attempting refresh with refresh token.');
-            const newTokens = await aquaApi.refreshToken(aquaUrl, refreshTokenString);
-            user.aquacloud_access_token = encrypt(newTokens.access_token);
-            if (newTokens.refresh_token) {
-                user.aquacloud_refresh_token = encrypt(newTokens.refresh_token);
-            }
-            await user.save();
-            console.log('AquaCloud token refreshed successfully. Retrying API call.');
-            return await performApiCall(newTokens.access_token);
-        } catch (refreshErr) {
-            console.error('AquaCloud refresh token failed, falling back to password login. Error:', refreshErr.response ? JSON.stringify(refreshErr.response.data) : refreshErr.message);
-            // Don't return, just fall through to password login.
-        }
-    }
-
-    // 2. If refresh fails or no refresh token, try to login with password.
-    if (user.aquacloud_password) {
-        try {
-            console.log('Attempting login with username/password.');
-            const password = decrypt(user.aquacloud_password);
-            const newTokens = await aquaApi.login(aquaUrl, user.aquacloud_username, password);
-            user.aquacloud_access_token = encrypt(newTokens.access_token);
-            if (newTokens.refresh_token) {
-                user.aquacloud_refresh_token = encrypt(newTokens.refresh_token);
-            }
-            await user.save();
-            console.log('AquaCloud login successful. Retrying API call.');
-            return await performApiCall(newTokens.access_token);
-        } catch (loginErr) {
-            console.error('Failed to acquire AquaCloud token via login:', loginErr.response ? JSON.stringify(loginErr.response.data) : loginErr.message);
-            // If login fails, this is our last resort. Clean up and fail.
-            user.aquacloud_access_token = undefined;
-            user.aquacloud_refresh_token = undefined;
-            await user.save();
+    try {
+        return await provider.withAuth(apiCall);
+    } catch (err) {
+        if (err.code === 'AQUA_AUTH_FAILED') {
+            console.error('Failed to acquire AquaCloud token:', err.message);
             if (!silent) {
                 res.status(401).json({ error: 'Failed to authenticate with AquaCloud. Please check your credentials.' });
             }
             return null;
         }
+        const errorMessage = err.response ? JSON.stringify(err.response.data) : err.message;
+        console.error('Aqua API call failed:', errorMessage);
+        if (!silent) {
+            res.status(err.response ? err.response.status : 500).json({ error: `An error occurred with AquaCloud: ${err.message}` });
+        }
+        return null;
     }
-
-    // 3. If no other options, fail.
-    console.error(`Aqua API call failed: No valid refresh token or password available for user ${user.email}.`);
-    if (!silent) {
-        res.status(401).json({ error: 'AquaCloud authentication failed. Please re-configure your credentials.' });
-    }
-    return null;
 }
 
-module.exports = { withAquaAuth };
\ No newline at end of file
+module.exports = {
+    withAquaAuth,
+    createAuthProvider: aquaAuthProvider.createAuthProvider,
+    createMemoryTokenStorage: aquaAuthProvider.createMemoryTokenStorage,
+    createEncryptedFileTokenStorage: aquaAuthProvider.createEncryptedFileTokenStorage,
+    createCallbackTokenStorage: aquaAuthProvider.createCallbackTokenStorage,
+    encrypt: aquaCrypto.encrypt,
+    decrypt: aquaCrypto.decrypt,
+    aquaApi,
+};
@@ -0,0 +1,87 @@
+const { createHash } = require('crypto');
+
+/**
+ * Idempotency records remember what a call with an idempotency key created, so a retried call
+ * can return the existing result instead of creating it again. Records live in a session store
+ * driver (see aquaSessionStore.js), so instances that share sessions also share them, and expire
+ * after a while.
+ *
+ * A call reserves its key before it creates anything: the pending record makes concurrent calls
+ * with the same key wait for the result instead of creating it a second time.
+ */
+
+/**
+ * Creates an idempotency store.
+ * @param {object} options
+ * @param {object} options.driver - A driver from aquaSessionStore (memory or file).
+ * @param {number} options.ttlMs - How long a key is remembered.
+ * @param {number} [options.pendingTtlMs=300000] - How long a reservation holds without a result, in case its call never finished.
+ * @returns {{get: function(string, string): Promise<any>, reserve: function(string, string): Promise<object>, save: function(string, string, any): Promise<void>, delete: function(string, string): Promise<void>}}
+ */
+function createIdempotencyStore({ driver, ttlMs, pendingTtlMs = 5 * 60 * 1000 }) {
+    // Keys are chosen by clients; hash them so they are safe as file names and don't leak.
+    const recordId = (scope, key) => createHash('sha256').update(`${scope}\n${key}`).digest('hex');
+    const isExpired = (record) => Date.now() - record.createdAt > (record.pending ? pendingTtlMs : ttlMs);
+
+    return {
+        /**
+         * Gets what was stored for a key.
+         * @param {string} scope - Separates the keys of different users, projects and operations.
+         * @param {string} key
+         * @returns {Promise<any>} The stored value, or null if the key is unknown, expired or only reserved.
+         */
+        async get(scope, key) {
+            const id = recordId(scope, key);
+            const record = await driver.get(id);
+            if (!record) return null;
+            if (isExpired(record)) {
+                await driver.delete(id);
+                return null;
+            }
+            return record.pending ? null : record.value;
+        },
+        /**
+         * Reserves a key for a call that is about to create its result; save or delete it afterwards.
+         * @param {string} scope
+         * @param {string} key
+         * @returns {Promise<{reserved: true} | {reserved: false, pending: boolean, value: any}>} Whether this call got
+         *   the key; if not, whether another call is still working on it, or the value stored for it.
+         */
+        async reserve(scope, key) {
+            const id = recordId(scope, key);
+            for (;;) {
+                if (await driver.add(id, { pending: true, value: null, createdAt: Date.now() })) {
+                    return { reserved: true };
+                }
+                const record = await driver.get(id);
+                if (!record) continue; // Deleted in the meantime
+                if (isExpired(record)) {
+                    await driver.delete(id);
+                    continue;
+                }
+                return { reserved: false, pending: Boolean(record.pending), value: record.value };
+            }
+        },
+        /**
+         * Stores the result of a key.
+         * @param {string} scope
+         * @param {string} key
+         * @param {any} value - Must be JSON-serializable.
+         */
+        async save(scope, key, value) {
+            await driver.set(recordId(scope, key), { value, createdAt: Date.now() });
+        },
+        /**
+         * Forgets a key, e.g. when what it created was removed again.
+         * @param {string} scope
+         * @param {string} key
+         */
+        async delete(scope, key) {
+            await driver.delete(recordId(scope, key));
+        },
+    };
+}
+
+module.exports = {
+    createIdempotencyStore,
+};
@@ -0,0 +1,212 @@
+const aquaUtils = require('./aquaUtils.js');
+
+/**
+ * Batch creation of items for aquacloud_create-item. A batch is a tree of tasks: every task
+ * becomes an item, and its children become sub-requirements of that item. Tasks are created
+ * parents first. When a task fails, the batch either rolls back (deletes) the items it created,
+ * or carries on and reports per task what happened.
+ *
+ * Tasks with an idempotency key reserve it first, so a retried batch returns the items of the
+ * earlier call instead of creating duplicates, and two concurrent calls don't both create one.
+ */
+
+const ON_ERROR_MODES = ['rollback', 'report'];
+
+/**
+ * Flattens a task tree into creation order (parents before their children).
+ * @param {Array<object>} tasks - Tasks with optional `children`.
+ * @param {string|null} [parentPath=null]
+ * @returns {Array<{path: string, parentPath: string|null, task: object}>} Paths are 1-based positions, e.g. '2.1' is the first child of the second task.
+ */
+function flattenTasks(tasks, parentPath = null) {
+    return tasks.flatMap((task, index) => {
+        const path = parentPath ? `${parentPath}.${index + 1}` : String(index + 1);
+        return [{ path, parentPath, task }, ...flattenTasks(task.children || [], path)];
+    });
+}
+
+/**
+ * Checks a flattened batch for problems that don't need AquaCloud to find.
+ * @param {Array<object>} entries - From flattenTasks.
+ * @param {string} itemType
+ * @returns {Array<string>} The problems; empty if the batch is fine.
+ */
+function validateBatch(entries, itemType) {
+    const problems = [];
+    const keys = new Map();
+    for (const { path, task } of entries) {
+        if (!task.title || !task.title.trim()) {
+            problems.push(`Task ${path}: the title is empty.`);
+        }
+        if (task.children && task.children.length > 0 && itemType !== 'Requirement') {
+            problems.push(`Task ${path}: only Requirements can have children (sub-requirements), not ${itemType} items.`);
+        }
+        if (task.idempotencyKey) {
+            if (keys.has(task.idempotencyKey)) {
+                problems.push(`Task ${path}: idempotency key "${task.idempotencyKey}" is also used by task ${keys.get(task.idempotencyKey)}.`);
+            }
+            keys.set(task.idempotencyKey, path);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Tells whether an item still exists.
+ * @param {string} aquaUrl
+ * @param {object} auth
+ * @param {number} itemId
+ * @param {string} itemType
+ * @returns {Promise<boolean>}
+ */
+async function itemExists(aquaUrl, auth, itemId, itemType) {
+    try {
+        await aquaUtils.getItemDetails(aquaUrl, auth, itemId, itemType);
+        return true;
+    } catch (error) {
+        if (error.response?.status === 404) return false;
+        throw error;
+    }
+}
+
+/**
+ * Reserves a task's idempotency key for this call.
+ * @param {string} aquaUrl
+ * @param {object} auth
+ * @param {object} idempotencyStore
+ * @param {string} idempotencyScope
+ * @param {string} key
+ * @param {string} itemType
+ * @returns {Promise<number|null>} The ID of the item an earlier call created for the key, or null if
+ *   this call got the key and must create the item.
+ * @throws {Error} (AQUA_IDEMPOTENCY_PENDING) if another call is creating the item right now.
+ */
+async function reserveKey(aquaUrl, auth, idempotencyStore, idempotencyScope, key, itemType) {
+    for (;;) {
+        const claim = await idempotencyStore.reserve(idempotencyScope, key);
+        if (claim.reserved) return null;
+        if (claim.pending) {
+            const pending = new Error(`Another call is creating the item for idempotency key "${key}"; retry later.`);
+            pending.code = 'AQUA_IDEMPOTENCY_PENDING';
+            pending.errorCode = 'LOCKED';
+            throw pending;
+        }
+        if (await itemExists(aquaUrl, auth, claim.value.itemId, itemType)) return claim.value.itemId;
+        await idempotencyStore.delete(idempotencyScope, key); // Its item was deleted since, so create it again
+    }
+}
+
+/**
+ * Creates a batch of items.
+ * @param {string} aquaUrl
+ * @param {object} auth
+ * @param {Array<object>} entries - From flattenTasks. Each task has a title, an HTML description, and
+ *   optionally `relations` ({itemId, itemType, relationType}, parsed) and an `idempotencyKey`.
+ * @param {object} options
+ * @param {string} options.itemType
+ * @param {number|null} options.parentRequirementId - The parent of the top-level tasks, if any.
+ * @param {number|string} options.projectId
+ * @param {'rollback'|'report'} [options.onError='rollback']
+ * @param {object} [options.idempotencyStore] - From aquaIdempotency.createIdempotencyStore; without it, keys are ignored.
+ * @param {string} [options.idempotencyScope] - Separates the keys of different users and projects.
+ * @param {function(Array<{itemId: number, itemType: string}>): void} [options.onCreated] - Called with all items created so far, after every change.
+ * @returns {Promise<{ok: boolean, rolledBack: boolean, results: Array<object>}>} One result per entry, in creation order.
+ */
+async function createItemBatch(aquaUrl, auth, entries, { itemType, parentRequirementId, projectId, onError = 'rollback', idempotencyStore = null, idempotencyScope = '', onCreated = () => {} }) {
+    const results = new Map(); // path -> result
+    const created = []; // Results of items this call created, in creation order
+    const reportCreated = () => onCreated(created.map(result => ({ itemId: result.itemId, itemType })));
+    let failure = null;
+
+    for (const { path, parentPath, task } of entries) {
+        const result = { path, title: task.title, idempotencyKey: task.idempotencyKey || null, status: null, itemId: null, id: null, relations: [] };
+        results.set(path, result);
+
+        const parent = parentPath ? results.get(parentPath) : null;
+        if (failure && onError === 'rollback') {
+            result.status = 'skipped';
+            continue;
+        }
+        if (parent && !parent.itemId) {
+            result.status = 'skipped';
+            result.error = `Its parent (task ${parentPath}) was not created.`;
+            continue;
+        }
+
+        try {
+            const useKey = Boolean(idempotencyStore && task.idempotencyKey);
+            const existingId = useKey ? await reserveKey(aquaUrl, auth, idempotencyStore, idempotencyScope, task.idempotencyKey, itemType) : null;
+            if (existingId) {
+                Object.assign(result, { status: 'existing', itemId: existingId, id: aquaUtils.formatAquaItemId(existingId, itemType) });
+                continue;
+            }
+
+            let newItem;
+            try {
+                newItem = await aquaUtils.createItem(aquaUrl, auth, task, {
+                    parentRequirementId: parent ? parent.itemId : parentRequirementId,
+                    projectId,
+                    itemType,
+                });
+            } catch (error) {
+                if (useKey) {
+                    await idempotencyStore.delete(idempotencyScope, task.idempotencyKey); // Free it for a retry
+                }
+                // The item can exist even though linking it to its parent failed; it must be rolled back too.
+                if (error.createdItem) {
+                    Object.assign(result, { itemId: error.createdItem.Id, id: aquaUtils.formatAquaItemId(error.createdItem.Id, itemType) });
+                    created.push(result);
+                    reportCreated();
+                }
+                throw error;
+            }
+            Object.assign(result, { status: 'created', itemId: newItem.Id, id: aquaUtils.formatAquaItemId(newItem.Id, itemType) });
+            created.push(result);
+            reportCreated();
+            if (useKey) {
+                await idempotencyStore.save(idempotencyScope, task.idempotencyKey, { itemId: newItem.Id });
+            }
+
+            for (const target of task.relations || []) {
+                await aquaUtils.createItemRelation(aquaUrl, auth, { itemId: newItem.Id, itemType }, target, target.relationType);
+                result.relations.push({ to: aquaUtils.formatAquaItemId(target.itemId, target.itemType), relationType: target.relationType });
+            }
+        } catch (error) {
+            result.status = 'failed';
+            result.error = error.response ? `${error.message}: ${JSON.stringify(error.response.data)}` : error.message;
+            result.errorCode = aquaUtils.getErrorCode(error);
+            failure = failure || result;
+        }
+    }
+
+    if (!failure) {
+        return { ok: true, rolledBack: false, results: [...results.values()] };
+    }
+    if (onError !== 'rollback') {
+        return { ok: false, rolledBack: false, results: [...results.values()] };
+    }
+
+    // Children are deleted before their parents.
+    for (const result of [...created].reverse()) {
+        try {
+            await aquaUtils.deleteItem(aquaUrl, auth, result.itemId, itemType);
+            if (result.idempotencyKey && idempotencyStore) {
+                await idempotencyStore.delete(idempotencyScope, result.idempotencyKey);
+            }
+            if (result.status === 'created') result.status = 'rolled back';
+            created.splice(created.indexOf(result), 1);
+        } catch (error) {
+            result.rollbackError = `Could not delete ${result.id}: ${error.message}`;
+        }
+    }
+    reportCreated();
+    return { ok: false, rolledBack: true, results: [...results.values()] };
+}
+
+module.exports = {
+    ON_ERROR_MODES,
+    flattenTasks,
+    validateBatch,
+    itemExists,
+    createItemBatch,
+};
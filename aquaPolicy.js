@@ -0,0 +1,143 @@
+const z = require('zod');
+
+/**
+ * Tool policies limit what a session may do: which tools it gets, which projects and item types
+ * it may change, and whether changes are only simulated (dry run). A session's policy combines
+ * the server default, the policy of its credential profile and the one sent with the initialize
+ * request; combining policies only ever restricts further.
+ */
+
+const POLICY_SCHEMA = z.object({
+    tools: z.array(z.string()).nullable().optional(), // Allowlist of tool names; null allows all
+    deniedTools: z.array(z.string()).optional(),
+    readOnly: z.boolean().optional(), // Tools that change AquaCloud are not registered
+    writableProjects: z.array(z.union([z.string(), z.number()])).nullable().optional(),
+    writableItemTypes: z.array(z.string()).nullable().optional(),
+    dryRun: z.boolean().optional(), // Writes return the requests they would send instead of sending them
+}).strict();
+
+/**
+ * Validates a policy and fills in its defaults.
+ * @param {object|null} [policy] - A policy as configured; null or undefined means no restrictions.
+ * @returns {{tools: Array<string>|null, deniedTools: Array<string>, readOnly: boolean, writableProjects: Array<string>|null, writableItemTypes: Array<string>|null, dryRun: boolean}}
+ * @throws {Error} with code 'AQUA_POLICY_INVALID' if the policy has unknown keys or wrong types.
+ */
+function normalizePolicy(policy) {
+    const parsed = POLICY_SCHEMA.safeParse(policy ?? {});
+    if (!parsed.success) {
+        const error = new Error(`Invalid tool policy: ${parsed.error.issues.map(issue => `${issue.path.join('.') || 'policy'}: ${issue.message}`).join('; ')}`);
+        error.code = 'AQUA_POLICY_INVALID';
+        throw error;
+    }
+    const { tools, deniedTools, readOnly, writableProjects, writableItemTypes, dryRun } = parsed.data;
+    return {
+        tools: tools ?? null,
+        deniedTools: deniedTools ?? [],
+        readOnly: readOnly ?? false,
+        writableProjects: writableProjects ? writableProjects.map(String) : null,
+        writableItemTypes: writableItemTypes ?? null,
+        dryRun: dryRun ?? false,
+    };
+}
+
+/**
+ * Parses a policy given as JSON (an environment variable or a header).
+ * @param {string} [json]
+ * @param {string} source - Where the JSON came from, for error messages.
+ * @returns {object|null} The normalized policy, or null if there is none.
+ * @throws {Error} with code 'AQUA_POLICY_INVALID'.
+ */
+function parsePolicy(json, source) {
+    if (!json) return null;
+    let policy;
+    try {
+        policy = JSON.parse(json);
+    } catch (error) {
+        const invalid = new Error(`Invalid tool policy in ${source}: ${error.message}`);
+        invalid.code = 'AQUA_POLICY_INVALID';
+        throw invalid;
+    }
+    return normalizePolicy(policy);
+}
+
+/**
+ * Intersects two allowlists, where null allows everything.
+ * @param {Array<string>|null} a
+ * @param {Array<string>|null} b
+ * @param {function(string): string} [key] - Maps entries to what is compared.
+ * @returns {Array<string>|null}
+ */
+function intersect(a, b, key = value => value) {
+    if (a === null) return b;
+    if (b === null) return a;
+    return a.filter(value => b.some(other => key(other) === key(value)));
+}
+
+/**
+ * Combines policies into one that allows only what all of them allow.
+ * @param {...(object|null|undefined)} policies - Unset policies are skipped.
+ * @returns {object} A normalized policy.
+ */
+function mergePolicies(...policies) {
+    return policies.filter(Boolean).map(normalizePolicy).reduce((merged, policy) => ({
+        tools: intersect(merged.tools, policy.tools),
+        deniedTools: [...new Set([...merged.deniedTools, ...policy.deniedTools])],
+        readOnly: merged.readOnly || policy.readOnly,
+        writableProjects: intersect(merged.writableProjects, policy.writableProjects),
+        writableItemTypes: intersect(merged.writableItemTypes, policy.writableItemTypes, type => type.toLowerCase()),
+        dryRun: merged.dryRun || policy.dryRun,
+    }), normalizePolicy(null));
+}
+
+/**
+ * Tells whether a policy lets a session use a tool.
+ * @param {object} policy - A normalized policy.
+ * @param {string} toolName
+ * @param {boolean} writes - Whether the tool changes AquaCloud.
+ * @returns {boolean}
+ */
+function isToolAllowed(policy, toolName, writes) {
+    if (writes && policy.readOnly) return false;
+    if (policy.deniedTools.includes(toolName)) return false;
+    return policy.tools === null || policy.tools.includes(toolName);
+}
+
+/**
+ * Tells whether a policy restricts which items may be changed.
+ * @param {object} policy - A normalized policy.
+ * @returns {boolean}
+ */
+function restrictsWrites(policy) {
+    return policy.writableProjects !== null || policy.writableItemTypes !== null;
+}
+
+/**
+ * Checks that a policy allows changing an item.
+ * @param {object} policy - A normalized policy.
+ * @param {object} target
+ * @param {string} target.itemType
+ * @param {number|string} [target.projectId] - Required if the policy restricts projects.
+ * @throws {Error} with code 'AQUA_POLICY_DENIED'.
+ */
+function assertWriteAllowed(policy, { itemType, projectId }) {
+    let reason = null;
+    if (policy.writableItemTypes !== null && !policy.writableItemTypes.some(type => type.toLowerCase() === String(itemType).toLowerCase())) {
+        reason = `${itemType} items are read-only for this session (writable item types: ${policy.writableItemTypes.join(', ') || 'none'}).`;
+    } else if (policy.writableProjects !== null && !policy.writableProjects.includes(String(projectId))) {
+        reason = `Project ${projectId ?? '(unknown)'} is read-only for this session (writable projects: ${policy.writableProjects.join(', ') || 'none'}).`;
+    }
+    if (reason) {
+        const error = new Error(`Not allowed by the session's tool policy: ${reason}`);
+        error.code = 'AQUA_POLICY_DENIED';
+        throw error;
+    }
+}
+
+module.exports = {
+    normalizePolicy,
+    parsePolicy,
+    mergePolicies,
+    isToolAllowed,
+    restrictsWrites,
+    assertWriteAllowed,
+};
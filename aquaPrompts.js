@@ -0,0 +1,119 @@
+/**
+ * Built-in MCP prompts for common QA workflows. Each prompt works on one item: the server fills in
+ * the item's details (see renderItemContext), and the instructions say what to produce and which
+ * aquacloud_* tools save it. A prompt is only offered if the session may use all of its tools.
+ */
+
+// `include` lists what is loaded besides the item itself (a TestCase always comes with its steps):
+// 'relations' for related items, 'children' for sub-requirements.
+const QA_PROMPTS = [
+    {
+        name: 'derive-test-cases',
+        title: 'Derive Test Cases from a Requirement',
+        description: 'Writes test cases that cover a Requirement and saves them, with their steps, linked to it.',
+        itemType: 'Requirement',
+        include: ['relations'],
+        tools: ['aquacloud_create-item', 'aquacloud_add-test-steps'],
+        instructions: (id) => [
+            `Derive test cases from Requirement ${id}.`,
+            'Write test cases that together cover every acceptance criterion and rule of the requirement: the main flow, alternative flows, invalid input and edge cases. Each test case checks one thing and has a short, specific title, a description with its preconditions, and concrete steps whose expected results can be verified. Skip what the test cases already related to the requirement cover.',
+            'To save the result:\n'
+                + `1. Create the test cases with aquacloud_create-item (itemType 'TestCase'). Give each one a relation to ${id} with relationType 'Covers', and an idempotencyKey so the call can be retried safely.\n`
+                + '2. Add the steps of each new test case with aquacloud_add-test-steps, using the IDs aquacloud_create-item returned.',
+        ],
+    },
+    {
+        name: 'write-reproduction-steps',
+        title: 'Write Reproduction Steps for a Defect',
+        description: 'Turns a Defect report into precise reproduction steps and adds them to the Defect as a comment.',
+        itemType: 'Defect',
+        include: ['relations'],
+        tools: ['aquacloud_add-comment-to-item'],
+        instructions: (id) => [
+            `Write reproduction steps for Defect ${id}.`,
+            'Start with the preconditions (environment, test data, user role), then give numbered steps with one action each, precise enough for someone who has never seen the defect. End with the expected result and the actual result. If the report leaves something open that is needed to reproduce the defect, list it as an open question instead of guessing.',
+            `To save the result, add it to ${id} with aquacloud_add-comment-to-item.`,
+        ],
+    },
+    {
+        name: 'split-requirement',
+        title: 'Split a Requirement into Sub-Requirements',
+        description: 'Splits a Requirement into smaller, independently testable sub-requirements and creates them under it.',
+        itemType: 'Requirement',
+        include: ['children'],
+        tools: ['aquacloud_create-item'],
+        instructions: (id) => [
+            `Split Requirement ${id} into sub-requirements.`,
+            'Each sub-requirement covers one coherent part of the requirement, can be implemented and tested on its own, and has a short title and a description with its acceptance criteria. Together they cover the whole requirement without overlapping each other or the existing sub-requirements.',
+            `To save the result, create the sub-requirements with aquacloud_create-item, with parentItemId '${id}' and an idempotencyKey for each task, so the call can be retried safely.`,
+        ],
+    },
+    {
+        name: 'review-test-case',
+        title: 'Review the Quality of a Test Case',
+        description: 'Reviews a TestCase and its steps for clarity, verifiability and coverage, and adds the findings as a comment.',
+        itemType: 'TestCase',
+        include: ['relations'],
+        tools: ['aquacloud_add-comment-to-item'],
+        instructions: (id) => [
+            `Review the quality of TestCase ${id}.`,
+            'Check that the title says what is tested, that preconditions and test data are given, that each step has one action and an expected result that can be verified, that no steps are missing or redundant, and that it tests what the related requirements ask for. Rate the test case as good, needs work or poor, and list concrete improvements, naming the steps they refer to.',
+            `To save the result, add the review to ${id} with aquacloud_add-comment-to-item. Only change the steps themselves (with aquacloud_update-test-steps) if you are asked to.`,
+        ],
+    },
+];
+
+/**
+ * Renders an item as Markdown for a prompt.
+ * @param {object} item
+ * @param {string} item.id - The prefixed ID (e.g., 'RQ000123').
+ * @param {string} item.itemType
+ * @param {string} item.title
+ * @param {string|null} item.status
+ * @param {string} item.description - Markdown.
+ * @param {Array<{index: number, name: string, instructions: string, expectedResult: string}>} [item.steps] - Test steps, with Markdown texts.
+ * @param {Array<{itemId: string, name: string|null, relationType: string|null}>} [item.relations]
+ * @param {Array<{id: string, name: string, status: string|null}>} [item.children] - Sub-requirements.
+ * @returns {string}
+ */
+function renderItemContext({ id, itemType, title, status, description, steps, relations, children }) {
+    const sections = [`## ${itemType} ${id}: ${title}`];
+    if (status) sections.push(`Status: ${status}`);
+    sections.push(description || '(No description.)');
+    if (steps) {
+        sections.push(steps.length === 0 ? '### Test steps\n\n(None yet.)' : `### Test steps\n\n${steps.map(step =>
+            `${step.index}. **${step.name || `Step ${step.index}`}**\n   - Instructions: ${step.instructions.replace(/\n/g, '\n     ')}\n   - Expected result: ${step.expectedResult.replace(/\n/g, '\n     ')}`).join('\n')}`);
+    }
+    if (relations) {
+        sections.push(`### Related items\n\n${relations.length === 0 ? '(None.)' : relations.map(relation =>
+            `- ${relation.itemId}${relation.name ? `: ${relation.name}` : ''}${relation.relationType ? ` (${relation.relationType})` : ''}`).join('\n')}`);
+    }
+    if (children) {
+        sections.push(`### Existing sub-requirements\n\n${children.length === 0 ? '(None.)' : children.map(child =>
+            `- ${child.id}: ${child.name}${child.status ? ` (${child.status})` : ''}`).join('\n')}`);
+    }
+    return sections.join('\n\n');
+}
+
+/**
+ * Builds the text of a prompt: the task, the item, and the instructions.
+ * @param {object} prompt - An entry of QA_PROMPTS; its `instructions` returns the task, then the paragraphs that follow the item.
+ * @param {object} item - See renderItemContext.
+ * @param {string} [focus] - Extra wishes of the user.
+ * @returns {string}
+ */
+function buildPromptText(prompt, item, focus) {
+    const [task, ...instructions] = prompt.instructions(item.id);
+    return [
+        task,
+        renderItemContext(item),
+        ...(focus ? [`Pay special attention to: ${focus}`] : []),
+        ...instructions,
+    ].join('\n\n');
+}
+
+module.exports = {
+    QA_PROMPTS,
+    renderItemContext,
+    buildPromptText,
+};
@@ -0,0 +1,211 @@
+const { createHash } = require('crypto');
+
+// Operators accepted by buildFilter, mapped to the ItemList filter DSL.
+// The DSL spells "not equal" as "<>".
+const FILTER_OPERATORS = {
+    '=': '=',
+    '!=': '<>',
+    'contains': 'contains',
+    '<': '<',
+    '>': '>',
+};
+
+/**
+ * Converts a filter tree into the nested-array form used by the ItemList filter DSL.
+ * A condition is { field, operator, value }; a group is { and: [...] } or { or: [...] }.
+ * @param {object} node - A condition or a group.
+ * @returns {Array} The DSL expression for this node.
+ * @throws {Error} if the node is malformed or uses an unsupported operator.
+ */
+function toFilterExpression(node) {
+    if (!node || typeof node !== 'object') {
+        throw new Error('Invalid filter: expected a condition or an and/or group.');
+    }
+
+    const groupOperator = Array.isArray(node.and) ? 'and' : Array.isArray(node.or) ? 'or' : null;
+    if (groupOperator) {
+        const children = node[groupOperator];
+        if (children.length === 0) {
+            throw new Error(`Invalid filter: '${groupOperator}' group must not be empty.`);
+        }
+        if (children.length === 1) {
+            return toFilterExpression(children[0]);
+        }
+        const expression = [];
+        children.forEach((child, index) => {
+            if (index > 0) expression.push(groupOperator);
+            expression.push(toFilterExpression(child));
+        });
+        return expression;
+    }
+
+    const { field, operator, value } = node;
+    if (!field || typeof field !== 'string') {
+        throw new Error('Invalid filter condition: "field" must be a non-empty string.');
+    }
+    if (!Object.prototype.hasOwnProperty.call(FILTER_OPERATORS, operator)) {
+        throw new Error(`Invalid filter condition on "${field}": unsupported operator "${operator}". Use one of ${Object.keys(FILTER_OPERATORS).join(', ')}.`);
+    }
+    if (typeof value === 'undefined' || (value !== null && typeof value === 'object')) {
+        throw new Error(`Invalid filter condition on "${field}": "value" must be a string, number, boolean or null.`);
+    }
+    return [field, FILTER_OPERATORS[operator], value];
+}
+
+/**
+ * Builds the "Filter" string for the ItemList endpoint. Values are JSON-encoded, so quotes
+ * and backslashes in them cannot change the structure of the filter.
+ * @param {object|null|undefined} filter - A condition or an and/or group (see toFilterExpression).
+ * @returns {string|null} The serialized filter, or null if no filter was given.
+ */
+function buildFilter(filter) {
+    if (!filter) return null;
+    const expression = toFilterExpression(filter);
+    // A lone condition still has to be wrapped in an outer array.
+    return JSON.stringify(typeof expression[0] === 'string' ? [expression] : expression);
+}
+
+/**
+ * Builds the "Sorting" string for the ItemList endpoint.
+ * @param {Array<{field: string, direction?: 'asc'|'desc'}>} [sorting=[]]
+ * @returns {string|null} The serialized sorting, or null if no sorting was given.
+ */
+function buildSorting(sorting = []) {
+    if (!sorting || sorting.length === 0) return null;
+    return JSON.stringify(sorting.map(({ field, direction = 'asc' }) => {
+        if (!field || typeof field !== 'string') {
+            throw new Error('Invalid sorting: "field" must be a non-empty string.');
+        }
+        if (direction !== 'asc' && direction !== 'desc') {
+            throw new Error(`Invalid sorting on "${field}": direction must be 'asc' or 'desc'.`);
+        }
+        return [field, direction];
+    }));
+}
+
+/**
+ * Reads a field from an ItemList entry, either a top-level property or an entry in Details.
+ * @param {object} item
+ * @param {string} field
+ * @returns {string|number|boolean|null}
+ */
+function readItemValue(item, field) {
+    if (item[field] !== undefined && (item[field] === null || typeof item[field] !== 'object')) {
+        return item[field];
+    }
+    const detail = (item.Details || []).find(d => d.FieldId === field);
+    const value = detail ? detail.Value : item[field];
+    if (value === null || typeof value === 'undefined') return null;
+    if (typeof value === 'object') return value.Text ?? value.Name ?? null;
+    return value;
+}
+
+/**
+ * Fingerprints a query so a cursor cannot be replayed against a different search.
+ * @param {object} query
+ * @returns {string}
+ */
+function hashQuery(query) {
+    return createHash('sha256').update(JSON.stringify(query)).digest('base64url').slice(0, 16);
+}
+
+/**
+ * Encodes a pagination cursor.
+ * @param {object} query - The query the cursor belongs to.
+ * @param {{after: Array|null, offset: number}} position
+ * @returns {string}
+ */
+function encodeCursor(query, { after, offset }) {
+    return Buffer.from(JSON.stringify({ q: hashQuery(query), a: after, o: offset })).toString('base64url');
+}
+
+/**
+ * Decodes a pagination cursor produced by encodeCursor.
+ * @param {object} query - The query the cursor must belong to.
+ * @param {string|null|undefined} cursor
+ * @returns {{after: Array|null, offset: number}}
+ * @throws {Error} if the cursor is malformed or belongs to a different query.
+ */
+function decodeCursor(query, cursor) {
+    if (!cursor) return { after: null, offset: 0 };
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new Error('Invalid cursor.');
+    }
+    if (!decoded || decoded.q !== hashQuery(query)) {
+        throw new Error('Invalid cursor: it does not belong to this search. Start again without a cursor.');
+    }
+    return { after: Array.isArray(decoded.a) ? decoded.a : null, offset: Number.isInteger(decoded.o) ? decoded.o : 0 };
+}
+
+/**
+ * Returns the sort keys used for paging: the requested sorting plus Id as a tie-breaker.
+ * @param {Array<{field: string, direction?: string}>} [sorting=[]]
+ * @returns {Array<{field: string, direction: string}>}
+ */
+function getPageSortKeys(sorting = []) {
+    const keys = (sorting || []).map(({ field, direction = 'asc' }) => ({ field, direction }));
+    if (!keys.some(key => key.field === 'Id')) {
+        keys.push({ field: 'Id', direction: 'asc' });
+    }
+    return keys;
+}
+
+/**
+ * Builds the filter that selects everything after the given sort-key values (keyset paging).
+ * For keys k1..kn this is (k1 > v1) or (k1 = v1 and k2 > v2) or ..., with '<' for descending keys.
+ * Empty values sort first, as AquaCloud (SQL Server) sorts them: after an empty value come the
+ * non-empty ones, and after a value of a descending key come the smaller and the empty ones.
+ * @param {Array<{field: string, direction: string}>} sortKeys
+ * @param {Array} after - The sort-key values of the last item on the previous page.
+ * @returns {object} A filter tree for buildFilter.
+ */
+function buildAfterFilter(sortKeys, after) {
+    const alternatives = [];
+    sortKeys.forEach((key, index) => {
+        const equalities = sortKeys.slice(0, index).map((previous, i) => ({ field: previous.field, operator: '=', value: after[i] }));
+        const value = after[index];
+        let comparison;
+        if (key.direction !== 'desc') {
+            comparison = { field: key.field, operator: value === null ? '!=' : '>', value };
+        } else if (value !== null) {
+            comparison = { or: [{ field: key.field, operator: '<', value }, { field: key.field, operator: '=', value: null }] };
+        } else {
+            return; // Nothing sorts after an empty value of a descending key
+        }
+        alternatives.push({ and: [...equalities, comparison] });
+    });
+    return { or: alternatives };
+}
+
+/**
+ * Works out the next cursor position from the last item of a page. Keyset paging is used when
+ * the Id of the last item can be read (it ends the sort keys, so they never tie); otherwise
+ * the offset within the current keyset window is advanced instead.
+ * @param {Array<{field: string, direction: string}>} sortKeys
+ * @param {{after: Array|null, offset: number}} position - The position the page was read from.
+ * @param {Array<object>} pageItems - The items returned on the page.
+ * @returns {{after: Array|null, offset: number}}
+ */
+function getNextPosition(sortKeys, position, pageItems) {
+    const lastItem = pageItems[pageItems.length - 1];
+    const values = sortKeys.map(key => readItemValue(lastItem, key.field));
+    if (readItemValue(lastItem, 'Id') !== null) {
+        return { after: values, offset: 0 };
+    }
+    return { after: position.after, offset: position.offset + pageItems.length };
+}
+
+module.exports = {
+    FILTER_OPERATORS,
+    buildFilter,
+    buildSorting,
+    readItemValue,
+    encodeCursor,
+    decodeCursor,
+    getPageSortKeys,
+    buildAfterFilter,
+    getNextPosition,
+};
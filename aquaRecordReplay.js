@@ -0,0 +1,193 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { createHash } = require('crypto');
+
+/**
+ * Record/replay for the AquaCloud HTTP client, used by aquaUtils.callApi.
+ * In record mode every request/response pair is saved to a fixture file, with passwords and
+ * tokens redacted. In replay mode responses are served from those files without touching the
+ * network, so tools can be exercised in CI or offline.
+ *
+ * A fixture file holds all responses to one request (method, path and body), in the order they
+ * were recorded; replay serves them in the same order and repeats the last one after that.
+ * The AquaCloud host is not part of the key, so fixtures work against any URL.
+ */
+
+const settings = {
+    mode: process.env.AQUA_HTTP_MODE || 'live', // 'live', 'record' or 'replay'
+    directory: process.env.AQUA_HTTP_FIXTURES_DIR || path.join(__dirname, 'fixtures'),
+};
+
+// Form fields and JSON properties whose values are never written to fixtures.
+const REDACTED_KEYS = ['password', 'access_token', 'refresh_token', 'token', 'Password'];
+const REDACTED = '[REDACTED]';
+// Client-generated IDs that differ on every run; they are left out of request matching.
+const VOLATILE_KEYS = ['uniqueId'];
+// Response headers worth keeping; everything else (cookies, dates, server details) is dropped.
+const KEPT_HEADERS = ['content-type', 'retry-after'];
+
+// Fixtures of this process, keyed by fixture name: { request, responses, served }.
+const fixtures = new Map();
+// Pending writes per fixture, so concurrent recordings of one request don't overwrite each other.
+const writes = new Map();
+
+/**
+ * Overrides settings (e.g., in tests).
+ * @param {object} overrides - Any of the keys of `settings`.
+ */
+function configure(overrides) {
+    Object.assign(settings, overrides);
+    fixtures.clear();
+}
+
+/**
+ * Replaces secret and generated values in a parsed JSON value.
+ * @param {any} value
+ * @returns {any} A redacted copy.
+ */
+function redactJson(value) {
+    if (Array.isArray(value)) return value.map(redactJson);
+    if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => {
+            if (REDACTED_KEYS.includes(key) && entry) return [key, REDACTED];
+            if (VOLATILE_KEYS.includes(key) && entry) return [key, '[GENERATED]'];
+            return [key, redactJson(entry)];
+        }));
+    }
+    return value;
+}
+
+/**
+ * Turns a request body into a stable, redacted form for keys and fixture files.
+ * @param {object} options - The axios request options.
+ * @returns {any}
+ */
+function describeRequestBody(options) {
+    const body = options.data;
+    if (body === undefined || body === null) return null;
+    if (body instanceof URLSearchParams) {
+        const params = new URLSearchParams(body);
+        for (const key of REDACTED_KEYS) {
+            if (params.has(key)) params.set(key, REDACTED);
+        }
+        return params.toString();
+    }
+    if (Buffer.isBuffer(body)) {
+        // Multipart boundaries are random; take them out so the same upload gets the same key.
+        const contentTypes = Object.entries(options.headers).filter(([name]) => name.toLowerCase() === 'content-type').map(([, value]) => value);
+        const boundary = contentTypes.map(value => /boundary=([^;]+)/.exec(value)).find(Boolean);
+        const text = body.toString('latin1');
+        const stable = boundary ? text.split(boundary[1]).join('BOUNDARY') : text;
+        return { sha256: createHash('sha256').update(stable, 'latin1').digest('hex'), bytes: body.length };
+    }
+    return redactJson(body);
+}
+
+/**
+ * Works out the fixture a request belongs to.
+ * @param {object} options - The axios request options.
+ * @returns {{name: string, request: object}}
+ */
+function getFixture(options) {
+    const url = new URL(options.url);
+    const method = String(options.method).toUpperCase();
+    const requestPath = url.pathname + url.search;
+    const body = describeRequestBody(options);
+    const hash = createHash('sha256').update(`${method} ${requestPath}\n${JSON.stringify(body)}`).digest('hex').slice(0, 12);
+    const slug = url.pathname.replace(/^\/api\//, '').replace(/[^A-Za-z0-9]+/g, '_').slice(0, 80);
+    return {
+        name: `${method}_${slug}_${hash}.json`,
+        request: { method, path: requestPath, body },
+    };
+}
+
+/**
+ * Converts an axios response into its fixture form.
+ * @param {object} response
+ * @returns {object}
+ */
+function serializeResponse(response) {
+    const headers = Object.fromEntries(KEPT_HEADERS.filter(name => response.headers[name] !== undefined).map(name => [name, String(response.headers[name])]));
+    if (Buffer.isBuffer(response.data) || response.data instanceof ArrayBuffer) {
+        return { status: response.status, headers, encoding: 'base64', data: Buffer.from(response.data).toString('base64') };
+    }
+    return { status: response.status, headers, data: redactJson(response.data) };
+}
+
+/**
+ * Saves a response to the request's fixture. The first response of a request in this process
+ * replaces the fixture file; later ones are appended.
+ * @param {object} options - The axios request options.
+ * @param {object} response - The axios response.
+ */
+async function record(options, response) {
+    const { name, request } = getFixture(options);
+    let fixture = fixtures.get(name);
+    if (!fixture) {
+        fixture = { request, responses: [] };
+        fixtures.set(name, fixture);
+    }
+    fixture.responses.push(serializeResponse(response));
+
+    const file = path.join(settings.directory, name);
+    const write = (writes.get(name) || Promise.resolve()).catch(() => {}).then(async () => {
+        await fs.mkdir(settings.directory, { recursive: true });
+        await fs.writeFile(file, JSON.stringify({ request: fixture.request, responses: fixture.responses }, null, 2));
+    });
+    writes.set(name, write);
+    await write;
+}
+
+/**
+ * Serves the next recorded response for a request.
+ * @param {object} options - The axios request options.
+ * @returns {Promise<{status: number, headers: object, data: any}>}
+ * @throws {Error} with code 'AQUA_FIXTURE_MISSING' if the request was never recorded.
+ */
+async function replay(options) {
+    const { name, request } = getFixture(options);
+    let fixture = fixtures.get(name);
+    if (!fixture) {
+        try {
+            fixture = { ...JSON.parse(await fs.readFile(path.join(settings.directory, name), 'utf8')), served: 0 };
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            const missing = new Error(`No recorded response for ${request.method} ${request.path} (expected fixture ${name} in ${settings.directory}). Record it with AQUA_HTTP_MODE=record.`);
+            missing.code = 'AQUA_FIXTURE_MISSING';
+            throw missing;
+        }
+        fixtures.set(name, fixture);
+    }
+
+    const response = fixture.responses[Math.min(fixture.served, fixture.responses.length - 1)];
+    fixture.served++;
+    return {
+        status: response.status,
+        headers: response.headers || {},
+        data: response.encoding === 'base64' ? Buffer.from(response.data, 'base64') : response.data,
+    };
+}
+
+/**
+ * Sends a request according to the mode: over the network (recording the response in record
+ * mode), or from the fixtures in replay mode.
+ * @param {object} options - The axios request options.
+ * @param {function(object): Promise<object>} transport - Sends the request over the network (axios).
+ * @returns {Promise<{status: number, headers: object, data: any}>}
+ */
+async function send(options, transport) {
+    if (settings.mode === 'replay') {
+        return await replay(options);
+    }
+    const response = await transport(options);
+    if (settings.mode === 'record') {
+        await record(options, response);
+    }
+    return response;
+}
+
+module.exports = {
+    settings,
+    configure,
+    send,
+};
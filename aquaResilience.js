@@ -0,0 +1,183 @@
+/**
+ * Retry, throttling and circuit-breaker policy for calls to AquaCloud, used by aquaUtils.callApi.
+ * All state is kept per AquaCloud host, so one slow or broken instance doesn't affect others.
+ */
+
+const settings = {
+    timeoutMs: parseInt(process.env.AQUA_HTTP_TIMEOUT_MS, 10) || 30000,
+    maxRetries: parseInt(process.env.AQUA_HTTP_MAX_RETRIES, 10) >= 0 ? parseInt(process.env.AQUA_HTTP_MAX_RETRIES, 10) : 3,
+    baseDelayMs: parseInt(process.env.AQUA_HTTP_RETRY_BASE_DELAY_MS, 10) || 500,
+    maxDelayMs: parseInt(process.env.AQUA_HTTP_RETRY_MAX_DELAY_MS, 10) || 10000,
+    // A Retry-After longer than this is not waited for; the call fails instead.
+    maxRetryAfterMs: parseInt(process.env.AQUA_HTTP_MAX_RETRY_AFTER_MS, 10) || 60000,
+    maxConcurrency: parseInt(process.env.AQUA_HTTP_MAX_CONCURRENCY, 10) || 8,
+    breakerThreshold: parseInt(process.env.AQUA_HTTP_BREAKER_THRESHOLD, 10) || 5,
+    breakerCooldownMs: parseInt(process.env.AQUA_HTTP_BREAKER_COOLDOWN_MS, 10) || 30000,
+};
+
+// Not PUT: the locked item update (aquaUtils.updateLockedItem) is a PUT that adds test steps, so
+// sending it twice adds them twice. PUTs are only retried when they can't have been processed.
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'DELETE'];
+// Network errors where the request never reached AquaCloud, so any method can be retried.
+const NOT_SENT_ERROR_CODES = ['ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND'];
+// Network errors where the request may have been processed; only idempotent methods are retried.
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'ERR_SOCKET_CONNECTION_TIMEOUT'];
+
+const hostLimiters = new Map();
+const hostCircuits = new Map();
+
+/**
+ * Overrides settings (e.g., in tests or when embedding the package).
+ * @param {object} overrides - Any of the keys of `settings`.
+ */
+function configure(overrides) {
+    Object.assign(settings, overrides);
+}
+
+/**
+ * Runs a function once a request slot for the host is free.
+ * @param {string} host
+ * @param {function(): Promise<any>} fn
+ * @returns {Promise<any>}
+ */
+async function withHostSlot(host, fn) {
+    let limiter = hostLimiters.get(host);
+    if (!limiter) {
+        limiter = { active: 0, queue: [] };
+        hostLimiters.set(host, limiter);
+    }
+
+    if (limiter.active >= settings.maxConcurrency) {
+        await new Promise(resolve => limiter.queue.push(resolve));
+    } else {
+        limiter.active++;
+    }
+
+    try {
+        return await fn();
+    } finally {
+        const next = limiter.queue.shift();
+        // Hand the slot straight to the next waiter, or give it back.
+        if (next) next(); else limiter.active--;
+    }
+}
+
+/**
+ * Throws if the circuit for the host is open. After the cooldown, one probe request is let through.
+ * @param {string} host
+ * @throws {Error} with code 'AQUA_CIRCUIT_OPEN'.
+ */
+function assertCircuitClosed(host) {
+    const circuit = hostCircuits.get(host);
+    if (!circuit || circuit.state === 'closed') return;
+
+    const waitMs = circuit.openedAt + settings.breakerCooldownMs - Date.now();
+    if (circuit.state === 'open' && waitMs <= 0) {
+        circuit.state = 'half-open';
+        circuit.probeInFlight = false;
+    }
+    if (circuit.state === 'half-open' && !circuit.probeInFlight) {
+        circuit.probeInFlight = true;
+        return;
+    }
+
+    const error = new Error(`AquaCloud at ${host} appears to be down (${circuit.failures} consecutive failures). Not sending requests for another ${Math.ceil(Math.max(waitMs, 0) / 1000)}s.`);
+    error.code = 'AQUA_CIRCUIT_OPEN';
+    throw error;
+}
+
+/**
+ * Records a successful response from the host, closing its circuit.
+ * @param {string} host
+ */
+function recordSuccess(host) {
+    hostCircuits.delete(host);
+}
+
+/**
+ * Records a failure (network error, timeout or 5xx) of the host. Opens the circuit once the
+ * threshold of consecutive failures is reached, or right away if a half-open probe failed.
+ * @param {string} host
+ */
+function recordFailure(host) {
+    const circuit = hostCircuits.get(host) || { state: 'closed', failures: 0, openedAt: 0, probeInFlight: false };
+    circuit.failures++;
+    if (circuit.state === 'half-open' || circuit.failures >= settings.breakerThreshold) {
+        if (circuit.state !== 'open') {
+            console.error(`AquaCloud at ${host} failed ${circuit.failures} time(s) in a row; pausing requests for ${settings.breakerCooldownMs / 1000}s.`);
+        }
+        circuit.state = 'open';
+        circuit.openedAt = Date.now();
+        circuit.probeInFlight = false;
+    }
+    hostCircuits.set(host, circuit);
+}
+
+/**
+ * Parses a Retry-After header (seconds or an HTTP date).
+ * @param {string|undefined} header
+ * @returns {number|null} The delay in milliseconds, or null if absent or invalid.
+ */
+function parseRetryAfter(header) {
+    if (!header) return null;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Decides whether a failed attempt should be retried, and after how long.
+ * @param {object} attempt
+ * @param {string} attempt.method - The HTTP method.
+ * @param {number} attempt.attempt - The number of the failed attempt, starting at 0.
+ * @param {boolean} attempt.replayable - Whether the request body can be sent again.
+ * @param {number} [attempt.status] - The response status, for HTTP errors.
+ * @param {string} [attempt.errorCode] - The error code, for network errors and timeouts.
+ * @param {string} [attempt.retryAfter] - The Retry-After response header.
+ * @returns {number|null} The delay in milliseconds, or null to give up.
+ */
+function getRetryDelay({ method, attempt, replayable, status, errorCode, retryAfter }) {
+    if (attempt >= settings.maxRetries || !replayable) return null;
+
+    const idempotent = IDEMPOTENT_METHODS.includes(String(method).toUpperCase());
+    let retryable;
+    if (status !== undefined) {
+        // 429 means the request was rejected before processing, so it's safe for every method.
+        retryable = status === 429 || (idempotent && [502, 503, 504].includes(status));
+    } else {
+        retryable = NOT_SENT_ERROR_CODES.includes(errorCode) || (idempotent && TRANSIENT_ERROR_CODES.includes(errorCode));
+    }
+    if (!retryable) return null;
+
+    if (status === 429 || status === 503) {
+        const retryAfterMs = parseRetryAfter(retryAfter);
+        if (retryAfterMs !== null) {
+            return retryAfterMs <= settings.maxRetryAfterMs ? retryAfterMs : null;
+        }
+    }
+
+    // Exponential backoff with full jitter.
+    const ceiling = Math.min(settings.maxDelayMs, settings.baseDelayMs * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Waits for the given time.
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    settings,
+    configure,
+    withHostSlot,
+    assertCircuitClosed,
+    recordSuccess,
+    recordFailure,
+    getRetryDelay,
+    sleep,
+};
@@ -0,0 +1,137 @@
+const { createHash } = require('crypto');
+const { UriTemplate } = require('@modelcontextprotocol/sdk/shared/uriTemplate.js');
+
+/**
+ * MCP resources for AquaCloud: the URIs items, their test steps and attachments, and folders are
+ * exposed under, and subscriptions to them. AquaCloud doesn't push changes, so subscribed
+ * resources are polled and compared by a fingerprint of their content; the session also checks
+ * right after one of its tool calls changed something.
+ */
+
+// Checked in this order; the first template that matches a URI wins.
+const RESOURCE_TEMPLATES = {
+    folder: 'aqua://project/{projectId}/folder/{folderId}',
+    steps: 'aqua://{itemType}/{id}/steps',
+    attachment: 'aqua://{itemType}/{id}/attachments/{attachmentId}',
+    item: 'aqua://{itemType}/{id}',
+};
+
+const ITEM_TYPES = ['Requirement', 'TestCase', 'Defect'];
+
+const parsers = Object.entries(RESOURCE_TEMPLATES).map(([kind, template]) => ({ kind, template: new UriTemplate(template) }));
+
+/**
+ * Builds the resource URI of an item.
+ * @param {string} itemType
+ * @param {number|string} itemId - The numeric ID; leading zeros are dropped.
+ * @returns {string}
+ */
+function getItemUri(itemType, itemId) {
+    return `aqua://${itemType}/${String(itemId).replace(/^0+(?=\d)/, '')}`;
+}
+
+/**
+ * Works out which resource a URI refers to.
+ * @param {string} uri
+ * @returns {{kind: string, itemType?: string, id?: string, attachmentId?: string, projectId?: string, folderId?: string}|null}
+ *   The kind (a key of RESOURCE_TEMPLATES) and the template's variables, or null for unknown URIs.
+ */
+function parseResourceUri(uri) {
+    for (const { kind, template } of parsers) {
+        const variables = template.match(uri);
+        if (variables) return { kind, ...variables };
+    }
+    return null;
+}
+
+/**
+ * Hashes what a resource looks like, to tell whether it changed.
+ * @param {any} content - Anything JSON-serializable.
+ * @returns {string}
+ */
+function fingerprintContent(content) {
+    return createHash('sha256').update(JSON.stringify(content ?? null)).digest('hex');
+}
+
+/**
+ * Creates the resource subscriptions of one session.
+ * @param {object} options
+ * @param {function(string): Promise<string>} options.fingerprint - Fingerprints a subscribed URI's current content.
+ * @param {function(string): void} options.onUpdated - Called with a URI whose content changed.
+ * @param {number} options.intervalMs - How often subscribed resources are checked.
+ * @returns {{subscribe: function(string): Promise<void>, unsubscribe: function(string): void, check: function(): Promise<void>, close: function(): void}}
+ */
+function createResourceSubscriptions({ fingerprint, onUpdated, intervalMs }) {
+    const subscriptions = new Map(); // URI -> last fingerprint
+    let timer = null;
+    let running = null; // The check in progress; checks don't overlap
+
+    // A resource that can't be read (e.g., a deleted item) has changed, too.
+    const safeFingerprint = (uri) => fingerprint(uri).catch(error => `error:${error.response?.status ?? error.message}`);
+
+    const runCheck = async () => {
+        for (const [uri, last] of subscriptions) {
+            const current = await safeFingerprint(uri);
+            if (!subscriptions.has(uri)) continue; // Unsubscribed meanwhile
+            if (current !== last) {
+                subscriptions.set(uri, current);
+                onUpdated(uri);
+            }
+        }
+    };
+
+    /**
+     * Checks all subscribed resources now.
+     * @returns {Promise<void>}
+     */
+    const check = () => {
+        if (!running) {
+            running = runCheck().catch(error => console.error('[Aqua-MCP-Standalone] Resource check failed:', error.message))
+                .finally(() => { running = null; });
+        }
+        return running;
+    };
+
+    return {
+        /**
+         * Starts watching a resource.
+         * @param {string} uri
+         */
+        async subscribe(uri) {
+            subscriptions.set(uri, await safeFingerprint(uri));
+            if (!timer) {
+                timer = setInterval(check, intervalMs);
+                timer.unref(); // Subscriptions alone don't keep the process alive
+            }
+        },
+        /**
+         * Stops watching a resource.
+         * @param {string} uri
+         */
+        unsubscribe(uri) {
+            subscriptions.delete(uri);
+            if (subscriptions.size === 0 && timer) {
+                clearInterval(timer);
+                timer = null;
+            }
+        },
+        check: () => (subscriptions.size > 0 ? check() : Promise.resolve()),
+        /**
+         * Drops all subscriptions, e.g. when the session closes.
+         */
+        close() {
+            subscriptions.clear();
+            if (timer) clearInterval(timer);
+            timer = null;
+        },
+    };
+}
+
+module.exports = {
+    RESOURCE_TEMPLATES,
+    ITEM_TYPES,
+    getItemUri,
+    parseResourceUri,
+    fingerprintContent,
+    createResourceSubscriptions,
+};
@@ -0,0 +1,261 @@
+const TurndownService = require('turndown');
+const { gfm } = require('turndown-plugin-gfm');
+const MarkdownIt = require('markdown-it');
+const sanitizeHtml = require('sanitize-html');
+
+/**
+ * Conversion between AquaCloud's rich-text HTML (descriptions, comments, test steps) and the
+ * formats tools read and write: Markdown, HTML or plain text. Everything written to AquaCloud
+ * goes through sanitizeAquaHtml, whatever format it came in.
+ */
+
+const RICH_TEXT_FORMATS = ['markdown', 'html', 'text'];
+
+// The markup AquaCloud's editor produces and renders.
+const SANITIZE_OPTIONS = {
+    allowedTags: [
+        'p', 'br', 'div', 'span', 'strong', 'b', 'em', 'i', 'u', 's', 'del', 'sub', 'sup',
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'hr', 'pre', 'code',
+        'ul', 'ol', 'li', 'a', 'img',
+        'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'caption', 'colgroup', 'col',
+    ],
+    allowedAttributes: {
+        a: ['href', 'title', 'target'],
+        img: ['src', 'alt', 'title', 'width', 'height'],
+        td: ['colspan', 'rowspan'],
+        th: ['colspan', 'rowspan'],
+        ol: ['start'],
+    },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    allowedSchemesByTag: { img: ['http', 'https', 'data'] },
+    allowProtocolRelative: false,
+};
+
+// Whitespace around block-level tags, which only lays out the markup.
+const BLOCK_TAG_WHITESPACE = /\s*(<\/?(?:p|div|ul|ol|li|table|thead|tbody|tfoot|tr|th|td|h[1-6]|blockquote|hr|caption)\b[^>]*>)\s*/gi;
+
+const markdownParser = new MarkdownIt({ html: true, linkify: true, breaks: true });
+
+/**
+ * Tells whether a table row is a header row, as the GFM plugin of turndown sees it.
+ * @param {HTMLElement} row
+ * @returns {boolean}
+ */
+function isHeadingRow(row) {
+    if (!row) return false;
+    const parent = row.parentNode;
+    return parent.nodeName === 'THEAD'
+        || (parent.firstChild === row
+            && (parent.nodeName === 'TABLE' || parent.previousSibling === null || parent.previousSibling.nodeName === 'COLGROUP')
+            && Array.prototype.every.call(row.childNodes, node => node.nodeName === 'TH'));
+}
+
+/**
+ * Creates a turndown instance for one conversion.
+ * @param {string} [aquaUrl] - Used to make relative image and link URLs absolute.
+ * @returns {TurndownService}
+ */
+function createTurndown(aquaUrl) {
+    const turndown = new TurndownService({
+        headingStyle: 'atx',
+        codeBlockStyle: 'fenced',
+        bulletListMarker: '-',
+        emDelimiter: '_',
+    });
+    turndown.use(gfm);
+
+    const absolute = (url) => {
+        if (!url || !aquaUrl || /^[a-z][a-z0-9+.-]*:/i.test(url)) return url;
+        return new URL(url, `${aquaUrl}/`).toString();
+    };
+
+    // One space after the list marker instead of turndown's column-aligned padding.
+    turndown.addRule('listItem', {
+        filter: 'li',
+        replacement: (content, node) => {
+            const parent = node.parentNode;
+            let prefix = '- ';
+            if (parent.nodeName === 'OL') {
+                const start = Number(parent.getAttribute('start')) || 1;
+                prefix = `${start + Array.prototype.indexOf.call(parent.children, node)}. `;
+            }
+            const body = content.replace(/^\n+/, '').replace(/\n+$/, '\n').replace(/\n/gm, `\n${' '.repeat(prefix.length)}`);
+            return prefix + body + (node.nextSibling && !/\n$/.test(body) ? '\n' : '');
+        },
+    });
+
+    turndown.addRule('image', {
+        filter: 'img',
+        replacement: (content, node) => {
+            const src = node.getAttribute('src') || '';
+            const alt = (node.getAttribute('alt') || '').replace(/[\[\]]/g, '');
+            // Embedded images would flood the output; mention them instead.
+            if (src.startsWith('data:')) return `[embedded image${alt ? `: ${alt}` : ''}]`;
+            return src ? `![${alt}](${absolute(src)})` : '';
+        },
+    });
+
+    turndown.addRule('link', {
+        filter: node => node.nodeName === 'A' && node.getAttribute('href'),
+        replacement: (content, node) => {
+            const href = absolute(node.getAttribute('href'));
+            return content.trim() && content.trim() !== href ? `[${content.trim()}](${href})` : `<${href}>`;
+        },
+    });
+
+    // AquaCloud's editor writes code blocks as <pre> without <code>.
+    turndown.addRule('preformatted', {
+        filter: node => node.nodeName === 'PRE' && !(node.firstChild && node.firstChild.nodeName === 'CODE'),
+        replacement: (content, node) => `\n\n\`\`\`\n${node.textContent.replace(/\n$/, '')}\n\`\`\`\n\n`,
+    });
+
+    // Table cells must stay on one line, and pipes inside them must not end the cell.
+    turndown.addRule('tableCell', {
+        filter: ['th', 'td'],
+        replacement: (content, node) => {
+            const index = Array.prototype.indexOf.call(node.parentNode.childNodes, node);
+            const text = content.trim().replace(/\s*\n\s*/g, '<br>').replace(/\|/g, '\\|');
+            return `${index === 0 ? '| ' : ' '}${text} |`;
+        },
+    });
+
+    // Tables without a header row are kept as HTML by the GFM plugin; use their first row as the header instead.
+    turndown.addRule('tableWithoutHeading', {
+        filter: node => node.nodeName === 'TABLE' && node.rows && node.rows.length > 0 && !isHeadingRow(node.rows[0]),
+        replacement: (content, node) => {
+            const lines = content.split('\n').filter(line => line.trim());
+            if (lines.length === 0) return '';
+            const columns = Math.max(...Array.prototype.map.call(node.rows, row => row.cells.length));
+            const separator = `| ${Array(columns).fill('---').join(' | ')} |`;
+            return `\n\n${[lines[0], separator, ...lines.slice(1)].join('\n')}\n\n`;
+        },
+    });
+
+    return turndown;
+}
+
+/**
+ * Converts AquaCloud HTML into Markdown (GFM tables, lists, links, images and code blocks).
+ * @param {string} html
+ * @param {object} [options]
+ * @param {string} [options.aquaUrl] - Used to make relative image and link URLs absolute.
+ * @returns {string}
+ */
+function htmlToMarkdown(html, { aquaUrl } = {}) {
+    if (!html) return '';
+    return createTurndown(aquaUrl).turndown(sanitizeAquaHtml(html)).replace(/^[ \t]+$/gm, '').trim();
+}
+
+/**
+ * Converts AquaCloud HTML into plain text.
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+    if (!html) return '';
+    const text = sanitizeAquaHtml(html)
+        .replace(BLOCK_TAG_WHITESPACE, '$1') // Layout whitespace around block tags, e.g. between table cells
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<li[^>]*>/gi, '- ')
+        .replace(/<\/(td|th)>/gi, '\t')
+        .replace(/<\/(p|div|li|tr|h[1-6]|blockquote|pre|table)>/gi, '\n')
+        .replace(/<[^>]+>/g, '');
+    return decodeEntities(text).replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Decodes the HTML entities sanitize-html leaves in text.
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isFinite(point) ? String.fromCodePoint(point) : entity;
+        }
+        return named[code.toLowerCase()] ?? entity;
+    });
+}
+
+/**
+ * Removes everything AquaCloud shouldn't store: scripts, event handlers, styles and unknown markup.
+ * @param {string} html
+ * @returns {string}
+ */
+function sanitizeAquaHtml(html) {
+    return sanitizeHtml(html || '', SANITIZE_OPTIONS);
+}
+
+/**
+ * Converts Markdown (including GFM tables) into sanitized AquaCloud HTML.
+ * Inline HTML in the Markdown is kept, if it survives sanitizing.
+ * @param {string} markdown
+ * @returns {string}
+ */
+function markdownToHtml(markdown) {
+    return sanitizeAquaHtml(markdownParser.render(markdown || '')).trim();
+}
+
+/**
+ * Escapes text for use in HTML.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Converts plain text into AquaCloud HTML: blank lines separate paragraphs, other line breaks are kept.
+ * @param {string} text
+ * @returns {string}
+ */
+function textToHtml(text) {
+    return String(text || '').trim().split(/\n\s*\n/).filter(Boolean)
+        .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`).join('');
+}
+
+/**
+ * Converts AquaCloud HTML for a tool's output.
+ * @param {string} html
+ * @param {string} format - One of RICH_TEXT_FORMATS.
+ * @param {object} [options] - See htmlToMarkdown.
+ * @returns {string}
+ */
+function fromAquaHtml(html, format, options = {}) {
+    switch (format) {
+        case 'html': return html || '';
+        case 'text': return htmlToText(html);
+        case 'markdown': return htmlToMarkdown(html, options);
+        default: throw new Error(`Unknown format "${format}". Use one of ${RICH_TEXT_FORMATS.join(', ')}.`);
+    }
+}
+
+/**
+ * Converts a tool's input into sanitized AquaCloud HTML.
+ * @param {string} content
+ * @param {string} format - One of RICH_TEXT_FORMATS.
+ * @returns {string}
+ */
+function toAquaHtml(content, format) {
+    switch (format) {
+        case 'html': return sanitizeAquaHtml(content);
+        case 'text': return textToHtml(content);
+        case 'markdown': return markdownToHtml(content);
+        default: throw new Error(`Unknown format "${format}". Use one of ${RICH_TEXT_FORMATS.join(', ')}.`);
+    }
+}
+
+module.exports = {
+    RICH_TEXT_FORMATS,
+    htmlToMarkdown,
+    htmlToText,
+    markdownToHtml,
+    escapeHtml,
+    textToHtml,
+    sanitizeAquaHtml,
+    fromAquaHtml,
+    toAquaHtml,
+};
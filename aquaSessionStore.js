@@ -0,0 +1,226 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const aquaCrypto = require('./aquaCrypto.js');
+
+/**
+ * Session store drivers persist session records ({ data, createdAt, lastAccessedAt }) by session ID.
+ * Every driver implements the same async interface:
+ *   get(id) -> record | null, set(id, record), add(id, record) -> boolean, delete(id), keys() -> Array<string>
+ * where add only stores a record if the ID is free, atomically, and tells whether it did.
+ * so the store below doesn't care where sessions live.
+ */
+
+/**
+ * Creates a driver that keeps sessions in this process only.
+ * @returns {object} A session store driver.
+ */
+function createMemorySessionDriver() {
+    const records = new Map();
+    return {
+        async get(id) {
+            const record = records.get(id);
+            // Hand out copies, so the driver behaves like the persistent ones.
+            return record ? JSON.parse(record) : null;
+        },
+        async set(id, record) {
+            records.set(id, JSON.stringify(record));
+        },
+        async add(id, record) {
+            if (records.has(id)) return false;
+            records.set(id, JSON.stringify(record));
+            return true;
+        },
+        async delete(id) {
+            records.delete(id);
+        },
+        async keys() {
+            return [...records.keys()];
+        },
+    };
+}
+
+/**
+ * Creates a driver that stores each session as a file in a directory. Several server
+ * instances can share sessions by pointing at the same directory.
+ * Sessions hold credentials and AquaCloud tokens, so records are encrypted with the master key
+ * (AES-256-GCM, see aquaCrypto.js) and the files are only readable by the owner.
+ * @param {object} options
+ * @param {string} options.directory - The directory to store session files in. Created if missing.
+ * @param {string} [options.masterKey] - Defaults to AQUA_MCP_MASTER_KEY.
+ * @param {boolean} [options.encrypted=true] - False stores plain JSON, for records without secrets.
+ * @returns {object} A session store driver.
+ * @throws {Error} if records are to be encrypted but no master key is configured.
+ */
+function createFileSessionDriver({ directory, masterKey = process.env.AQUA_MCP_MASTER_KEY, encrypted = true }) {
+    if (encrypted && !masterKey) {
+        throw new Error('The file session store encrypts sessions with AQUA_MCP_MASTER_KEY, which is not set. Set it (e.g., to the output of `openssl rand -base64 32`) or use the memory session store.');
+    }
+    const ready = fs.mkdir(directory, { recursive: true, mode: 0o700 });
+
+    const fileFor = (id) => {
+        // Session IDs are UUIDs; refuse anything that could escape the directory.
+        if (!/^[A-Za-z0-9-]+$/.test(id)) {
+            throw new Error(`Invalid session ID "${id}".`);
+        }
+        return path.join(directory, `${id}.json`);
+    };
+
+    return {
+        async get(id) {
+            await ready;
+            let content;
+            try {
+                content = await fs.readFile(fileFor(id), 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+            if (!encrypted) return JSON.parse(content);
+            if (content.startsWith('{')) {
+                // Written unencrypted by an earlier version; its tokens shouldn't stay on disk.
+                await fs.rm(fileFor(id), { force: true });
+                return null;
+            }
+            return JSON.parse(aquaCrypto.decrypt(content, masterKey));
+        },
+        async set(id, record) {
+            await ready;
+            const file = fileFor(id);
+            const content = encrypted ? aquaCrypto.encrypt(JSON.stringify(record), masterKey) : JSON.stringify(record);
+            // Write to a temporary file first so readers never see a half-written session.
+            const tempFile = `${file}.${process.pid}.tmp`;
+            await fs.writeFile(tempFile, content, { mode: 0o600 });
+            await fs.rename(tempFile, file);
+        },
+        async add(id, record) {
+            await ready;
+            const file = fileFor(id);
+            const content = encrypted ? aquaCrypto.encrypt(JSON.stringify(record), masterKey) : JSON.stringify(record);
+            // Linking fails if the file exists, so only one of several instances can add it.
+            const tempFile = `${file}.${process.pid}.${randomUUID()}.tmp`;
+            await fs.writeFile(tempFile, content, { mode: 0o600 });
+            try {
+                await fs.link(tempFile, file);
+                return true;
+            } catch (error) {
+                if (error.code === 'EEXIST') return false;
+                throw error;
+            } finally {
+                await fs.rm(tempFile, { force: true });
+            }
+        },
+        async delete(id) {
+            await ready;
+            await fs.rm(fileFor(id), { force: true });
+        },
+        async keys() {
+            await ready;
+            const files = await fs.readdir(directory);
+            return files.filter(file => file.endsWith('.json')).map(file => file.slice(0, -'.json'.length));
+        },
+    };
+}
+
+/**
+ * Creates a session store with idle-timeout and absolute-TTL eviction on top of a driver.
+ * @param {object} options
+ * @param {object} options.driver - A driver from createMemorySessionDriver or createFileSessionDriver.
+ * @param {number} options.idleTimeoutMs - Sessions not used for this long are evicted.
+ * @param {number} options.absoluteTtlMs - Sessions older than this are evicted, even if in use.
+ * @param {number} [options.sweepIntervalMs=60000] - How often to look for expired sessions.
+ * @param {function(string): void} [options.onExpire] - Called with the ID of every evicted session.
+ * @returns {{get: function, getRecord: function, save: function, delete: function, sweep: function, close: function}}
+ */
+function createSessionStore({ driver, idleTimeoutMs, absoluteTtlMs, sweepIntervalMs = 60000, onExpire = () => {} }) {
+    const isExpired = (record, now = Date.now()) =>
+        now - record.lastAccessedAt > idleTimeoutMs || now - record.createdAt > absoluteTtlMs;
+
+    const evict = async (id) => {
+        await driver.delete(id);
+        console.log(`[Aqua-MCP-Standalone] Session expired: ${id}`);
+        onExpire(id);
+    };
+
+    const store = {
+        /**
+         * Gets a session's data. Expired sessions are evicted and reported as missing.
+         * @param {string} id
+         * @returns {Promise<object|null>}
+         */
+        async get(id) {
+            const record = await store.getRecord(id);
+            return record ? record.data : null;
+        },
+
+        /**
+         * Gets a session's record, which also tells when it was last saved. Expired sessions are
+         * evicted and reported as missing.
+         * @param {string} id
+         * @returns {Promise<{data: object, createdAt: number, lastAccessedAt: number}|null>}
+         */
+        async getRecord(id) {
+            const record = await driver.get(id);
+            if (!record) return null;
+            if (isExpired(record)) {
+                await evict(id);
+                return null;
+            }
+            return record;
+        },
+
+        /**
+         * Saves a session's data and marks it as used now.
+         * @param {string} id
+         * @param {object} data
+         * @returns {Promise<number>} The time it was saved at (the record's lastAccessedAt).
+         */
+        async save(id, data) {
+            const now = Date.now();
+            const existing = await driver.get(id);
+            await driver.set(id, { data, createdAt: existing ? existing.createdAt : now, lastAccessedAt: now });
+            return now;
+        },
+
+        /**
+         * Removes a session.
+         * @param {string} id
+         */
+        async delete(id) {
+            await driver.delete(id);
+        },
+
+        /**
+         * Evicts every expired session.
+         */
+        async sweep() {
+            const now = Date.now();
+            for (const id of await driver.keys()) {
+                const record = await driver.get(id);
+                if (record && isExpired(record, now)) {
+                    await evict(id);
+                }
+            }
+        },
+
+        /**
+         * Stops the periodic sweep.
+         */
+        close() {
+            clearInterval(timer);
+        },
+    };
+
+    const timer = setInterval(() => {
+        store.sweep().catch(error => console.error('[Aqua-MCP-Standalone] Session sweep failed:', error.message));
+    }, sweepIntervalMs);
+    timer.unref();
+
+    return store;
+}
+
+module.exports = {
+    createMemorySessionDriver,
+    createFileSessionDriver,
+    createSessionStore,
+};
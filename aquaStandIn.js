@@ -0,0 +1,548 @@
+const express = require('express');
+const { randomBytes } = require('crypto');
+const { parseArgs } = require('util');
+const aquaQuery = require('./aquaQuery.js');
+
+/**
+ * A local stand-in for AquaCloud. It keeps a small demo project in memory and implements the
+ * endpoints aquaUtils uses (token, items, Post, Lock, TestStep, Attachment, ItemList, Dependency,
+ * TestExecution, project metadata), so the MCP tools can be exercised end-to-end without a tenant.
+ * It is deliberately simple: no permissions, folders or history, and every instance starts from the same seed.
+ */
+
+const ITEM_TYPES = ['Requirement', 'TestCase', 'Defect'];
+
+const STATUS_ENTRIES = [
+    { Id: 1, Name: 'To Do' },
+    { Id: 2, Name: 'In Progress' },
+    { Id: 3, Name: 'Done' },
+    { Id: 4, Name: 'Closed' },
+];
+const PRIORITY_ENTRIES = [
+    { Id: 11, Name: 'Low' },
+    { Id: 12, Name: 'Medium' },
+    { Id: 13, Name: 'High' },
+];
+const SEVERITY_ENTRIES = [
+    { Id: 31, Name: 'Critical' },
+    { Id: 32, Name: 'Major' },
+    { Id: 33, Name: 'Minor' },
+    { Id: 34, Name: 'Cosmetic' },
+];
+const TAG_ENTRIES = [
+    { Id: 21, Name: 'ui' },
+    { Id: 22, Name: 'api' },
+    { Id: 23, Name: 'regression' },
+];
+
+/**
+ * Builds the field definitions of the demo project (the same for every item type).
+ * @param {Array<{Id: number, Name: string}>} userEntries
+ * @returns {Array<object>}
+ */
+function getFieldDefinitions(userEntries) {
+    return [
+        { FieldId: 'Status', Name: 'Status', FieldType: 'List', Required: true, entries: STATUS_ENTRIES },
+        { FieldId: 'Priority', Name: 'Priority', FieldType: 'List', entries: PRIORITY_ENTRIES },
+        { FieldId: 'AssignedTo', Name: 'Assigned To', FieldType: 'User', entries: userEntries },
+        { FieldId: 'Severity', Name: 'Severity', FieldType: 'List', entries: SEVERITY_ENTRIES },
+        { FieldId: 'Tags', Name: 'Tags', FieldType: 'MultiList', entries: TAG_ENTRIES },
+        { FieldId: 'Estimate', Name: 'Estimate', FieldType: 'Decimal' },
+        { FieldId: 'DueDate', Name: 'Due Date', FieldType: 'DateTime' },
+        { FieldId: 'CreatedBy', Name: 'Created By', FieldType: 'User', ReadOnly: true, entries: userEntries },
+    ];
+}
+
+/**
+ * Strips HTML tags, for the PlainText of descriptions.
+ * @param {string} html
+ * @returns {string}
+ */
+function toPlainText(html) {
+    return String(html || '').replace(/<br\s*\/?>|<\/p>/gi, '\n').replace(/<[^>]+>/g, '').replace(/&nbsp;/g, ' ').trim();
+}
+
+/**
+ * Evaluates an ItemList filter expression (see aquaQuery.buildFilter) against an item.
+ * @param {Array} expression
+ * @param {object} item
+ * @returns {boolean}
+ */
+function matchesFilter(expression, item) {
+    if (typeof expression[0] === 'string') {
+        const [field, operator, expected] = expression;
+        const actual = aquaQuery.readItemValue(item, field);
+        const same = (a, b) => String(a ?? '').toLowerCase() === String(b ?? '').toLowerCase();
+        switch (operator) {
+            case '=': return expected === null ? actual === null : same(actual, expected);
+            case '<>': return expected === null ? actual !== null : !same(actual, expected);
+            case 'contains': return String(actual ?? '').toLowerCase().includes(String(expected).toLowerCase());
+            case '<': return actual !== null && actual < expected;
+            case '>': return actual !== null && actual > expected;
+            default: throw new Error(`Unsupported filter operator "${operator}".`);
+        }
+    }
+    let result = matchesFilter(expression[0], item);
+    for (let i = 1; i < expression.length; i += 2) {
+        const next = matchesFilter(expression[i + 1], item);
+        result = expression[i] === 'and' ? result && next : result || next;
+    }
+    return result;
+}
+
+/**
+ * Extracts the first file of a multipart/form-data body.
+ * @param {Buffer} body
+ * @param {string} contentType
+ * @returns {{fileName: string, content: Buffer}|null}
+ */
+function parseMultipartFile(body, contentType) {
+    const boundary = /boundary=([^;]+)/.exec(contentType || '');
+    if (!boundary || !Buffer.isBuffer(body)) return null;
+    const text = body.toString('latin1');
+    for (const part of text.split(`--${boundary[1]}`)) {
+        const headerEnd = part.indexOf('\r\n\r\n');
+        const fileName = /filename="([^"]*)"/.exec(part.slice(0, headerEnd));
+        if (headerEnd !== -1 && fileName) {
+            const content = part.slice(headerEnd + 4).replace(/\r\n$/, '');
+            return { fileName: fileName[1], content: Buffer.from(content, 'latin1') };
+        }
+    }
+    return null;
+}
+
+/**
+ * Creates the stand-in as an Express app.
+ * @param {object} [options]
+ * @param {Array<{username: string, password: string, displayName: string}>} [options.users] - The accounts that can log in.
+ * @returns {express.Express}
+ */
+function createStandInApp({ users = [{ username: 'demo', password: 'demo', displayName: 'User, Demo (demo)' }] } = {}) {
+    const userEntries = [
+        ...users.map((user, i) => ({ Id: 100 + i, Name: user.displayName })),
+        { Id: 199, Name: 'Agent, Notar Cloud (ncagent)' },
+    ];
+    const fieldDefinitions = getFieldDefinitions(userEntries);
+
+    const state = {
+        items: new Map(), // "Type:Id" -> item
+        subrequirements: new Map(), // parent ID -> child IDs
+        relations: [],
+        attachments: new Map(),
+        executions: [],
+        posts: [],
+        accessTokens: new Map(), // token -> username
+        refreshTokens: new Map(),
+        nextId: 1,
+    };
+    const nextId = () => state.nextId++;
+    const displayName = (username) => (users.find(user => user.username === username) || {}).displayName || username;
+
+    const toFieldValue = (fieldId, value) => {
+        const definition = fieldDefinitions.find(field => field.FieldId === fieldId);
+        if (!definition || !definition.entries || value === null || typeof value === 'object' && !Array.isArray(value)) return value;
+        const toEntry = (id) => {
+            const entry = definition.entries.find(e => e.Id === Number(id) || e.Name === id);
+            if (!entry) throw Object.assign(new Error(`"${id}" is not a valid value for field ${fieldId}.`), { status: 400 });
+            return { Id: entry.Id, Text: entry.Name };
+        };
+        return Array.isArray(value) ? value.map(toEntry) : toEntry(value);
+    };
+
+    const setField = (item, fieldId, value) => {
+        if (fieldId === 'Name') item.Name = value;
+        const converted = toFieldValue(fieldId, value);
+        const detail = item.Details.find(d => d.FieldId === fieldId);
+        if (detail) detail.Value = converted; else item.Details.push({ FieldId: fieldId, Value: converted });
+    };
+
+    const createItem = (type, { name, description = '', projectId = 1, folderId = 0, fields = {}, createdBy = 'demo' }) => {
+        const now = new Date().toISOString();
+        const item = {
+            Id: nextId(),
+            Type: type,
+            Name: name,
+            Location: { ProjectId: projectId, FolderId: folderId },
+            Version: { Version: 1 },
+            Details: [],
+            Description: { Html: description, PlainText: toPlainText(description) },
+            CreatedDateTime: now,
+            LastModifiedDateTime: now,
+        };
+        setField(item, 'Name', name);
+        setField(item, 'Status', fields.Status ?? 1);
+        setField(item, 'CreatedBy', displayName(createdBy));
+        for (const [fieldId, value] of Object.entries(fields)) {
+            if (fieldId !== 'Status') setField(item, fieldId, value);
+        }
+        if (type === 'TestCase') item.TestSteps = [];
+        state.items.set(`${type}:${item.Id}`, item);
+        return item;
+    };
+
+    const addTestStep = (testCase, step) => {
+        testCase.TestSteps.push({
+            Id: nextId(),
+            Index: step.Index ?? testCase.TestSteps.length + 1,
+            Name: step.Name || '',
+            Description: { Html: step.Description?.Html || '' },
+            ExpectedResult: { Html: step.ExpectedResult?.Html || '' },
+            StepType: step.StepType || 'Step',
+        });
+    };
+
+    // --- Seed data ---
+    const epic = createItem('Requirement', { name: 'Checkout', description: '<p>Everything about paying for an order.</p>', fields: { Priority: 13 } });
+    const card = createItem('Requirement', { name: 'Pay by card', description: '<p>Customers can pay with a credit card.</p>', fields: { AssignedTo: 199, Priority: 13 } });
+    const invoice = createItem('Requirement', { name: 'Pay by invoice', description: '<p>Business customers can pay by invoice.</p>', fields: { Status: 2 } });
+    state.subrequirements.set(epic.Id, [card.Id, invoice.Id]);
+    const cardTest = createItem('TestCase', { name: 'Card payment succeeds', description: '<p>Happy path for card payments.</p>' });
+    [['Open the cart', 'The cart is shown'], ['Pay with a valid card', 'The payment is accepted'], ['Open the order', 'The order is marked as paid']]
+        .forEach(([instructions, expected]) => addTestStep(cardTest, { Name: instructions, Description: { Html: instructions }, ExpectedResult: { Html: expected } }));
+    const declined = createItem('Defect', { name: 'Valid card declined on second attempt', description: '<p>Retrying a payment declines the card.</p>', fields: { Priority: 12 } });
+    state.relations.push({ Id: nextId(), from: { ItemId: card.Id, ItemType: 'Requirement' }, to: { ItemId: cardTest.Id, ItemType: 'TestCase' }, DependencyType: 'Covers' });
+    state.relations.push({ Id: nextId(), from: { ItemId: cardTest.Id, ItemType: 'TestCase' }, to: { ItemId: declined.Id, ItemType: 'Defect' }, DependencyType: 'Related' });
+    state.executions.push({ Id: nextId(), TestCaseId: cardTest.Id, TestCaseName: cardTest.Name, Status: 'Failed', ExecutionDate: new Date().toISOString(), ExecutedBy: displayName('demo'), Steps: [{ Index: 1, Status: 'Pass' }, { Index: 2, Status: 'Failed' }, { Index: 3, Status: 'NotRun' }] });
+
+    const app = express();
+    app.use(express.json({ limit: '50mb' }));
+    app.use(express.urlencoded({ extended: false }));
+    app.use(express.raw({ type: 'multipart/form-data', limit: '50mb' }));
+
+    const fail = (res, status, message) => res.status(status).json({ Message: message });
+
+    const issueTokens = (res, username) => {
+        const accessToken = randomBytes(24).toString('hex');
+        const refreshToken = randomBytes(24).toString('hex');
+        state.accessTokens.set(accessToken, username);
+        state.refreshTokens.set(refreshToken, username);
+        res.json({ access_token: accessToken, token_type: 'bearer', expires_in: 3600, refresh_token: refreshToken });
+    };
+
+    app.post('/api/token', (req, res) => {
+        const { grant_type: grantType } = req.body || {};
+        if (grantType === 'password') {
+            const user = users.find(u => u.username === req.body.username && u.password === req.body.password);
+            if (!user) return res.status(400).json({ error: 'invalid_grant', error_description: 'The user name or password is incorrect.' });
+            return issueTokens(res, user.username);
+        }
+        if (grantType === 'refresh_token') {
+            const username = state.refreshTokens.get(req.body.refresh_token);
+            if (!username) return res.status(400).json({ error: 'invalid_grant' });
+            state.refreshTokens.delete(req.body.refresh_token);
+            return issueTokens(res, username);
+        }
+        return res.status(400).json({ error: 'unsupported_grant_type' });
+    });
+
+    // Everything else needs a bearer token.
+    app.use('/api', (req, res, next) => {
+        const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+        const username = match && state.accessTokens.get(match[1]);
+        if (!username) return fail(res, 401, 'Authorization has been denied for this request.');
+        req.username = username;
+        next();
+    });
+
+    const findItem = (res, type, id) => {
+        if (!ITEM_TYPES.includes(type)) {
+            fail(res, 404, `Unknown item type "${type}".`);
+            return null;
+        }
+        const item = state.items.get(`${type}:${Number(id)}`);
+        if (!item) fail(res, 404, `${type} ${id} does not exist.`);
+        return item || null;
+    };
+
+    const touch = (item) => {
+        item.Version.Version++;
+        item.LastModifiedDateTime = new Date().toISOString();
+    };
+
+    app.get('/api/Project', (req, res) => {
+        res.json([{ Id: 1, Name: 'Demo Project', Description: { Html: '<p>Stand-in demo project.</p>', PlainText: 'Stand-in demo project.' } }]);
+    });
+
+    app.get('/api/Project/:projectId/Meta/:type/Fields', (req, res) => {
+        res.json(fieldDefinitions.map(({ entries, ...definition }) => definition));
+    });
+
+    app.get('/api/Project/:projectId/Meta/:type/Fields/:fieldId', (req, res) => {
+        const definition = fieldDefinitions.find(field => field.FieldId === req.params.fieldId);
+        if (!definition) return fail(res, 404, `Field ${req.params.fieldId} does not exist.`);
+        res.json({ ...definition, entries: undefined, Entries: definition.entries || [] });
+    });
+
+    app.post('/api/Navigation/ItemList', (req, res) => {
+        const { itemType = 'Requirement', projectId, maxResults = 50 } = req.query;
+        let filter = null;
+        let sorting = [];
+        try {
+            filter = req.body.Filter ? JSON.parse(req.body.Filter) : null;
+            sorting = req.body.Sorting ? JSON.parse(req.body.Sorting) : [];
+        } catch (error) {
+            return fail(res, 400, `Invalid Filter or Sorting: ${error.message}`);
+        }
+        const search = String(req.body.Search || '').toLowerCase();
+
+        let items = [...state.items.values()].filter(item =>
+            item.Type === itemType
+            && (!projectId || String(item.Location.ProjectId) === String(projectId))
+            && (!search || item.Name.toLowerCase().includes(search)));
+        try {
+            if (filter) items = items.filter(item => matchesFilter(filter, item));
+        } catch (error) {
+            return fail(res, 400, error.message);
+        }
+        items.sort((a, b) => {
+            for (const [field, direction] of sorting) {
+                const x = aquaQuery.readItemValue(a, field);
+                const y = aquaQuery.readItemValue(b, field);
+                if (x === y) continue;
+                const order = x === null ? -1 : y === null ? 1 : x < y ? -1 : 1;
+                return direction === 'desc' ? -order : order;
+            }
+            return 0;
+        });
+        const page = items.slice(0, Number(maxResults));
+        res.json({ Count: items.length, Items: page.map(({ TestSteps, ...item }) => item) });
+    });
+
+    app.get('/api/Attachment/:attachmentId', (req, res) => {
+        const attachment = state.attachments.get(Number(req.params.attachmentId));
+        if (!attachment) return fail(res, 404, `Attachment ${req.params.attachmentId} does not exist.`);
+        res.type('application/octet-stream').send(attachment.content);
+    });
+
+    app.get('/api/TestExecution', (req, res) => {
+        const testCaseId = req.query.testCaseId ? Number(req.query.testCaseId) : null;
+        res.json(state.executions.filter(execution => !testCaseId || execution.TestCaseId === testCaseId));
+    });
+
+    app.post('/api/TestExecution', (req, res) => {
+        const executions = Array.isArray(req.body) ? req.body : [req.body];
+        for (const execution of executions) {
+            if (!state.items.has(`TestCase:${execution.TestCaseId}`)) return fail(res, 400, `TestCase ${execution.TestCaseId} does not exist.`);
+        }
+        res.json(executions.map(execution => {
+            const created = { ...execution, Id: nextId(), ExecutionDate: new Date().toISOString(), ExecutedBy: displayName(req.username) };
+            state.executions.push(created);
+            return { Id: created.Id };
+        }));
+    });
+
+    app.get('/api/TestCase/:id/TestStep', (req, res) => {
+        const item = findItem(res, 'TestCase', req.params.id);
+        if (item) res.json(item.TestSteps);
+    });
+
+    app.get('/api/:type/:id/SubrequirementTree', (req, res) => {
+        const root = findItem(res, req.params.type, req.params.id);
+        if (!root) return;
+        const toNode = (item) => ({
+            Id: item.Id,
+            Name: item.Name,
+            Status: item.Details.find(d => d.FieldId === 'Status')?.Value ?? null,
+            Children: (state.subrequirements.get(item.Id) || []).map(id => toNode(state.items.get(`Requirement:${id}`))),
+        });
+        res.json(toNode(root));
+    });
+
+    app.post('/api/Requirement/:id/Subrequirement', (req, res) => {
+        const parent = findItem(res, 'Requirement', req.params.id);
+        if (!parent) return;
+        const childId = Number(req.body.id ?? req.body.Id);
+        if (!state.items.has(`Requirement:${childId}`)) return fail(res, 400, `Requirement ${childId} does not exist.`);
+        const children = state.subrequirements.get(parent.Id) || [];
+        if (!children.includes(childId)) children.push(childId);
+        state.subrequirements.set(parent.Id, children);
+        res.json({});
+    });
+
+    app.get('/api/:type/:id/Dependency', (req, res) => {
+        const item = findItem(res, req.params.type, req.params.id);
+        if (!item) return;
+        const isItem = (end) => end.ItemId === item.Id && end.ItemType === req.params.type;
+        res.json(state.relations.filter(r => isItem(r.from) || isItem(r.to)).map(relation => {
+            const other = isItem(relation.from) ? relation.to : relation.from;
+            const otherItem = state.items.get(`${other.ItemType}:${other.ItemId}`);
+            return { Id: relation.Id, ItemId: other.ItemId, ItemType: other.ItemType, Name: otherItem ? otherItem.Name : null, DependencyType: relation.DependencyType };
+        }));
+    });
+
+    app.post('/api/:type/:id/Dependency', (req, res) => {
+        const item = findItem(res, req.params.type, req.params.id);
+        if (!item) return;
+        const target = { ItemId: Number(req.body.ItemId), ItemType: req.body.ItemType };
+        if (!state.items.has(`${target.ItemType}:${target.ItemId}`)) return fail(res, 400, `${target.ItemType} ${target.ItemId} does not exist.`);
+        const relation = { Id: nextId(), from: { ItemId: item.Id, ItemType: req.params.type }, to: target, DependencyType: req.body.DependencyType || 'Related' };
+        state.relations.push(relation);
+        res.json({ Id: relation.Id });
+    });
+
+    app.delete('/api/:type/:id/Dependency/:relationId', (req, res) => {
+        if (!findItem(res, req.params.type, req.params.id)) return;
+        const index = state.relations.findIndex(relation => relation.Id === Number(req.params.relationId));
+        if (index === -1) return fail(res, 404, `Relation ${req.params.relationId} does not exist.`);
+        state.relations.splice(index, 1);
+        res.json({});
+    });
+
+    app.get('/api/:type/:id/Attachment', (req, res) => {
+        const item = findItem(res, req.params.type, req.params.id);
+        if (!item) return;
+        res.json([...state.attachments.values()]
+            .filter(attachment => attachment.owner === `${req.params.type}:${item.Id}`)
+            .map(({ Id, Name, Size }) => ({ Id, Name, Size })));
+    });
+
+    app.post('/api/:type/:id/Attachment', (req, res) => {
+        const item = findItem(res, req.params.type, req.params.id);
+        if (!item) return;
+        const file = parseMultipartFile(req.body, req.headers['content-type']);
+        if (!file) return fail(res, 400, 'Expected a multipart/form-data body with a file.');
+        const attachment = { Id: nextId(), Name: file.fileName, Size: file.content.length, content: file.content, owner: `${req.params.type}:${item.Id}` };
+        state.attachments.set(attachment.Id, attachment);
+        res.json({ Id: attachment.Id });
+    });
+
+    app.post('/api/:type/:id/Post', (req, res) => {
+        const item = findItem(res, req.params.type, req.params.id);
+        if (!item) return;
+        const post = { Id: nextId(), Html: req.body.Html, Author: displayName(req.username), CreatedDateTime: new Date().toISOString(), owner: `${req.params.type}:${item.Id}` };
+        state.posts.push(post);
+        res.json({ Id: post.Id });
+    });
+
+    app.post('/api/:type/:id/Lock', (req, res) => {
+        const item = findItem(res, req.params.type, req.params.id);
+        if (!item) return;
+        if (item.LockedBy && item.LockedBy !== req.username) return fail(res, 409, `${req.params.type} ${item.Id} is locked by ${displayName(item.LockedBy)}.`);
+        if (req.body.Version !== undefined && Number(req.body.Version) !== item.Version.Version) {
+            return fail(res, 409, `${req.params.type} ${item.Id} was changed in the meantime (version ${item.Version.Version}, not ${req.body.Version}).`);
+        }
+        item.LockedBy = req.username;
+        res.json({});
+    });
+
+    app.delete('/api/:type/:id/Lock', (req, res) => {
+        const item = findItem(res, req.params.type, req.params.id);
+        if (!item) return;
+        delete item.LockedBy;
+        res.json({});
+    });
+
+    app.post('/api/:type', (req, res) => {
+        const { type } = req.params;
+        if (!ITEM_TYPES.includes(type)) return fail(res, 404, `Unknown item type "${type}".`);
+        const details = req.body.Details || [];
+        const name = details.find(d => d.FieldId === 'Name')?.Value;
+        if (!name) return fail(res, 400, 'The Name field is required.');
+        try {
+            const fields = Object.fromEntries(details.filter(d => d.FieldId !== 'Name').map(d => [d.FieldId, d.Value]));
+            const item = createItem(type, {
+                name,
+                description: req.body.Description?.Html || '',
+                projectId: req.body.Location?.ProjectId ?? 1,
+                folderId: req.body.Location?.FolderId ?? 0,
+                fields,
+                createdBy: req.username,
+            });
+            res.json({ Id: item.Id });
+        } catch (error) {
+            fail(res, error.status || 500, error.message);
+        }
+    });
+
+    app.get('/api/:type/:id', (req, res) => {
+        const item = findItem(res, req.params.type, req.params.id);
+        if (!item) return;
+        const { TestSteps, LockedBy, ...details } = item;
+        res.json(details);
+    });
+
+    app.put('/api/:type/:id', (req, res) => {
+        const item = findItem(res, req.params.type, req.params.id);
+        if (!item) return;
+        // Like AquaCloud, test cases can only be changed while locked.
+        if (req.params.type === 'TestCase' && item.LockedBy !== req.username) {
+            return fail(res, 409, `TestCase ${item.Id} must be locked before it is updated.`);
+        }
+        try {
+            for (const detail of req.body.Details || []) {
+                const definition = fieldDefinitions.find(field => field.FieldId === detail.FieldId);
+                if (definition && definition.ReadOnly) return fail(res, 400, `Field ${detail.FieldId} is read-only.`);
+                setField(item, detail.FieldId, detail.Value);
+            }
+        } catch (error) {
+            return fail(res, error.status || 500, error.message);
+        }
+        if (req.body.Description) {
+            item.Description = { Html: req.body.Description.Html || '', PlainText: toPlainText(req.body.Description.Html) };
+        }
+        if (req.body.TestSteps && item.TestSteps) {
+            const { Added = [], Modified = [], Deleted = [] } = req.body.TestSteps;
+            item.TestSteps = item.TestSteps.filter(step => !Deleted.includes(step.Id));
+            for (const change of Modified) {
+                const step = item.TestSteps.find(s => s.Id === change.Id);
+                if (step) Object.assign(step, change);
+            }
+            Added.forEach(step => addTestStep(item, step));
+            item.TestSteps.sort((a, b) => a.Index - b.Index);
+        }
+        touch(item);
+        res.json({ Id: item.Id, Version: item.Version });
+    });
+
+    app.delete('/api/:type/:id', (req, res) => {
+        const item = findItem(res, req.params.type, req.params.id);
+        if (!item) return;
+        if (item.LockedBy && item.LockedBy !== req.username) return fail(res, 409, `${req.params.type} ${item.Id} is locked by ${displayName(item.LockedBy)}.`);
+        state.items.delete(`${req.params.type}:${item.Id}`);
+        if (req.params.type === 'Requirement') {
+            state.subrequirements.delete(item.Id);
+            for (const [parentId, children] of state.subrequirements) {
+                state.subrequirements.set(parentId, children.filter(id => id !== item.Id));
+            }
+        }
+        const isItem = end => end.ItemType === req.params.type && end.ItemId === item.Id;
+        state.relations = state.relations.filter(relation => !isItem(relation.from) && !isItem(relation.to));
+        res.json({});
+    });
+
+    app.use((req, res) => fail(res, 404, `No stand-in endpoint for ${req.method} ${req.path}.`));
+
+    return app;
+}
+
+/**
+ * Starts the stand-in on a port.
+ * @param {object} [options]
+ * @param {number} [options.port=5999]
+ * @param {string} [options.host='127.0.0.1']
+ * @param {Array<object>} [options.users] - See createStandInApp.
+ * @returns {import('http').Server}
+ */
+function startStandInServer({ port = 5999, host = '127.0.0.1', users } = {}) {
+    const server = createStandInApp({ users }).listen(port, host, () => {
+        console.log(`[Aqua-StandIn] Stand-in AquaCloud running on http://${host}:${server.address().port}`);
+    });
+    return server;
+}
+
+module.exports = {
+    createStandInApp,
+    startStandInServer,
+};
+
+// Usage: node aquaStandIn.js [--port <port>] [--host <address>]
+// Log in with user "demo", password "demo"; the demo project has ID 1.
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            port: { type: 'string', default: process.env.AQUA_STANDIN_PORT || '5999' },
+            host: { type: 'string', default: '127.0.0.1' },
+        },
+    });
+    startStandInServer({ port: parseInt(values.port, 10), host: values.host });
+}
@@ -0,0 +1,127 @@
+// Statuses AquaCloud accepts for a test execution and for each executed step.
+const EXECUTION_STATUSES = ['Pass', 'Failed', 'Blocked', 'NotRun'];
+
+/**
+ * Builds a TestExecution payload from a TestCase's steps and the reported results.
+ *
+ * Steps are matched by `stepId` or by `index` (1-based position). Steps without a reported
+ * result are marked 'Pass' when the overall result is 'Pass', and 'NotRun' otherwise.
+ *
+ * @param {object} testCase
+ * @param {number} testCase.id - The numeric TestCase ID.
+ * @param {string} testCase.name
+ * @param {Array<object>} testCase.steps - Steps from aquaTestSteps.normalizeTestSteps.
+ * @param {object} result
+ * @param {string} result.status - The overall result, one of EXECUTION_STATUSES.
+ * @param {Array<{index?: number, stepId?: number|string, status: string, actualResult?: string}>} [result.stepResults=[]]
+ * @param {string} [result.testedVersion]
+ * @param {number} [result.durationSeconds]
+ * @returns {object} The TestExecution payload.
+ * @throws {Error} if a step result refers to a step that doesn't exist.
+ */
+function buildTestExecution(testCase, { status, stepResults = [], testedVersion, durationSeconds }) {
+    const resultsByPosition = new Map();
+    stepResults.forEach((stepResult, i) => {
+        const position = stepResult.stepId !== undefined && stepResult.stepId !== null
+            ? testCase.steps.findIndex(step => String(step.id) === String(stepResult.stepId)) + 1
+            : stepResult.index;
+        if (!position || position < 1 || position > testCase.steps.length) {
+            throw new Error(`Step result ${i + 1}: no such step (${stepResult.stepId !== undefined ? `stepId ${stepResult.stepId}` : `index ${stepResult.index}`}). The test case has ${testCase.steps.length} step(s).`);
+        }
+        resultsByPosition.set(position, stepResult);
+    });
+
+    const execution = {
+        TestCaseId: Number(testCase.id),
+        TestCaseName: testCase.name,
+        Finalize: true,
+        Status: status,
+        Steps: testCase.steps.map((step, i) => {
+            const stepResult = resultsByPosition.get(i + 1);
+            return {
+                Index: i + 1,
+                Name: step.name,
+                StepType: step.stepType,
+                Description: { Html: step.instructions },
+                ExpectedResults: { Html: step.expectedResult },
+                ActualResults: { Html: stepResult?.actualResult || '' },
+                Status: stepResult ? stepResult.status : (status === 'Pass' ? 'Pass' : 'NotRun'),
+            };
+        }),
+    };
+    if (testedVersion) {
+        execution.TestedVersion = testedVersion;
+    }
+    if (durationSeconds !== undefined) {
+        execution.ExecutionDuration = { FieldValueType: 'TimeSpan', Value: durationSeconds, Unit: 'Second' };
+    }
+    return execution;
+}
+
+/**
+ * Reads a status-like value, which may be a plain string or a list entry object.
+ * @param {any} value
+ * @returns {string|null}
+ */
+function readText(value) {
+    if (value === null || typeof value === 'undefined') return null;
+    if (typeof value === 'object') return value.Text ?? value.Name ?? null;
+    return String(value);
+}
+
+/**
+ * Converts a raw execution into a compact, chronologically sortable entry.
+ * @param {object} execution - An entry from aquaUtils.getTestExecutions.
+ * @returns {{id: number, executedAt: string|null, status: string|null, executedBy: string|null, testedVersion: string|null, failedSteps: Array<number>}}
+ */
+function normalizeTestExecution(execution) {
+    const steps = Array.isArray(execution.Steps) ? execution.Steps : [];
+    return {
+        id: execution.Id,
+        executedAt: execution.ExecutionDate ?? execution.ExecutedOn ?? execution.CreatedDateTime ?? null,
+        status: readText(execution.Status),
+        executedBy: readText(execution.ExecutedBy ?? execution.CreatedBy),
+        testedVersion: readText(execution.TestedVersion),
+        failedSteps: steps.filter(step => readText(step.Status) === 'Failed').map(step => step.Index),
+    };
+}
+
+/**
+ * Summarizes an execution history, counting how often the result switched between pass and fail.
+ * @param {Array<object>} executions - Entries from normalizeTestExecution, in any order.
+ * @returns {{executions: Array<object>, summary: {total: number, passed: number, failed: number, other: number, lastStatus: string|null, passFailSwitches: number, flaky: boolean}}}
+ */
+function summarizeTestExecutions(executions) {
+    const sorted = [...executions].sort((a, b) => String(a.executedAt ?? '').localeCompare(String(b.executedAt ?? '')) || (a.id - b.id));
+    const passed = sorted.filter(e => e.status === 'Pass').length;
+    const failed = sorted.filter(e => e.status === 'Failed').length;
+
+    let passFailSwitches = 0;
+    let previous = null;
+    for (const execution of sorted) {
+        if (execution.status !== 'Pass' && execution.status !== 'Failed') continue;
+        if (previous && previous !== execution.status) passFailSwitches++;
+        previous = execution.status;
+    }
+
+    return {
+        executions: sorted,
+        summary: {
+            total: sorted.length,
+            passed,
+            failed,
+            other: sorted.length - passed - failed,
+            lastStatus: sorted.length ? sorted[sorted.length - 1].status : null,
+            passFailSwitches,
+            // A single regression or fix is one switch; going back and forth is a flaky test.
+            flaky: passFailSwitches >= 2,
+        },
+    };
+}
+
+module.exports = {
+    EXECUTION_STATUSES,
+    buildTestExecution,
+    normalizeTestExecution,
+    summarizeTestExecutions,
+};
@@ -0,0 +1,156 @@
+const { randomUUID } = require('crypto');
+
+/**
+ * Converts a test step as returned by aquaUtils.getTestSteps into a plain object.
+ * @param {object} step
+ * @returns {{id: number, name: string, instructions: string, expectedResult: string, stepType: string}}
+ */
+function normalizeTestStep(step) {
+    return {
+        id: step.Id,
+        name: step.Name || '',
+        instructions: step.Description?.Html || '',
+        expectedResult: step.ExpectedResult?.Html || '',
+        stepType: step.StepType || 'Step',
+    };
+}
+
+/**
+ * Sorts raw test steps by their Index and normalizes them.
+ * @param {Array<object>|null} steps - The response of aquaUtils.getTestSteps.
+ * @returns {Array<object>}
+ */
+function normalizeTestSteps(steps) {
+    return (Array.isArray(steps) ? [...steps] : [])
+        .sort((a, b) => (a.Index ?? 0) - (b.Index ?? 0))
+        .map(normalizeTestStep);
+}
+
+/**
+ * Applies edit operations to a list of test steps and builds the TestSteps change set for
+ * aquaUtils.updateLockedItem.
+ *
+ * Steps are targeted either by `stepId` or by `index`, the 1-based position of the step
+ * before any operation is applied. Positions for `insert` and `move` (`position`/`toPosition`)
+ * are 1-based positions in the list as it is when that operation runs.
+ *
+ * @param {Array<object>} steps - The current steps, from normalizeTestSteps.
+ * @param {Array<object>} operations - { action: 'modify'|'delete'|'move'|'insert', ... }.
+ * @returns {{steps: Array<object>, changes: {Added: Array, Modified: Array, Deleted: Array}, diff: object}}
+ * @throws {Error} if an operation targets a step that doesn't exist or was already deleted.
+ */
+function applyTestStepOperations(steps, operations) {
+    const before = steps.map(step => ({ ...step }));
+    let current = steps.map(step => ({ ...step }));
+    const deletedIds = [];
+    const modifiedIds = new Set();
+
+    const resolveTarget = (operation, position) => {
+        let id;
+        if (operation.stepId !== undefined && operation.stepId !== null) {
+            id = Number(operation.stepId);
+            if (!before.some(step => step.id === id)) {
+                throw new Error(`Operation ${position}: test step with ID ${operation.stepId} does not exist.`);
+            }
+        } else if (operation.index !== undefined && operation.index !== null) {
+            const step = before[operation.index - 1];
+            if (!step) {
+                throw new Error(`Operation ${position}: there is no test step at index ${operation.index} (the test case has ${before.length} step(s)).`);
+            }
+            id = step.id;
+        } else {
+            throw new Error(`Operation ${position}: either 'index' or 'stepId' is required for '${operation.action}'.`);
+        }
+
+        const currentIndex = current.findIndex(step => step.id === id);
+        if (currentIndex === -1) {
+            throw new Error(`Operation ${position}: test step ${id} was already deleted by an earlier operation.`);
+        }
+        return currentIndex;
+    };
+
+    const clampPosition = (position, length) => Math.min(Math.max(position ?? length + 1, 1), length + 1) - 1;
+
+    operations.forEach((operation, i) => {
+        const position = i + 1;
+        switch (operation.action) {
+            case 'modify': {
+                const step = current[resolveTarget(operation, position)];
+                for (const key of ['name', 'instructions', 'expectedResult']) {
+                    if (operation[key] !== undefined) step[key] = operation[key];
+                }
+                modifiedIds.add(step.id);
+                break;
+            }
+            case 'delete': {
+                const [step] = current.splice(resolveTarget(operation, position), 1);
+                deletedIds.push(step.id);
+                break;
+            }
+            case 'move': {
+                const [step] = current.splice(resolveTarget(operation, position), 1);
+                current.splice(clampPosition(operation.toPosition, current.length), 0, step);
+                break;
+            }
+            case 'insert': {
+                const step = {
+                    id: null,
+                    uniqueId: randomUUID(),
+                    name: operation.name,
+                    instructions: operation.instructions || '',
+                    expectedResult: operation.expectedResult || '',
+                    stepType: 'Step',
+                };
+                current.splice(clampPosition(operation.position, current.length), 0, step);
+                break;
+            }
+            default:
+                throw new Error(`Operation ${position}: unknown action '${operation.action}'.`);
+        }
+    });
+
+    const changes = { Added: [], Modified: [], Deleted: deletedIds };
+    const diffAfter = current.map((step, i) => {
+        const Index = i + 1;
+        const payloadStep = {
+            Name: step.name,
+            Description: { Html: step.instructions },
+            ExpectedResult: { Html: step.expectedResult },
+            Index,
+            StepType: step.stepType,
+        };
+
+        if (step.id === null) {
+            changes.Added.push({ ...payloadStep, Automation: null, uniqueId: step.uniqueId });
+            return { position: Index, id: null, name: step.name, change: 'added' };
+        }
+
+        const originalPosition = before.findIndex(original => original.id === step.id) + 1;
+        const moved = originalPosition !== Index;
+        const modified = modifiedIds.has(step.id);
+        if (moved || modified) {
+            changes.Modified.push({ Id: step.id, ...payloadStep });
+        }
+        return {
+            position: Index,
+            id: step.id,
+            name: step.name,
+            change: modified ? 'modified' : moved ? 'moved' : 'unchanged',
+            ...(moved ? { previousPosition: originalPosition } : {}),
+        };
+    });
+
+    const diff = {
+        before: before.map((step, i) => ({ position: i + 1, id: step.id, name: step.name })),
+        after: diffAfter,
+        deleted: before.filter(step => deletedIds.includes(step.id)).map(step => ({ id: step.id, name: step.name })),
+    };
+
+    return { steps: current, changes, diff };
+}
+
+module.exports = {
+    normalizeTestStep,
+    normalizeTestSteps,
+    applyTestStepOperations,
+};
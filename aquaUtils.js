@@ -2,20 +2,105 @@ const axios = require('axios');
 const { URLSearchParams } = require('url');
 require('dotenv').config();
 const FormData = require('form-data');
+const aquaQuery = require('./aquaQuery.js');
+const aquaResilience = require('./aquaResilience.js');
+const aquaRecordReplay = require('./aquaRecordReplay.js');
+
+// Endpoints that are POSTed to but only read (queries with a body).
+const READ_ONLY_POST_PATHS = ['/api/Navigation/ItemList'];
+
+// Prefix of the IDs a dry run answers planned creations with (see callApi).
+const DRY_RUN_ID_PREFIX = 'dry-run-';
+
+// What went wrong in a failed call, as reported to MCP clients (see getErrorCode).
+const TOOL_ERROR_CODES = ['AUTH_FAILED', 'NOT_FOUND', 'LOCKED', 'VALIDATION', 'UPSTREAM'];
+
+/**
+ * Classifies a failed AquaCloud response.
+ * @param {number} status
+ * @param {any} data - The response body.
+ * @param {string} url
+ * @returns {string} One of TOOL_ERROR_CODES.
+ */
+function getResponseErrorCode(status, data, url) {
+    if (status === 401 || status === 403) return 'AUTH_FAILED';
+    if (status === 404) return 'NOT_FOUND';
+    // AquaCloud answers 409 when an item is locked by someone else or must be locked first.
+    if (status === 423 || (status === 409 && (/\/Lock$/i.test(new URL(url).pathname) || /\block/i.test(JSON.stringify(data ?? ''))))) return 'LOCKED';
+    if (status === 429 || status >= 500) return 'UPSTREAM';
+    return 'VALIDATION';
+}
+
+/**
+ * Classifies any error of a tool call.
+ * @param {Error} error
+ * @returns {string} One of TOOL_ERROR_CODES: the code callApi derived from the AquaCloud response, or one
+ *   derived from the error's code; errors without one (e.g., invalid input) count as VALIDATION.
+ */
+function getErrorCode(error) {
+    if (error.errorCode) return error.errorCode;
+    switch (error.code) {
+        case 'AQUA_AUTH_FAILED':
+            // Logging in failed because AquaCloud couldn't be reached, not because of the credentials.
+            return error.cause?.errorCode === 'UPSTREAM' ? 'UPSTREAM' : 'AUTH_FAILED';
+        case 'AQUA_POLICY_DENIED':
+        case 'AQUA_POLICY_INVALID':
+            return 'VALIDATION';
+        case undefined:
+            return 'VALIDATION';
+        default:
+            return 'UPSTREAM'; // Network errors, timeouts, an open circuit, missing fixtures
+    }
+}
+
+/**
+ * Tells whether a request changes something in AquaCloud.
+ * @param {string} method
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isWriteRequest(method, url) {
+    return method.toUpperCase() !== 'GET' && !READ_ONLY_POST_PATHS.includes(new URL(url).pathname);
+}
+
+/**
+ * Tells whether an ID is a placeholder for an item a dry run only plans to create.
+ * @param {any} id
+ * @returns {boolean}
+ */
+function isDryRunId(id) {
+    return typeof id === 'string' && id.startsWith(DRY_RUN_ID_PREFIX);
+}
 
 /**
  * A helper function to make API calls to AquaCloud using axios.
+ * Requests time out, are limited per AquaCloud host, and are retried with backoff on transient
+ * failures (see aquaResilience.js). A host that keeps failing is short-circuited for a while.
+ * With AQUA_HTTP_MODE=record or replay, responses are recorded to or served from fixtures (see aquaRecordReplay.js).
+ * A request AquaCloud answers with 401 was not processed, so if auth.renew is set, the token is renewed
+ * and the request sent once more.
+ * If auth.dryRun is set, requests that would change something are added to it instead of being sent,
+ * and answered with a placeholder ID (see isDryRunId); reads still go to AquaCloud. A tool passes the
+ * placeholder on like a real ID, so its later writes are planned against it; reads of it can't be
+ * answered and fail with VALIDATION, so callers skip them (as createItem does for a planned parent).
+ * Errors carry an `errorCode` (one of TOOL_ERROR_CODES) derived from the response.
  * @param {string} url - The full URL for the API endpoint.
  * @param {string} method - The HTTP method.
  * @param {object} auth - The authentication object.
  * @param {string} auth.token - The OAuth access token.
  * @param {string} auth.type - The token type ('bearer').
+ * @param {function(string): Promise<{token: string}>} [auth.renew] - Gets a new token for a rejected one (see
+ *   aquaAuthProvider's withAuth); auth.token is then replaced, so later calls use the new token.
+ * @param {Array<object>} [auth.dryRun] - Collects the requests a dry run would send.
+ * @param {Array<object>} [auth.writes] - Collects the requests that change something (for the audit log). Each is added
+ *   before it is sent, and gets the status and data of its last response, or the error if none came.
  * @param {object|URLSearchParams} body - The request body for POST/PATCH/PUT requests.
  * @param {object} [headers={}] - Additional headers to include.
  * @param {string} [responseType=null] - The response type for axios (e.g., 'arraybuffer').
+ * @param {number} [maxBytes=null] - The largest response body to accept; larger ones fail with VALIDATION.
  * @returns {Promise<object>} - The JSON response from the API.
  */
-async function callApi(url, method, auth, body = null, headers = {}, responseType = null) {
+async function callApi(url, method, auth, body = null, headers = {}, responseType = null, maxBytes = null) {
     const options = {
         method: method,
         url: url,
@@ -24,6 +109,7 @@ async function callApi(url, method, auth, body = null, headers = {}, responseTyp
             'Content-Type': 'application/json',
             ...headers
         },
+        timeout: aquaResilience.settings.timeoutMs,
         validateStatus: () => true, // Let's handle all statuses
     };
 
@@ -35,6 +121,10 @@ async function callApi(url, method, auth, body = null, headers = {}, responseTyp
         options.responseType = responseType;
     }
 
+    if (maxBytes) {
+        options.maxContentLength = maxBytes;
+    }
+
     if (auth && auth.type === 'bearer') {
         options.headers['Authorization'] = `Bearer ${auth.token}`;
     }
@@ -43,13 +133,98 @@ async function callApi(url, method, auth, body = null, headers = {}, responseTyp
         options.data = body;
     }
 
-    try {
-        const response = await axios(options);
+    if (auth && auth.dryRun && isWriteRequest(method, url)) {
+        auth.dryRun.push({
+            method,
+            url,
+            body: Buffer.isBuffer(body) ? `[${(options.headers['content-type'] || 'binary').split(';')[0]} upload, ${body.length} bytes]` : body,
+        });
+        return { Id: `${DRY_RUN_ID_PREFIX}${auth.dryRun.length}` };
+    }
+    if (auth && auth.dryRun && new URL(url).pathname.split('/').some(isDryRunId)) {
+        const error = new Error(`A dry run can't read ${url}: it refers to an item the dry run only plans to create.`);
+        error.errorCode = 'VALIDATION';
+        throw error;
+    }
+
+    const host = new URL(url).host;
+    // A stream can only be sent once.
+    const replayable = !(body && typeof body.pipe === 'function');
+
+    // Recorded before it is sent, so a write that times out or fails on the network is audited too.
+    const write = auth && auth.writes && isWriteRequest(method, url) ? { method, url, body, status: null, data: null } : null;
+    if (write) auth.writes.push(write);
+
+    let renewedAuth = false;
+    for (let attempt = 0; ;) {
+        let response;
+        try {
+            aquaResilience.assertCircuitClosed(host);
+        } catch (error) {
+            if (write) write.error = error.message;
+            throw error;
+        }
+        try {
+            response = await aquaResilience.withHostSlot(host, () => aquaRecordReplay.send(options, axios));
+        } catch (error) {
+            if (write) write.error = error.code || error.message;
+            if (error.code === 'AQUA_FIXTURE_MISSING') throw error;
+            if (maxBytes && /maxContentLength/.test(error.message)) {
+                // The host answered; the response is just too large to take.
+                error.message = `The response from ${url} exceeds the limit of ${maxBytes} bytes.`;
+                error.errorCode = 'VALIDATION';
+                throw error;
+            }
+            aquaResilience.recordFailure(host);
+            const delay = aquaResilience.getRetryDelay({ method, attempt, replayable, errorCode: error.code });
+            if (delay !== null) {
+                console.warn(`Aqua API call to ${url} failed (${error.code || error.message}); retrying in ${delay}ms (attempt ${attempt + 2}).`);
+                await aquaResilience.sleep(delay);
+                attempt++;
+                continue;
+            }
+            if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+                error.message = `Aqua API call to ${url} timed out after ${options.timeout}ms.`;
+            }
+            console.error(`Error during Aqua API call to ${url}:`, error.message);
+            error.errorCode = 'UPSTREAM';
+            throw error;
+        }
+
+        if (write) {
+            Object.assign(write, { status: response.status, data: response.data });
+            delete write.error; // An earlier attempt's
+        }
+
+        if (response.status >= 500) {
+            aquaResilience.recordFailure(host);
+        } else {
+            aquaResilience.recordSuccess(host);
+        }
+
+        const delay = response.status === 429 || response.status >= 500
+            ? aquaResilience.getRetryDelay({ method, attempt, replayable, status: response.status, retryAfter: response.headers['retry-after'] })
+            : null;
+        if (delay !== null) {
+            console.warn(`Aqua API call to ${url} returned status ${response.status}; retrying in ${delay}ms (attempt ${attempt + 2}).`);
+            await aquaResilience.sleep(delay);
+            attempt++;
+            continue;
+        }
+
+        if (response.status === 401 && auth && auth.renew && !renewedAuth && replayable) {
+            console.warn(`AquaCloud rejected the token for ${url}; re-authenticating and resending the request.`);
+            renewedAuth = true;
+            auth.token = (await auth.renew(auth.token)).token;
+            options.headers['Authorization'] = `Bearer ${auth.token}`;
+            continue;
+        }
 
         // Check for auth error conditions.
         if (response.status === 401) {
             const authError = new Error('Authentication error');
             authError.response = { status: 401, data: response.data, headers: response.headers };
+            authError.errorCode = 'AUTH_FAILED';
             throw authError;
         }
 
@@ -63,17 +238,15 @@ async function callApi(url, method, auth, body = null, headers = {}, responseTyp
                 }
             }
             console.error(`Error during Aqua API call to ${url}: Status ${response.status}`, JSON.stringify(errorDataForLogging, null, 2));
-            const apiError = new Error(`Aqua API call failed with status ${response.status}`);
+            const apiError = new Error(response.status === 429
+                ? `Aqua API call failed with status 429: AquaCloud is throttling requests${response.headers['retry-after'] ? ` (Retry-After: ${response.headers['retry-after']})` : ''}.`
+                : `Aqua API call failed with status ${response.status}`);
             apiError.response = { status: response.status, data: response.data, headers: response.headers };
+            apiError.errorCode = getResponseErrorCode(response.status, response.data, url);
             throw apiError;
         }
 
         return response.data;
-    } catch (error) {
-        if (!error.response) {
-            console.error(`Error during Aqua API call to ${url}:`, error.message);
-        }
-        throw error;
     }
 }
 
@@ -85,7 +258,7 @@ async function callApi(url, method, auth, body = null, headers = {}, responseTyp
  * @returns {Promise<object>} - The token response from the API.
  */
 async function login(aquaUrl, username, password) {
-    console.log(`Logging into AquaCloud for user ${username}...`);
+    console.log('Logging into AquaCloud...');
     const tokenUrl = `${aquaUrl}/api/token`;
     const params = new URLSearchParams();
     params.append('grant_type', 'password');
@@ -113,19 +286,21 @@ async function refreshToken(aquaUrl, refreshToken) {
     return await callApi(tokenUrl, 'POST', null, params);
 }
 
-// --- Placeholder Functions ---
-
 /**
- * Gets a list of projects from AquaCloud.
- * (Placeholder - API endpoint for this is not specified in the docs)
+ * Gets the projects the authenticated user can access in AquaCloud.
  * @param {string} aquaUrl 
  * @param {object} auth 
+ * @returns {Promise<Array<{id: number, name: string, description: string|null}>>}
  */
 async function getProjects(aquaUrl, auth) {
     console.log("Fetching AquaCloud projects...");
-    // This is a placeholder. In a real scenario, you'd find the endpoint to list projects.
-    // For now, returning mock data based on the example.
-    return [{ id: 240, name: 'Notar Cloud Integration' }, { id: 242, name: 'Actanda' }];
+    const url = `${aquaUrl}/api/Project`;
+    const projects = await callApi(url, 'GET', auth);
+    return (Array.isArray(projects) ? projects : []).map(project => ({
+        id: project.Id,
+        name: project.Name,
+        description: project.Description?.PlainText ?? project.Description ?? null,
+    }));
 }
 
 /**
@@ -136,37 +311,159 @@ async function getProjects(aquaUrl, auth) {
  * @param {string} itemType - e.g., 'Requirement' or 'Defect'
  */
 async function getStatusesForProject(aquaUrl, auth, projectId, itemType) {
-    console.log(`Fetching statuses for AquaCloud project ${projectId}, item type ${itemType}...`);
-    const url = `${aquaUrl}/api/Project/${projectId}/Meta/${itemType}/Fields/Status`;
     try {
-        const response = await callApi(url, 'GET', auth);
-        // The response is { Entries: [...] }. We map it to { id, name }.
-        return response.Entries ? response.Entries.map(entry => ({ id: entry.Id, name: entry.Name })) : [];
+        return await getFieldEntries(aquaUrl, auth, projectId, itemType, 'Status');
     } catch (error) {
         console.error(`Failed to fetch statuses for project ${projectId} and item type ${itemType}:`, error);
         return [];
     }
 }
 
+/**
+ * Gets the field definitions of an item type in a project.
+ * @param {string} aquaUrl
+ * @param {object} auth
+ * @param {number} projectId
+ * @param {string} itemType - e.g., 'Requirement' or 'Defect'
+ * @returns {Promise<Array<object>>} The raw field definitions.
+ */
+async function getFieldDefinitions(aquaUrl, auth, projectId, itemType) {
+    console.log(`Fetching field definitions for AquaCloud project ${projectId}, item type ${itemType}...`);
+    const url = `${aquaUrl}/api/Project/${projectId}/Meta/${itemType}/Fields`;
+    const response = await callApi(url, 'GET', auth);
+    // Depending on the instance this is either a plain array or { Fields: [...] }.
+    return Array.isArray(response) ? response : (response?.Fields || []);
+}
+
+/**
+ * Gets the selectable entries (options, users) of a list field.
+ * @param {string} aquaUrl
+ * @param {object} auth
+ * @param {number} projectId
+ * @param {string} itemType
+ * @param {string} fieldId - e.g., 'Priority' or 'AssignedTo'
+ * @returns {Promise<Array<{id: number, name: string}>>}
+ */
+async function getFieldEntries(aquaUrl, auth, projectId, itemType, fieldId) {
+    console.log(`Fetching entries of field ${fieldId} for AquaCloud project ${projectId}, item type ${itemType}...`);
+    const url = `${aquaUrl}/api/Project/${projectId}/Meta/${itemType}/Fields/${encodeURIComponent(fieldId)}`;
+    const response = await callApi(url, 'GET', auth);
+    // The response is { Entries: [...] }. We map it to { id, name }.
+    return response.Entries ? response.Entries.map(entry => ({ id: entry.Id, name: entry.Name })) : [];
+}
+
+/**
+ * Updates fields of an item that doesn't need locking.
+ * @param {string} aquaUrl
+ * @param {object} auth
+ * @param {number} itemId
+ * @param {string} itemType
+ * @param {object} updatePayload - e.g., { Details: [{ FieldId, Value }], Description: { Html } }.
+ */
+async function updateItemFields(aquaUrl, auth, itemId, itemType, updatePayload) {
+    console.log(`Updating fields of AquaCloud ${itemType} ${itemId}...`);
+    const url = `${aquaUrl}/api/${itemType}/${itemId}`;
+    return await callApi(url, 'PUT', auth, updatePayload);
+}
+
+/**
+ * Runs a query against the ItemList endpoint.
+ * @param {string} aquaUrl
+ * @param {object} auth
+ * @param {object} query
+ * @param {number} query.projectId
+ * @param {string} [query.itemType='Requirement'] - The type of item to search.
+ * @param {number} [query.folderId=0] - The folder to search in (0 is the project root).
+ * @param {boolean} [query.includeSubfolders=true]
+ * @param {boolean} [query.includeArchived=false]
+ * @param {object} [query.filter] - A filter tree, see aquaQuery.buildFilter.
+ * @param {Array<{field: string, direction?: string}>} [query.sorting] - See aquaQuery.buildSorting.
+ * @param {string} [query.search] - Free-text search.
+ * @param {number} [query.maxResults=50]
+ * @returns {Promise<Array>} The matching items.
+ */
+async function searchItems(aquaUrl, auth, { projectId, itemType = 'Requirement', folderId = 0, includeSubfolders = true, includeArchived = false, filter, sorting, search, maxResults = 50 }) {
+    const params = new URLSearchParams({
+        itemType,
+        projectId: String(projectId),
+        folderId: String(folderId),
+        includeSubfolders: String(includeSubfolders),
+        includeArchived: String(includeArchived),
+        maxResults: String(maxResults),
+    });
+    const url = `${aquaUrl}/api/Navigation/ItemList?${params}`;
+    const body = {
+        "Filter": aquaQuery.buildFilter(filter),
+        "Sorting": aquaQuery.buildSorting(sorting),
+        "Search": search || null,
+        "TimeZoneOffset": 240 // This might need to be dynamic later
+    };
+    const response = await callApi(url, 'POST', auth, body);
+    return response.Items || [];
+}
+
+/**
+ * Reads one page of an ItemList query. Pages are chained with an opaque cursor, so callers
+ * can walk through result sets of any size.
+ * @param {string} aquaUrl
+ * @param {object} auth
+ * @param {object} query - The same query object as for searchItems (without maxResults).
+ * @param {object} [options]
+ * @param {string} [options.cursor] - The nextCursor of the previous page.
+ * @param {number} [options.pageSize=50]
+ * @returns {Promise<{items: Array, nextCursor: string|null}>}
+ */
+async function searchItemsPage(aquaUrl, auth, query, { cursor, pageSize = 50 } = {}) {
+    const { maxResults, ...cursorQuery } = query;
+    const position = aquaQuery.decodeCursor(cursorQuery, cursor);
+    const sortKeys = aquaQuery.getPageSortKeys(query.sorting);
+
+    let filter = query.filter;
+    if (position.after) {
+        const afterFilter = aquaQuery.buildAfterFilter(sortKeys, position.after);
+        filter = filter ? { and: [filter, afterFilter] } : afterFilter;
+    }
+
+    // Ask for one extra item to find out whether there is a next page.
+    const results = await searchItems(aquaUrl, auth, {
+        ...query,
+        filter,
+        sorting: sortKeys,
+        maxResults: position.offset + pageSize + 1,
+    });
+    const items = results.slice(position.offset, position.offset + pageSize);
+    const hasMore = results.length > position.offset + pageSize;
+
+    return {
+        items,
+        nextCursor: hasMore ? aquaQuery.encodeCursor(cursorQuery, aquaQuery.getNextPosition(sortKeys, position, items)) : null,
+    };
+}
+
 /**
  * Gets a list of requirements (tasks) for an agent.
  * @param {string} aquaUrl 
  * @param {object} auth 
  * @param {number} projectId 
  * @param {string} agentName - The name of the agent as it appears in AquaCloud (e.g., "Agent, Notar Cloud (ncagent)").
+ * @param {string} [triggerState='To Do'] - The status the items must be in.
  * @param {string} [itemType='Requirement'] - The type of item to fetch.
+ * @param {number} [maxResults=50] - The maximum number of items to return.
  */
-async function getRequirements(aquaUrl, auth, projectId, agentName, triggerState = 'To Do', itemType = 'Requirement') {
+async function getRequirements(aquaUrl, auth, projectId, agentName, triggerState = 'To Do', itemType = 'Requirement', maxResults = 50) {
     console.log(`Fetching ${itemType}s for agent '${agentName}' in project ${projectId} with status '${triggerState}'...`);
-    const url = `${aquaUrl}/api/Navigation/ItemList?itemType=${itemType}&projectId=${projectId}&folderId=0&includeSubfolders=true&includeArchived=false&maxResults=50`;
-    const body = {
-        "Filter": `[["AssignedTo","=","${agentName}"],"and",["Status","=","${triggerState}"]]`,
-        "Sorting": `[["LastModifiedDateTime","desc"]]`,
-        "Search": null,
-        "TimeZoneOffset": 240 // This might need to be dynamic later
-    };
-    const response = await callApi(url, 'POST', auth, body);
-    return response.Items || [];
+    return await searchItems(aquaUrl, auth, {
+        projectId,
+        itemType,
+        filter: {
+            and: [
+                { field: 'AssignedTo', operator: '=', value: agentName },
+                { field: 'Status', operator: '=', value: triggerState },
+            ]
+        },
+        sorting: [{ field: 'LastModifiedDateTime', direction: 'desc' }],
+        maxResults,
+    });
 }
 
 /**
@@ -185,6 +482,40 @@ async function getItemDetails(aquaUrl, auth, itemId, itemType = 'Requirement') {
     return await callApi(url, 'GET', auth);
 }
 
+/**
+ * Reads a field value from an item's Details array.
+ * @param {object} itemDetails - The item as returned by getItemDetails.
+ * @param {string} fieldId - The field ID (e.g., 'Status', 'Priority').
+ * @returns {any} The raw field value, or null if the field is not present.
+ */
+function getItemFieldValue(itemDetails, fieldId) {
+    const field = (itemDetails?.Details || []).find(detail => detail.FieldId === fieldId);
+    return field ? field.Value : null;
+}
+
+/**
+ * Turns a raw field value into display text (list values are objects with a Text or Name).
+ * @param {any} value - A value as returned by getItemFieldValue.
+ * @returns {string|null}
+ */
+function formatFieldValue(value) {
+    if (value === null || typeof value === 'undefined') return null;
+    if (typeof value === 'object') return value.Text ?? value.Name ?? JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Formats a numeric Aqua item ID with its type prefix (the inverse of parseAquaItemId).
+ * @param {number|string} itemId - The numeric ID (e.g., 68415).
+ * @param {string} itemType - The item type (e.g., 'Defect').
+ * @returns {string} The prefixed ID (e.g., "DF068415"), or the plain ID for types without a prefix.
+ */
+function formatAquaItemId(itemId, itemType) {
+    const prefixes = { Requirement: 'RQ', TestCase: 'TC', Defect: 'DF' };
+    const prefix = prefixes[itemType];
+    return prefix ? `${prefix}${String(itemId).padStart(6, '0')}` : String(itemId);
+}
+
 /**
  * Updates the status of an item.
  * @param {string} aquaUrl 
@@ -232,16 +563,22 @@ async function addCommentToItem(aquaUrl, auth, itemId, comment, itemType = 'Requ
  * @param {object} task
  * @param {string} task.title
  * @param {string} task.description
+ * @param {Array<{FieldId: string, Value: any}>} [task.details] - Further fields to set, besides the name.
  * @param {object} options
  * @param {number} [options.parentRequirementId] - The ID of the parent requirement.
  * @param {number} [options.projectId] - The ID of the project (for top-level items).
  * @param {string} [options.itemType='Requirement'] - The type of the item to create.
  * @returns {Promise<object>}
+ * @throws {Error} with `createdItem` set if the item was created but could not be linked to its parent.
  */
 async function createItem(aquaUrl, auth, task, { parentRequirementId, projectId, itemType = 'Requirement' }) {
     let ProjectId, FolderId;
 
-    if (parentRequirementId) {
+    if (isDryRunId(parentRequirementId)) {
+        // The parent is only planned (dry run), so its folder isn't known; the project is enough to show the request.
+        ProjectId = projectId ?? null;
+        FolderId = null;
+    } else if (parentRequirementId) {
         console.log(`Creating AquaCloud ${itemType} as sub-item for parent ${parentRequirementId}`);
         const parentDetails = await getItemDetails(aquaUrl, auth, parentRequirementId, 'Requirement');
         if (!parentDetails || !parentDetails.Location) {
@@ -263,6 +600,7 @@ async function createItem(aquaUrl, auth, task, { parentRequirementId, projectId,
         Location: { ProjectId, FolderId },
         Details: [
             { FieldId: 'Name', Value: task.title },
+            ...(task.details || []),
         ],
         Description: {
             Html: task.description,
@@ -278,12 +616,30 @@ async function createItem(aquaUrl, auth, task, { parentRequirementId, projectId,
         console.log(`Linking requirement ${newItem.Id} as sub-requirement to ${parentRequirementId}`);
         const linkUrl = `${aquaUrl}/api/Requirement/${parentRequirementId}/Subrequirement`;
         const linkBody = { "id": newItem.Id };
-        await callApi(linkUrl, 'POST', auth, linkBody);
+        try {
+            await callApi(linkUrl, 'POST', auth, linkBody);
+        } catch (error) {
+            error.createdItem = newItem; // The item exists, even though it isn't linked
+            throw error;
+        }
     }
 
     return newItem;
 }
 
+/**
+ * Deletes an item.
+ * @param {string} aquaUrl
+ * @param {object} auth
+ * @param {number} itemId
+ * @param {string} itemType
+ */
+async function deleteItem(aquaUrl, auth, itemId, itemType) {
+    console.log(`Deleting AquaCloud ${itemType} ${itemId}...`);
+    const url = `${aquaUrl}/api/${itemType}/${itemId}`;
+    return await callApi(url, 'DELETE', auth);
+}
+
 /**
  * Gets the hierarchy tree for an item.
  * @param {string} aquaUrl
@@ -297,6 +653,55 @@ async function getItemHierarchy(aquaUrl, auth, itemId, itemType = 'Requirement')
     return await callApi(url, 'GET', auth);
 }
 
+/**
+ * Gets the relations (dependencies) of an item to other items.
+ * @param {string} aquaUrl
+ * @param {object} auth
+ * @param {number} itemId
+ * @param {string} [itemType='Requirement']
+ * @returns {Promise<Array>}
+ */
+async function getItemRelations(aquaUrl, auth, itemId, itemType = 'Requirement') {
+    console.log(`Fetching relations for AquaCloud ${itemType} ${itemId}...`);
+    const url = `${aquaUrl}/api/${itemType}/${itemId}/Dependency`;
+    const relations = await callApi(url, 'GET', auth);
+    return relations || [];
+}
+
+/**
+ * Creates a relation from one item to another (e.g., a TestCase covering a Requirement).
+ * @param {string} aquaUrl
+ * @param {object} auth
+ * @param {{itemId: number, itemType: string}} source
+ * @param {{itemId: number, itemType: string}} target
+ * @param {string} [relationType='Related']
+ * @returns {Promise<object>}
+ */
+async function createItemRelation(aquaUrl, auth, source, target, relationType = 'Related') {
+    console.log(`Linking AquaCloud ${source.itemType} ${source.itemId} to ${target.itemType} ${target.itemId} (${relationType})...`);
+    const url = `${aquaUrl}/api/${source.itemType}/${source.itemId}/Dependency`;
+    const body = {
+        ItemId: parseInt(target.itemId, 10),
+        ItemType: target.itemType,
+        DependencyType: relationType,
+    };
+    return await callApi(url, 'POST', auth, body);
+}
+
+/**
+ * Removes a relation of an item.
+ * @param {string} aquaUrl
+ * @param {object} auth
+ * @param {number} itemId
+ * @param {string} itemType
+ * @param {number} relationId - The ID of the relation, as returned by getItemRelations.
+ */
+async function deleteItemRelation(aquaUrl, auth, itemId, itemType, relationId) {
+    console.log(`Removing relation ${relationId} from AquaCloud ${itemType} ${itemId}...`);
+    const url = `${aquaUrl}/api/${itemType}/${itemId}/Dependency/${relationId}`;
+    return await callApi(url, 'DELETE', auth);
+}
+
 /**
  * Gets attachments for a single item.
  * @param {string} aquaUrl
@@ -312,15 +717,26 @@ async function getItemAttachments(aquaUrl, auth, itemId, itemType = 'Requirement
     return attachments || [];
 }
 
+/**
+ * Builds the download URL for an attachment.
+ * @param {string} aquaUrl
+ * @param {number} attachmentId
+ * @returns {string}
+ */
+function getAttachmentUrl(aquaUrl, attachmentId) {
+    return `${aquaUrl}/api/Attachment/${attachmentId}`;
+}
+
 /**
  * Downloads a specific attachment.
  * @param {string} attachmentUrl
  * @param {object} auth
+ * @param {number} [maxBytes=null] - Downloads of larger attachments fail (see callApi).
  * @returns {Promise<Buffer>}
  */
-async function downloadAttachment(attachmentUrl, auth) {
+async function downloadAttachment(attachmentUrl, auth, maxBytes = null) {
     console.log(`Downloading attachment from ${attachmentUrl}...`);
-    return await callApi(attachmentUrl, 'GET', auth, null, {}, 'arraybuffer');
+    return await callApi(attachmentUrl, 'GET', auth, null, {}, 'arraybuffer', maxBytes);
 }
 
 /**
@@ -342,7 +758,8 @@ async function uploadAttachmentToItem(aquaUrl, auth, itemId, fileBuffer, fileNam
 
     const headers = form.getHeaders();
 
-    return await callApi(url, 'POST', auth, form, headers);
+    // Send the form as a buffer rather than a stream, so the upload can be retried.
+    return await callApi(url, 'POST', auth, form.getBuffer(), headers);
 }
 
 /**
@@ -357,6 +774,34 @@ async function getTestSteps(aquaUrl, auth, testCaseId) {
     return await callApi(url, 'GET', auth);
 }
 
+/**
+ * Records one or more test executions.
+ * @param {string} aquaUrl
+ * @param {object} auth
+ * @param {Array<object>} executions - TestExecution payloads (see aquaTestExecutions.buildTestExecution).
+ * @returns {Promise<Array<object>>} The created executions, including their IDs.
+ */
+async function createTestExecutions(aquaUrl, auth, executions) {
+    console.log(`Recording ${executions.length} AquaCloud test execution(s)...`);
+    const url = `${aquaUrl}/api/TestExecution`;
+    const response = await callApi(url, 'POST', auth, executions);
+    return Array.isArray(response) ? response : [response];
+}
+
+/**
+ * Gets the execution history of a TestCase.
+ * @param {string} aquaUrl
+ * @param {object} auth
+ * @param {number} testCaseId
+ * @returns {Promise<Array<object>>}
+ */
+async function getTestExecutions(aquaUrl, auth, testCaseId) {
+    console.log(`Fetching test executions for AquaCloud TestCase ${testCaseId}...`);
+    const url = `${aquaUrl}/api/TestExecution?testCaseId=${testCaseId}`;
+    const response = await callApi(url, 'GET', auth);
+    return Array.isArray(response) ? response : (response?.Items || []);
+}
+
 /**
  * Locks an item for editing.
  * @param {string} aquaUrl
@@ -427,20 +872,38 @@ async function updateLockedItem(aquaUrl, auth, itemId, itemType, updatePayload)
 }
 
 module.exports = {
+    TOOL_ERROR_CODES,
+    getErrorCode,
+    isDryRunId,
     callApi,
     login,
     refreshToken,
     getProjects,
     getStatusesForProject,
+    getFieldDefinitions,
+    getFieldEntries,
+    searchItems,
+    searchItemsPage,
     getRequirements,
     getItemDetails,
+    getItemFieldValue,
+    formatFieldValue,
+    formatAquaItemId,
     updateItemStatus,
+    updateItemFields,
     addCommentToItem,
     getItemAttachments,
+    getAttachmentUrl,
     downloadAttachment,
     getItemHierarchy,
+    getItemRelations,
+    createItemRelation,
+    deleteItemRelation,
     createItem,
+    deleteItem,
     uploadAttachmentToItem,
     getTestSteps,
+    createTestExecutions,
+    getTestExecutions,
     updateLockedItem,
 };
\ No newline at end of file
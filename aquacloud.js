@@ -1,17 +1,64 @@
-const { McpServer } = require("@modelcontextprotocol/sdk/server/mcp.js");
+const { McpServer, ResourceTemplate } = require("@modelcontextprotocol/sdk/server/mcp.js");
 const { StreamableHTTPServerTransport } = require("@modelcontextprotocol/sdk/server/streamableHttp.js");
-const { isInitializeRequest } = require("@modelcontextprotocol/sdk/types.js");
+const { StdioServerTransport } = require("@modelcontextprotocol/sdk/server/stdio.js");
+const { isInitializeRequest, SubscribeRequestSchema, UnsubscribeRequestSchema, McpError, ErrorCode } = require("@modelcontextprotocol/sdk/types.js");
 const z = require('zod');
 const { randomUUID } = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const path = require('path');
 require('dotenv').config({ path: path.resolve(__dirname, '../../.env') });
 const express = require("express");
 const cors = require("cors");
 
 const aquaUtils = require('./aquaUtils.js'); // Assuming this file is in the same directory
+const aquaQuery = require('./aquaQuery.js');
+const aquaTestSteps = require('./aquaTestSteps.js');
+const aquaFields = require('./aquaFields.js');
+const aquaTestExecutions = require('./aquaTestExecutions.js');
+const aquaCoverage = require('./aquaCoverage.js');
+const aquaSessionStore = require('./aquaSessionStore.js');
+const aquaCredentialProfiles = require('./aquaCredentialProfiles.js');
+const aquaCrypto = require('./aquaCrypto.js');
+const aquaAuthProvider = require('./aquaAuthProvider.js');
+const aquaRichText = require('./aquaRichText.js');
+const aquaPolicy = require('./aquaPolicy.js');
+const aquaAudit = require('./aquaAudit.js');
+const aquaItemBatch = require('./aquaItemBatch.js');
+const aquaIdempotency = require('./aquaIdempotency.js');
+const aquaResources = require('./aquaResources.js');
+const aquaPrompts = require('./aquaPrompts.js');
+const aquaDefects = require('./aquaDefects.js');
 
 // --- Configuration ---
-const PORT = process.env.AQUA_MCP_PORT || 5005;
+const PORT = parseInt(process.env.AQUA_MCP_PORT, 10) || 5005;
+const BIND_ADDRESS = process.env.AQUA_MCP_BIND_ADDRESS || undefined; // All interfaces by default
+const METADATA_CACHE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const LOCKED_ITEM_TYPES = ['TestCase']; // Item types that must be locked before they are updated
+const MAX_ATTACHMENT_BYTES = parseInt(process.env.AQUA_MCP_MAX_ATTACHMENT_BYTES, 10) || 10 * 1024 * 1024; // 10 MB
+const SESSION_STORE = process.env.AQUA_MCP_SESSION_STORE || 'memory'; // 'memory' or 'file'
+const SESSION_DIR = process.env.AQUA_MCP_SESSION_DIR || path.join(__dirname, '.sessions');
+const SESSION_IDLE_TIMEOUT_MS = parseInt(process.env.AQUA_MCP_SESSION_IDLE_TIMEOUT_MS, 10) || 30 * 60 * 1000; // 30 minutes
+const SESSION_TTL_MS = parseInt(process.env.AQUA_MCP_SESSION_TTL_MS, 10) || 12 * 60 * 60 * 1000; // 12 hours
+const PROFILES_FILE = process.env.AQUA_MCP_PROFILES_FILE || path.join(__dirname, 'profiles.json');
+// Legacy mode: accept x-aqua-username/x-aqua-password headers instead of an X-API-KEY. Needs AQUA_MCP_MASTER_KEY.
+const ALLOW_HEADER_CREDENTIALS = process.env.AQUA_MCP_ALLOW_HEADER_CREDENTIALS === 'true';
+const MAX_LOGIN_FAILURES = parseInt(process.env.AQUA_MCP_MAX_LOGIN_FAILURES, 10) || 3; // Rejected password logins before giving up
+// Tool policy for every session, as JSON (see aquaPolicy.js); profiles and sessions can only restrict it further.
+const DEFAULT_POLICY = aquaPolicy.parsePolicy(process.env.AQUA_MCP_POLICY, 'AQUA_MCP_POLICY');
+// Tools that change AquaCloud; read-only policies don't get them.
+const WRITE_TOOLS = [
+    'aquacloud_add-comment-to-item', 'aquacloud_create-item', 'aquacloud_add-test-steps', 'aquacloud_upload-attachment',
+    'aquacloud_set-item-status', 'aquacloud_update-test-steps', 'aquacloud_update-item-fields',
+    'aquacloud_record-test-execution', 'aquacloud_create-relation', 'aquacloud_remove-relation',
+    'aquacloud_undo-last-change', 'aquacloud_report-defect',
+];
+// Idempotency keys of aquacloud_create-item; kept in files (shared between instances) if sessions are.
+const IDEMPOTENCY_DIR = process.env.AQUA_MCP_IDEMPOTENCY_DIR || path.join(__dirname, '.idempotency');
+const IDEMPOTENCY_TTL_MS = parseInt(process.env.AQUA_MCP_IDEMPOTENCY_TTL_MS, 10) || 24 * 60 * 60 * 1000; // 24 hours
+// Audit log of all changes made through the tools (JSON lines); 'off' disables it, and with it undo.
+const AUDIT_LOG_FILE = process.env.AQUA_MCP_AUDIT_LOG || path.join(__dirname, 'audit.jsonl');
+const RESOURCE_POLL_INTERVAL_MS = parseInt(process.env.AQUA_MCP_RESOURCE_POLL_MS, 10) || 60 * 1000; // How often subscribed resources are checked for changes
+const FOLDER_RESOURCE_MAX_ITEMS = 500; // Per item type
 
 // --- Server Initialization ---
 const app = express();
@@ -22,13 +69,49 @@ app.use(cors({
     allowedHeaders: [
         'Content-Type', 'mcp-session-id', 'X-API-KEY', 'x-mapping-id', 'x-task-id',
         'x-user-query', 'x-project-id', 'x-aqua-username', 'x-aqua-password',
-        'x-aqua-url', 'x-aqua-projectid'
+        'x-aqua-url', 'x-aqua-projectid', 'x-aqua-policy'
     ],
 }));
 
-// In-memory store for session data, keyed by session ID.
+// Live transports and session data of this process, keyed by session ID.
+// The session store below is the source of truth; these are rebuilt from it when needed.
 const sessionTransports = {};
 const sessionMemoryStore = {};
+const rehydratingSessions = {};
+
+// Persistent session store with idle and absolute expiry. Created when the HTTP server starts.
+let sessionStore = null;
+
+// When the stored record of each live session was last saved or loaded by this process, keyed by
+// session ID. Only records saved later (by another instance) are merged into the live session.
+const sessionRecordTimes = {};
+// Auth providers of live sessions, keyed by session memory.
+const sessionAuthProviders = new WeakMap();
+// MCP servers of live sessions, keyed by session memory (to notify their clients).
+const sessionServers = new WeakMap();
+const auditLog = AUDIT_LOG_FILE === 'off' ? null : aquaAudit.createAuditLog({ file: AUDIT_LOG_FILE });
+const idempotencyStore = aquaIdempotency.createIdempotencyStore({
+    driver: SESSION_STORE === 'file'
+        ? aquaSessionStore.createFileSessionDriver({ directory: IDEMPOTENCY_DIR, encrypted: false }) // Only item IDs
+        : aquaSessionStore.createMemorySessionDriver(),
+    ttlMs: IDEMPOTENCY_TTL_MS,
+});
+// The tool call being handled ({ tool, undo, undoes, error }), for its audit log entry.
+const toolCalls = new AsyncLocalStorage();
+
+// Project metadata (statuses, field definitions, field entries), keyed by "aquaUrl|projectId|itemType|kind".
+const metadataCache = {};
+
+// Input schema for ItemList filters: a condition, or an and/or group of nested filters.
+const itemFilterSchema = z.lazy(() => z.union([
+    z.object({
+        field: z.string().describe("The field to filter on (e.g., 'Status', 'AssignedTo', 'Priority', 'Name')."),
+        operator: z.enum(Object.keys(aquaQuery.FILTER_OPERATORS)).describe("The comparison operator."),
+        value: z.union([z.string(), z.number(), z.boolean(), z.null()]).describe("The value to compare with, as shown in Aqua Cloud (e.g., 'In Progress')."),
+    }),
+    z.object({ and: z.array(itemFilterSchema).describe("Filters that must all match.") }),
+    z.object({ or: z.array(itemFilterSchema).describe("Filters of which at least one must match.") }),
+]));
 
 /**
  * Parses a raw Aqua item ID (which may have a prefix) into its numeric ID and item type.
@@ -71,7 +154,6 @@ function parseAquaItemId(rawId, explicitType) {
             throw new Error(`Could not determine itemType for ID "${rawId}". Please provide an explicit 'itemType' or use an ID with a recognized prefix (e.g., DF0123, RQ0123, TC0123).`);
         }
     }
-    console.log(finalId, finalType)
 
     // Return the numeric ID and the determined item type
     // If explicitType was provided, it wins.
@@ -80,49 +162,625 @@ function parseAquaItemId(rawId, explicitType) {
     return { itemId: finalId, itemType: finalType };
 }
 
+/**
+ * Converts a SubrequirementTree node into the compact shape returned by the hierarchy tool.
+ * @param {object} node - A node from aquaUtils.getItemHierarchy.
+ * @param {number} depth - The depth of this node (the root is 0).
+ * @param {number} maxDepth - Nodes deeper than this are not expanded.
+ * @returns {{id: string, itemId: number, name: string, status: string|null, children: Array, omittedChildren?: number}}
+ */
+function normalizeHierarchyNode(node, depth, maxDepth) {
+    const children = node.Children || node.Subrequirements || node.SubRequirements || [];
+    const status = node.Status ?? aquaUtils.getItemFieldValue(node, 'Status');
+    const normalized = {
+        id: aquaUtils.formatAquaItemId(node.Id, 'Requirement'),
+        itemId: node.Id,
+        name: node.Name ?? aquaUtils.formatFieldValue(aquaUtils.getItemFieldValue(node, 'Name')),
+        status: aquaUtils.formatFieldValue(status),
+        children: [],
+    };
+    if (depth < maxDepth) {
+        normalized.children = children.map(child => normalizeHierarchyNode(child, depth + 1, maxDepth));
+    } else if (children.length > 0) {
+        normalized.omittedChildren = children.length;
+    }
+    return normalized;
+}
+
+/**
+ * Fetches the sub-requirement tree of an item and normalizes it.
+ * @param {string} aquaUrl
+ * @param {object} auth
+ * @param {number|string} itemId
+ * @param {string} itemType
+ * @param {number} maxDepth - See normalizeHierarchyNode.
+ * @returns {Promise<Array<object>>} The normalized root node(s).
+ */
+async function loadHierarchy(aquaUrl, auth, itemId, itemType, maxDepth) {
+    const tree = await aquaUtils.getItemHierarchy(aquaUrl, auth, itemId, itemType);
+    // The endpoint returns either the root node or the list of its sub-requirements.
+    const roots = Array.isArray(tree)
+        ? [{ Id: Number(itemId), Name: (await aquaUtils.getItemDetails(aquaUrl, auth, itemId, itemType)).Name, Children: tree }]
+        : [tree];
+    return roots.map(root => normalizeHierarchyNode(root, 0, maxDepth));
+}
 
 /**
- * Ensures the AquaCloud auth token is valid, refreshing if necessary.
- * @param {object} sessionMemory - The session's in-memory store.
- * @returns {Promise<object>} An authentication object for aquaUtils.
+ * Renders normalized hierarchy nodes as an indented text outline.
+ * @param {Array<object>} nodes - Nodes from normalizeHierarchyNode.
+ * @param {number} [indent=0]
+ * @returns {string}
  */
-async function getAquaAuth(sessionMemory) {
-    if (!sessionMemory.user) throw new Error("User not found in session.");
+function renderHierarchyOutline(nodes, indent = 0) {
+    return nodes.map(node => {
+        const padding = '  '.repeat(indent);
+        let line = `${padding}- ${node.id} ${node.name}${node.status ? ` [${node.status}]` : ''}`;
+        if (node.omittedChildren) line += ` (+${node.omittedChildren} sub-requirement(s) not shown)`;
+        if (node.description) line += `\n${padding}  ${node.description.replace(/\s+/g, ' ').trim()}`;
+        const children = node.children.length ? `\n${renderHierarchyOutline(node.children, indent + 1)}` : '';
+        return line + children;
+    }).join('\n');
+}
+
+/**
+ * Maps a raw relation entry to the compact shape returned by the relation tools.
+ * @param {object} relation - An entry from aquaUtils.getItemRelations.
+ * @returns {{relationId: number, itemId: string, itemType: string, name: string|null, relationType: string|null}}
+ */
+function summarizeRelation(relation) {
+    return {
+        relationId: relation.Id,
+        itemId: aquaUtils.formatAquaItemId(relation.ItemId, relation.ItemType),
+        itemType: relation.ItemType,
+        name: relation.Name ?? relation.ItemName ?? null,
+        relationType: aquaUtils.formatFieldValue(relation.DependencyType),
+    };
+}
+
+/**
+ * Guesses a MIME type from a file name's extension.
+ * @param {string} fileName - The attachment's file name.
+ * @returns {string} The MIME type, or 'application/octet-stream' if unknown.
+ */
+function getMimeType(fileName) {
+    const mimeTypes = {
+        png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp', bmp: 'image/bmp', svg: 'image/svg+xml',
+        txt: 'text/plain', log: 'text/plain', md: 'text/markdown', csv: 'text/csv', html: 'text/html', htm: 'text/html',
+        xml: 'application/xml', json: 'application/json', yaml: 'application/yaml', yml: 'application/yaml',
+        pdf: 'application/pdf', zip: 'application/zip',
+    };
+    const extension = (fileName || '').split('.').pop().toLowerCase();
+    return mimeTypes[extension] || 'application/octet-stream';
+}
+
+/**
+ * Whether attachment content of the given MIME type can be returned to the model as plain text.
+ * @param {string} mimeType
+ * @returns {boolean}
+ */
+function isTextMimeType(mimeType) {
+    return mimeType.startsWith('text/') || ['application/json', 'application/xml', 'application/yaml'].includes(mimeType);
+}
+
+// Input fields shared by every tool that links an item to another item.
+const relationTargetShape = {
+    targetItemId: z.string().describe("The ID of the related item, with its prefix (e.g., 'RQ0123', 'TC0456', 'DF0789')."),
+    targetItemType: z.string().optional().describe("The type of the related item. If omitted, the type will be inferred from the targetItemId prefix."),
+    relationType: z.string().default('Related').describe("The kind of relation (e.g., 'Related'). Defaults to 'Related'."),
+};
+
+// Format options of tools that return or write rich text (descriptions, comments, test steps).
+// Writes default to HTML, which is what these tools took before they had a format option.
+const readFormatSchema = z.enum(aquaRichText.RICH_TEXT_FORMATS).default('markdown')
+    .describe("How rich text is returned: 'markdown' (default), 'html' as stored in Aqua Cloud, or 'text'.");
+const writeFormatSchema = z.enum(aquaRichText.RICH_TEXT_FORMATS).default('html')
+    .describe("The format of the rich text in this call: 'html' (default), 'markdown' (inline HTML allowed) or 'text'. It is converted to sanitized HTML for Aqua Cloud.");
+
+// A task of aquacloud_create-item. Children make a tree of sub-requirements.
+const createItemTaskSchema = z.lazy(() => z.object({
+    title: z.string().describe("The title of the item."),
+    description: z.string().describe("The description of the item, in the given format."),
+    relations: z.array(z.object(relationTargetShape)).optional().describe("Relations to create from the new item to existing items (e.g., the Requirement a new TestCase covers)."),
+    idempotencyKey: z.string().optional().describe("A key unique to this task (e.g., 'checkout-story-3'). If an earlier call created an item for the same key, that item is returned instead of creating another one, so a failed call can be retried safely."),
+    children: z.array(createItemTaskSchema).optional().describe("Sub-requirements to create under this item (Requirements only). They can have children of their own."),
+}));
+
+// Field values of the tools that set fields, keyed by field name or ID.
+const fieldValuesSchema = z.record(z.string(), z.union([z.string(), z.number(), z.boolean(), z.null(), z.array(z.union([z.string(), z.number()]))]));
+
+// Input fields shared by every tool that uploads a file.
+const attachmentInputShape = {
+    fileName: z.string().describe("The file name of the attachment, including its extension (e.g., 'run.log')."),
+    content: z.string().describe("The file content, either as plain text or base64-encoded (see 'encoding')."),
+    encoding: z.enum(['text', 'base64']).default('text').describe("How 'content' is encoded. Use 'base64' for binary files. Defaults to 'text'."),
+};
+
+// --- Output schemas: the structuredContent of the tools' results ---
+
+const idSchema = z.union([z.number(), z.string()]);
+const itemRefShape = {
+    itemId: idSchema.describe("The numeric ID of the item."),
+    itemType: z.string(),
+};
+const testStepOutputSchema = z.object({
+    id: idSchema.nullable(),
+    index: z.number().int().describe("The 1-based position of the step."),
+    name: z.string(),
+    instructions: z.string(),
+    expectedResult: z.string(),
+    stepType: z.string(),
+});
+const attachmentOutputSchema = z.object({
+    id: idSchema,
+    name: z.string(),
+    size: z.number().nullable(),
+    mimeType: z.string(),
+});
+const relationOutputSchema = z.object({
+    relationId: idSchema,
+    itemId: z.string().describe("The related item, with its prefix."),
+    itemType: z.string(),
+    name: z.string().nullable(),
+    relationType: z.string().nullable(),
+});
+const hierarchyNodeSchema = z.lazy(() => z.object({
+    id: z.string(),
+    itemId: idSchema,
+    name: z.string().nullable(),
+    status: z.string().nullable(),
+    description: z.string().optional(),
+    children: z.array(hierarchyNodeSchema),
+    omittedChildren: z.number().int().optional().describe("The number of children below maxDepth that were not expanded."),
+}));
+const createdItemOutputSchema = z.object({
+    path: z.string().describe("The position of the task in the input, e.g. '2.1' for the first child of the second task."),
+    title: z.string(),
+    idempotencyKey: z.string().nullable(),
+    status: z.enum(['created', 'existing', 'failed', 'skipped', 'rolled back']),
+    itemId: z.number().nullable(),
+    id: z.string().nullable(),
+    relations: z.array(z.object({ to: z.string(), relationType: z.string() })),
+    error: z.string().optional(),
+    errorCode: z.enum(aquaUtils.TOOL_ERROR_CODES).optional(),
+    rollbackError: z.string().optional(),
+});
+// Where failed tool calls put their typed error: {code, message, ...details}.
+const TOOL_ERROR_META_KEY = 'aquacloud/error';
+// Write tools of a dry-run session return this instead of their usual output.
+const dryRunOutputShape = {
+    dryRun: z.literal(true),
+    requests: z.array(z.object({ method: z.string(), url: z.string(), body: z.any() })).describe("The requests the call would have sent."),
+    result: z.record(z.string(), z.any()).optional().describe("The usual output, if the call needed no changes."),
+};
+
+/**
+ * Builds the result of a successful tool call.
+ * @param {string} text - A readable summary for the model.
+ * @param {object} structuredContent - The same result as data; must match the tool's outputSchema.
+ * @param {Array<object>} [extraContent] - Further content blocks (e.g., a downloaded image).
+ * @returns {object}
+ */
+function toolResult(text, structuredContent, extraContent = []) {
+    return { content: [{ type: "text", text }, ...extraContent], structuredContent };
+}
+
+/**
+ * Builds the result of a failed tool call. Clients check structuredContent against the tool's
+ * outputSchema even for errors, so the typed error goes into _meta (and the text) instead.
+ * @param {string} code - One of aquaUtils.TOOL_ERROR_CODES.
+ * @param {string} message
+ * @param {object} [details] - More about the failure, added to the error in _meta.
+ * @returns {object}
+ */
+function toolError(code, message, details = {}) {
+    return {
+        content: [{ type: "text", text: `Error: [${code}] ${message}` }],
+        isError: true,
+        _meta: { [TOOL_ERROR_META_KEY]: { code, message, ...details } },
+    };
+}
+
+/**
+ * Gets the ID of an item's status.
+ * @param {object} details - From aquaUtils.getItemDetails.
+ * @returns {number|null}
+ */
+function getItemStatusId(details) {
+    const value = aquaUtils.getItemFieldValue(details, 'Status');
+    return (value && typeof value === 'object' ? value.Id : value) ?? null;
+}
+
+/**
+ * Converts the texts of normalized test steps for a tool's output.
+ * @param {Array<object>} steps - From aquaTestSteps.normalizeTestSteps.
+ * @param {string} format - One of aquaRichText.RICH_TEXT_FORMATS.
+ * @param {string} aquaUrl - Used to make relative image and link URLs absolute.
+ * @returns {Array<object>}
+ */
+function formatTestSteps(steps, format, aquaUrl) {
+    return steps.map((step, index) => ({
+        ...step,
+        index: index + 1,
+        instructions: aquaRichText.fromAquaHtml(step.instructions, format, { aquaUrl }),
+        expectedResult: aquaRichText.fromAquaHtml(step.expectedResult, format, { aquaUrl }),
+    }));
+}
+
+/**
+ * Decodes an uploaded attachment and enforces the size limit.
+ * @param {{fileName: string, content: string, encoding?: 'text'|'base64'}} attachment
+ * @returns {Buffer}
+ * @throws {Error} if base64 content is invalid, or the decoded content exceeds MAX_ATTACHMENT_BYTES.
+ */
+function decodeAttachmentContent({ fileName, content, encoding }) {
+    const fileBuffer = Buffer.from(content, encoding === 'base64' ? 'base64' : 'utf8');
+    // Buffer.from skips characters that aren't base64, so valid content is what re-encodes to itself.
+    if (encoding === 'base64' && fileBuffer.toString('base64').replace(/=+$/, '') !== content.replace(/\s+/g, '').replace(/=+$/, '')) {
+        throw new Error(`Attachment '${fileName}' is not valid base64.`);
+    }
+    if (fileBuffer.length > MAX_ATTACHMENT_BYTES) {
+        throw new Error(`Attachment '${fileName}' is ${fileBuffer.length} bytes, which exceeds the limit of ${MAX_ATTACHMENT_BYTES} bytes.`);
+    }
+    return fileBuffer;
+}
+
+/**
+ * Maps a raw Aqua attachment entry to the compact shape returned by the tools.
+ * @param {object} attachment - An entry from aquaUtils.getItemAttachments.
+ * @returns {{id: number, name: string, size: number|null, mimeType: string}}
+ */
+function summarizeAttachment(attachment) {
+    const name = attachment.Name || attachment.FileName || `attachment-${attachment.Id}`;
+    return {
+        id: attachment.Id,
+        name,
+        size: attachment.Size ?? null,
+        mimeType: getMimeType(name),
+    };
+}
+
+/**
+ * Parses the item of a resource URI or prompt.
+ * @param {{itemType?: string, id: string}} variables - From aquaResources.parseResourceUri, a ResourceTemplate or prompt arguments.
+ * @returns {{itemId: string, itemType: string}}
+ * @throws {McpError} if the ID is invalid.
+ */
+function parseResourceItem({ itemType, id }) {
+    try {
+        return parseAquaItemId(String(id), itemType && String(itemType));
+    } catch (error) {
+        throw new McpError(ErrorCode.InvalidParams, error.message);
+    }
+}
+
+/**
+ * Lists the items directly in a folder (not in its subfolders), as resource links.
+ * @param {string} aquaUrl
+ * @param {object} auth
+ * @param {number|string} projectId
+ * @param {number|string} folderId
+ * @returns {Promise<Array<{uri: string, id: string, itemType: string, title: string}>>}
+ */
+async function listFolderItems(aquaUrl, auth, projectId, folderId) {
+    const items = [];
+    for (const itemType of aquaResources.ITEM_TYPES) {
+        const found = await aquaUtils.searchItems(aquaUrl, auth, { projectId, itemType, folderId, includeSubfolders: false, maxResults: FOLDER_RESOURCE_MAX_ITEMS });
+        items.push(...found.map(item => ({
+            uri: aquaResources.getItemUri(itemType, item.Id),
+            id: aquaUtils.formatAquaItemId(item.Id, itemType),
+            itemType,
+            title: item.Name,
+        })));
+    }
+    return items;
+}
+
+/**
+ * Fingerprints the current content of a resource, to notify subscribers when it changes.
+ * @param {string} aquaUrl
+ * @param {object} auth
+ * @param {string} uri
+ * @returns {Promise<string>}
+ */
+async function getResourceFingerprint(aquaUrl, auth, uri) {
+    const resource = aquaResources.parseResourceUri(uri);
+    if (resource.kind === 'folder') {
+        return aquaResources.fingerprintContent(await listFolderItems(aquaUrl, auth, resource.projectId, resource.folderId));
+    }
+    const { itemId, itemType } = parseResourceItem(resource);
+    switch (resource.kind) {
+        case 'steps':
+            return aquaResources.fingerprintContent(await aquaUtils.getTestSteps(aquaUrl, auth, itemId));
+        case 'attachment': {
+            const attachments = await aquaUtils.getItemAttachments(aquaUrl, auth, itemId, itemType);
+            return aquaResources.fingerprintContent(attachments.find(a => String(a.Id) === String(resource.attachmentId)));
+        }
+        default:
+            return aquaResources.fingerprintContent(await aquaUtils.getItemDetails(aquaUrl, auth, itemId, itemType));
+    }
+}
+
+/**
+ * Loads what a QA prompt needs to know about its item.
+ * @param {string} aquaUrl
+ * @param {object} auth
+ * @param {string} itemId
+ * @param {string} itemType
+ * @param {Array<string>} include - See aquaPrompts.QA_PROMPTS.
+ * @returns {Promise<object>} The item, as aquaPrompts.renderItemContext takes it.
+ */
+async function loadPromptItem(aquaUrl, auth, itemId, itemType, include) {
+    const details = await aquaUtils.getItemDetails(aquaUrl, auth, itemId, itemType);
+    const item = {
+        id: aquaUtils.formatAquaItemId(itemId, itemType),
+        itemType,
+        title: details.Name,
+        status: aquaUtils.formatFieldValue(aquaUtils.getItemFieldValue(details, 'Status')),
+        description: aquaRichText.htmlToMarkdown(details.Description?.Html || '', { aquaUrl }),
+    };
+    if (itemType === 'TestCase') {
+        item.steps = formatTestSteps(aquaTestSteps.normalizeTestSteps(await aquaUtils.getTestSteps(aquaUrl, auth, itemId)), 'markdown', aquaUrl);
+    }
+    if (include.includes('relations')) {
+        item.relations = (await aquaUtils.getItemRelations(aquaUrl, auth, itemId, itemType)).map(summarizeRelation);
+    }
+    if (include.includes('children')) {
+        item.children = (await loadHierarchy(aquaUrl, auth, itemId, itemType, 1))[0].children;
+    }
+    return item;
+}
+
+/**
+ * Returns cached project metadata, loading it on a miss. Empty results are not cached.
+ * @param {string} cacheKey
+ * @param {function(): Promise<Array>} loader
+ * @returns {Promise<Array>}
+ */
+async function getCachedMetadata(cacheKey, loader) {
+    const cached = metadataCache[cacheKey];
+    if (cached && cached.expires_at > Date.now()) {
+        return cached.value;
+    }
 
-    if (sessionMemory.aquaAuth && sessionMemory.aquaAuth.expires_at > Date.now()) {
-        return { token: sessionMemory.aquaAuth.token, type: 'bearer' };
+    const value = await loader();
+    if (Array.isArray(value) && value.length > 0) {
+        metadataCache[cacheKey] = { value, expires_at: Date.now() + METADATA_CACHE_TTL_MS };
     }
+    return value;
+}
+
+/**
+ * Gets the statuses of an item type in a project, using a short-lived cache.
+ * @param {string} aquaUrl
+ * @param {object} auth
+ * @param {number|string} projectId
+ * @param {string} itemType
+ * @returns {Promise<Array<{id: number, name: string}>>}
+ */
+async function getCachedStatuses(aquaUrl, auth, projectId, itemType) {
+    // getStatusesForProject returns [] on failure, which getCachedMetadata doesn't cache.
+    return getCachedMetadata(`${aquaUrl}|${projectId}|${itemType}|Status`,
+        () => aquaUtils.getStatusesForProject(aquaUrl, auth, projectId, itemType));
+}
 
-    const aquaUrl = sessionMemory.user.aquacloud_url;
+/**
+ * Gets the normalized field definitions of an item type in a project, using a short-lived cache.
+ * @param {string} aquaUrl
+ * @param {object} auth
+ * @param {number|string} projectId
+ * @param {string} itemType
+ * @returns {Promise<Array<object>>} Fields as returned by aquaFields.normalizeFieldDefinitions.
+ */
+async function getCachedFields(aquaUrl, auth, projectId, itemType) {
+    return getCachedMetadata(`${aquaUrl}|${projectId}|${itemType}|Fields`,
+        async () => aquaFields.normalizeFieldDefinitions(await aquaUtils.getFieldDefinitions(aquaUrl, auth, projectId, itemType)));
+}
+
+/**
+ * Makes sure a list or user field has its selectable entries loaded.
+ * @param {string} aquaUrl
+ * @param {object} auth
+ * @param {number|string} projectId
+ * @param {string} itemType
+ * @param {object} field - A field from getCachedFields.
+ * @returns {Promise<object>} The field, with entries.
+ */
+async function withFieldEntries(aquaUrl, auth, projectId, itemType, field) {
+    if (!aquaFields.needsEntries(field) || (field.entries && field.entries.length > 0)) {
+        return field;
+    }
+    const entries = await getCachedMetadata(`${aquaUrl}|${projectId}|${itemType}|Entries:${field.id}`,
+        () => aquaUtils.getFieldEntries(aquaUrl, auth, projectId, itemType, field.id));
+    return { ...field, entries };
+}
 
-    // Try to refresh the token first
-    if (sessionMemory.aquaAuth && sessionMemory.aquaAuth.refresh_token) {
+/**
+ * Translates field values given by name (option labels, user names) into a Details payload,
+ * checking them against the field definitions of the item type.
+ * @param {string} aquaUrl
+ * @param {object} auth
+ * @param {number|string} projectId
+ * @param {string} itemType
+ * @param {object} fieldInput - Values keyed by field name or ID.
+ * @param {object} [details] - The item's current details, for the old values; omit for new items.
+ * @returns {Promise<{problems: Array<string>, changes: Array<{field: string, oldValue: string|null, newValue: string|null}>, detailsPayload: Array<{FieldId: string, Value: any}>}>}
+ */
+async function resolveFieldValues(aquaUrl, auth, projectId, itemType, fieldInput, details = null) {
+    const fields = await getCachedFields(aquaUrl, auth, projectId, itemType);
+    const problems = [];
+    const changes = [];
+    const detailsPayload = [];
+    for (const [fieldName, value] of Object.entries(fieldInput)) {
+        const definition = aquaFields.findField(fields, fieldName);
+        if (!definition) {
+            problems.push(`Unknown field "${fieldName}". Available fields are: ${fields.filter(f => !f.readOnly).map(f => f.name).join(', ')}.`);
+            continue;
+        }
+        if (definition.readOnly) {
+            problems.push(`Field "${definition.name}" is read-only.`);
+            continue;
+        }
         try {
-            console.log(`[Aqua-MCP-Standalone] Refreshing Aqua token for user ${sessionMemory.user.aquacloud_username}...`);
-            const tokenData = await aquaUtils.refreshToken(aquaUrl, sessionMemory.aquaAuth.refresh_token);
-            sessionMemory.aquaAuth = {
-                token: tokenData.access_token,
-                refresh_token: tokenData.refresh_token,
-                expires_at: Date.now() + (tokenData.expires_in * 1000) - 60000, // 60s buffer
-            };
-            return { token: sessionMemory.aquaAuth.token, type: 'bearer' };
+            const field = await withFieldEntries(aquaUrl, auth, projectId, itemType, definition);
+            const coerced = aquaFields.coerceFieldValue(field, value);
+            detailsPayload.push({ FieldId: field.id, Value: coerced.value });
+            changes.push({
+                field: field.name,
+                oldValue: details ? aquaUtils.formatFieldValue(aquaUtils.getItemFieldValue(details, field.id) ?? details[field.id]) : null,
+                newValue: coerced.display,
+            });
         } catch (error) {
-            console.warn(`[Aqua-MCP-Standalone] Token refresh failed for ${sessionMemory.user.aquacloud_username}. Will attempt to log in again. Error:`, error.message);
+            problems.push(error.message);
         }
     }
+    return { problems, changes, detailsPayload };
+}
 
-    // Fallback to full login
-    console.log(`[Aqua-MCP-Standalone] Performing full Aqua login for user ${sessionMemory.user.aquacloud_username}...`);
-    const password = sessionMemory.user.aquacloud_password;
-    const tokenData = await aquaUtils.login(aquaUrl, sessionMemory.user.aquacloud_username, password);
-    sessionMemory.aquaAuth = {
-        token: tokenData.access_token,
-        refresh_token: tokenData.refresh_token,
-        expires_at: Date.now() + (tokenData.expires_in * 1000) - 60000, // 60s buffer
-    };
-    return { token: sessionMemory.aquaAuth.token, type: 'bearer' };
+/**
+ * Gets the AquaCloud password of a session's user. Sessions created with an API key only
+ * reference their credential profile; the password is read from the profile when needed.
+ * @param {object} user - The session's user object.
+ * @returns {Promise<string>}
+ */
+async function getSessionPassword(user) {
+    if (user.profile) {
+        const profile = await aquaCredentialProfiles.findProfileByName(PROFILES_FILE, user.profile);
+        if (!profile) throw new Error(`Credential profile "${user.profile}" no longer exists.`);
+        return aquaCredentialProfiles.getProfileSecret(profile);
+    }
+    if (user.aquacloud_password_encrypted) {
+        return aquaCrypto.decrypt(user.aquacloud_password_encrypted);
+    }
+    return user.aquacloud_password; // Only stdio sessions, which are never persisted, have it in plain text
+}
+
+/**
+ * Works out the AquaCloud user and project of a new session from the initialize request:
+ * either from the credential profile of its X-API-KEY, or (in legacy mode) from x-aqua-* headers.
+ * @param {object} req - The Express request.
+ * @returns {Promise<{user: object, projectId: string, apiKeyHash: string|null, policy: object|null} | {error: string}>}
+ */
+async function resolveSessionCredentials(req) {
+    const apiKey = req.headers['x-api-key'];
+    const headerProjectId = req.headers['x-aqua-projectid'];
+
+    if (apiKey) {
+        const profile = await aquaCredentialProfiles.findProfileByApiKey(PROFILES_FILE, apiKey);
+        if (!profile) {
+            return { error: 'Unauthorized: Unknown X-API-KEY.' };
+        }
+        const projectId = headerProjectId || profile.defaultProjectId;
+        if (!projectId) {
+            return { error: `Unauthorized: Profile "${profile.name}" has no default project; send an x-aqua-projectid header.` };
+        }
+        console.log(`[Aqua-MCP-Standalone] API key accepted for credential profile: ${profile.name}`);
+        return {
+            user: {
+                aquacloud_username: profile.username,
+                aquacloud_url: profile.aquaUrl,
+                profile: profile.name,
+            },
+            projectId: String(projectId),
+            apiKeyHash: aquaCrypto.hashApiKey(apiKey),
+            policy: profile.policy || null,
+        };
+    }
+
+    if (!ALLOW_HEADER_CREDENTIALS) {
+        return { error: 'Unauthorized: Missing X-API-KEY header in initialize request.' };
+    }
+
+    const {
+        'x-aqua-username': username,
+        'x-aqua-password': password,
+        'x-aqua-url': aquacloud_url,
+    } = req.headers;
+    if (!username || !password || !aquacloud_url || !headerProjectId) {
+        return { error: 'Unauthorized: Missing x-aqua-username, x-aqua-password, x-aqua-url, or x-aqua-projectid headers in initialize request.' };
+    }
+
+    console.log('[Aqua-MCP-Standalone] Header credentials provided.');
+    // Session data is persisted, so the password is only kept encrypted (startHttpServer requires a master key).
+    const user = { aquacloud_username: username, aquacloud_url, aquacloud_password_encrypted: aquaCrypto.encrypt(password) };
+    return { user, projectId: headerProjectId, apiKeyHash: null, policy: null };
+}
+
+/**
+ * Checks that a request for an existing session comes from the API key that created it.
+ * @param {object} sessionMemory
+ * @param {object} req - The Express request.
+ * @returns {boolean}
+ */
+function isRequestAuthorizedForSession(sessionMemory, req) {
+    if (!sessionMemory || !sessionMemory.apiKeyHash) return true;
+    const apiKey = req.headers['x-api-key'];
+    return Boolean(apiKey) && aquaCrypto.hashApiKey(apiKey) === sessionMemory.apiKeyHash;
+}
+
+/**
+ * Gets the auth provider of a session. Its tokens are kept in the session data, so they are
+ * persisted along with the session.
+ * @param {object} sessionMemory - The session's in-memory store.
+ * @returns {object} An auth provider (see aquaAuthProvider.js).
+ */
+function getSessionAuthProvider(sessionMemory) {
+    if (!sessionMemory.user) throw new Error("User not found in session.");
+
+    let provider = sessionAuthProviders.get(sessionMemory);
+    if (!provider) {
+        provider = aquaAuthProvider.createAuthProvider({
+            aquaUrl: sessionMemory.user.aquacloud_url,
+            username: sessionMemory.user.aquacloud_username,
+            getPassword: () => getSessionPassword(sessionMemory.user),
+            storage: aquaAuthProvider.createCallbackTokenStorage({
+                load: async () => sessionMemory.aquaAuth,
+                // Saved at once, as the old refresh token may not work anymore.
+                save: async (key, tokens) => { sessionMemory.aquaAuth = tokens; await persistSession(sessionMemory.sessionId); },
+                clear: async () => { delete sessionMemory.aquaAuth; await persistSession(sessionMemory.sessionId); },
+            }),
+            maxLoginFailures: MAX_LOGIN_FAILURES,
+            // Named like the session's audit log entries: by profile, or else by session.
+            logName: sessionMemory.user.profile ? `profile ${sessionMemory.user.profile}` : `session ${sessionMemory.sessionId}`,
+        });
+        sessionAuthProviders.set(sessionMemory, provider);
+    }
+    return provider;
+}
+
+/**
+ * Describes who is behind a session, for the audit log: the credential profile and API key,
+ * or the AquaCloud user of a session created with header credentials.
+ * @param {object} sessionMemory
+ * @returns {object}
+ */
+function getSessionIdentity(sessionMemory) {
+    const { user, apiKeyHash } = sessionMemory;
+    if (user.profile) {
+        return { profile: user.profile, apiKey: apiKeyHash ? apiKeyHash.slice(0, 12) : null };
+    }
+    return { aquaUrl: user.aquacloud_url, username: user.aquacloud_username };
 }
 
+/**
+ * Writes the audit log entry of a tool call that sent changes, even if they failed. A failing audit
+ * log is reported, but doesn't fail the tool call, as its changes are made already.
+ * @param {object} sessionMemory
+ * @param {object} call - The tool call, from toolCalls.
+ * @param {Array<object>} writes - The requests that change something, with their outcomes (see aquaUtils.callApi).
+ */
+async function recordToolCall(sessionMemory, call, writes) {
+    if (!auditLog) return;
+    try {
+        await auditLog.append(aquaAudit.buildEntry({
+            sessionId: sessionMemory.sessionId || null,
+            identity: getSessionIdentity(sessionMemory),
+            ...call,
+            writes,
+        }));
+    } catch (error) {
+        console.error(`[Aqua-MCP-Standalone] Failed to write the audit log entry of ${call.tool}:`, error.message);
+    }
+}
 
 /**
  * Creates and configures a new McpServer instance for Aqua Cloud operations.
@@ -134,78 +792,172 @@ function createMcpServer(sessionMemory) {
         name: "aquacloud-agent-server-standalone",
         version: "1.0.0"
     });
+    const policy = aquaPolicy.normalizePolicy(sessionMemory.policy ?? DEFAULT_POLICY); // Sessions from before policies existed get the default
+    sessionServers.set(sessionMemory, server);
 
-    // This wrapper handles auth and catches errors, including parsing errors
+    // Subscribed resources are checked with the session's credentials.
+    const subscriptions = aquaResources.createResourceSubscriptions({
+        fingerprint: (uri) => getSessionAuthProvider(sessionMemory).withAuth(auth => getResourceFingerprint(sessionMemory.user.aquacloud_url, auth, uri)),
+        onUpdated: (uri) => server.server.sendResourceUpdated({ uri }).catch(() => {}), // The client may be gone
+        intervalMs: RESOURCE_POLL_INTERVAL_MS,
+    });
+    server.server.onclose = () => subscriptions.close();
+
+    // Tools the session's policy doesn't allow are not registered, so clients never see them.
+    // In a dry run, write tools return the requests they would send instead of their usual output.
+    const registerTool = (name, config, handler) => {
+        const writes = WRITE_TOOLS.includes(name);
+        if (aquaPolicy.isToolAllowed(policy, name, writes)) {
+            const toolConfig = policy.dryRun && writes ? { ...config, outputSchema: dryRunOutputShape } : config;
+            server.registerTool(name, toolConfig, (...args) => toolCalls.run({ tool: name }, () => handler(...args)));
+        }
+    };
+
+    // This wrapper handles auth and catches errors, including parsing errors.
+    // Calls that change something are written to the audit log.
     const withAuth = async (toolFn) => {
+        const call = toolCalls.getStore() || { tool: 'unknown' };
+        const writes = []; // Filled by aquaUtils.callApi
+        let result;
         try {
-            const auth = await getAquaAuth(sessionMemory);
+            const authProvider = getSessionAuthProvider(sessionMemory);
             const aquaUrl = sessionMemory.user.aquacloud_url;
-            return await toolFn(auth, aquaUrl);
+            if (!policy.dryRun) {
+                result = await authProvider.withAuth(auth => toolFn({ ...auth, writes }, aquaUrl));
+            } else {
+                // Dry run: aquaUtils.callApi collects the changes instead of sending them.
+                const plannedRequests = [];
+                result = await authProvider.withAuth(auth => toolFn({ ...auth, dryRun: plannedRequests }, aquaUrl));
+                if (plannedRequests.length > 0) {
+                    result = toolResult(`Dry run: nothing was changed in Aqua Cloud. The call would send these requests:\n${JSON.stringify(plannedRequests, null, 2)}`, { dryRun: true, requests: plannedRequests });
+                } else if (WRITE_TOOLS.includes(call.tool) && !result.isError) {
+                    result = { ...result, structuredContent: { dryRun: true, requests: [], result: result.structuredContent } };
+                }
+            }
         } catch (error) {
             // This will catch errors from parseAquaItemId as well
             const errorMessage = error.response ? JSON.stringify(error.response.data) : error.message;
             console.error(`[Aqua-MCP-Standalone] Tool execution error:`, error.message);
-            return { content: [{ type: "text", text: `Error: ${errorMessage}` }] };
+            result = toolError(aquaUtils.getErrorCode(error), errorMessage);
+        }
+        if (result.isError) {
+            call.error = result._meta[TOOL_ERROR_META_KEY].message;
         }
+
+        if (writes.length > 0 || call.undoes) {
+            await recordToolCall(sessionMemory, call, writes);
+        }
+        if (writes.length > 0) {
+            subscriptions.check(); // Subscribers hear about the change without waiting for the next poll
+        }
+        return result;
+    };
+
+    // Tells aquacloud_undo-last-change how to revert the current tool call.
+    const recordUndo = (undo) => {
+        const call = toolCalls.getStore();
+        if (call) call.undo = undo;
+    };
+
+    /**
+     * Checks the session's writable projects and item types before a tool changes an item.
+     * @param {object} auth
+     * @param {string} aquaUrl
+     * @param {string} itemType - The type of the item that is changed or created.
+     * @param {number|string|{itemId: number|string, itemType: string}} location - The project ID, or the item whose project counts.
+     */
+    const assertWritable = async (auth, aquaUrl, itemType, location) => {
+        if (!aquaPolicy.restrictsWrites(policy)) return;
+        let projectId = location;
+        if (location && typeof location === 'object' && policy.writableProjects !== null) {
+            const details = await aquaUtils.getItemDetails(aquaUrl, auth, location.itemId, location.itemType);
+            projectId = details?.Location?.ProjectId;
+        }
+        aquaPolicy.assertWriteAllowed(policy, { itemType, projectId });
     };
 
-    server.registerTool("aquacloud_get-item-details", {
+    registerTool("aquacloud_get-item-details", {
         title: "Get Aqua Cloud Item Details",
         description: "Fetches the full details of an Aqua Cloud work item (e.g., Requirement, Defect, TestCase).",
         inputSchema: {
             itemId: z.string().optional().describe("The ID of the item, with or without its prefix (e.g., 'DF068415' or '68415'). Defaults to the task ID from the session."),
             itemType: z.string().optional().describe("The type of the item (e.g., 'Requirement', 'Defect'). If omitted, the type will be inferred from the itemId prefix."),
+            // Without a format, the description keeps the shape it had before formats existed.
+            format: z.enum(aquaRichText.RICH_TEXT_FORMATS).optional()
+                .describe("How the description is returned: 'markdown', 'html' as stored in Aqua Cloud, or 'text'. If omitted, it is returned as { html, plainText }."),
+        },
+        outputSchema: {
+            ...itemRefShape,
+            id: z.string().describe("The prefixed ID (e.g., 'DF068415')."),
+            title: z.string(),
+            format: z.enum(aquaRichText.RICH_TEXT_FORMATS).optional().describe("Set if a format was requested."),
+            description: z.union([z.string(), z.object({ html: z.string(), plainText: z.string() })]),
         }
     }, (input) => withAuth(async (auth, aquaUrl) => {
         const rawItemId = input.itemId || sessionMemory.taskId; // Use session task ID as fallback
         if (!rawItemId) {
-            return { content: [{ type: "text", text: "Error: No itemId provided and none found in session." }] };
+            return toolError('VALIDATION', "No itemId provided and none found in session.");
         }
 
         const { itemId, itemType } = parseAquaItemId(rawItemId, input.itemType);
         
         const details = await aquaUtils.getItemDetails(aquaUrl, auth, itemId, itemType);
-        const processedDetails = {
+        const descriptionHtml = details.Description?.Html || '';
+        const processedDetails = !input.format ? {
             title: details.Name,
-            description: {
-                html: details.Description?.Html || '',
-                plainText: details.Description?.PlainText || ''
-            }
+            description: { html: descriptionHtml, plainText: details.Description?.PlainText || '' },
+        } : {
+            title: details.Name,
+            format: input.format,
+            description: input.format === 'text' && details.Description?.PlainText
+                ? details.Description.PlainText
+                : aquaRichText.fromAquaHtml(descriptionHtml, input.format, { aquaUrl }),
         };
-        return { content: [{ type: "text", text: JSON.stringify(processedDetails, null, 2) }] };
+        const id = aquaUtils.formatAquaItemId(itemId, itemType);
+        return toolResult(`${itemType} ${id}: ${details.Name}\n${JSON.stringify(processedDetails, null, 2)}`, { itemId, itemType, id, ...processedDetails });
     }));
 
-    server.registerTool("aquacloud_add-comment-to-item", {
+    registerTool("aquacloud_add-comment-to-item", {
         title: "Add Comment to Aqua Cloud Item",
         description: "Adds a comment to the discussion history of an Aqua Cloud work item. Requires a mapping to be set in the session.",
         inputSchema: {
             itemId: z.string().optional().describe("The ID of the item, with or without its prefix (e.g., 'DF068415' or '68415'). Defaults to the task ID from the session."),
-            comment: z.string().describe("The content of the comment to add. Supports HTML."),
+            comment: z.string().describe("The content of the comment to add, in the given format."),
             itemType: z.string().optional().describe("The type of the item (e.g., 'Requirement', 'Defect'). If omitted, the type will be inferred from the itemId prefix."),
-        }
+            format: writeFormatSchema,
+        },
+        outputSchema: itemRefShape,
     }, (input) => withAuth(async (auth, aquaUrl) => {
         const rawItemId = input.itemId || sessionMemory.taskId; // Use session task ID as fallback
         if (!rawItemId) {
-            return { content: [{ type: "text", text: "Error: No itemId provided and none found in session." }] };
+            return toolError('VALIDATION', "No itemId provided and none found in session.");
         }
 
         const { itemId, itemType } = parseAquaItemId(rawItemId, input.itemType);
-        const { comment } = input;
+        const comment = aquaRichText.toAquaHtml(input.comment, input.format);
+        await assertWritable(auth, aquaUrl, itemType, { itemId, itemType });
 
         await aquaUtils.addCommentToItem(aquaUrl, auth, itemId, comment, itemType);
-        return { content: [{ type: "text", text: `Successfully added comment to item ${itemType} ${itemId}.` }] };
+        return toolResult(`Successfully added comment to item ${itemType} ${itemId}.`, { itemId, itemType });
     }));
 
-    server.registerTool("aquacloud_create-item", {
+    registerTool("aquacloud_create-item", {
         title: "Create Item in Aqua Cloud",
-        description: "Creates one or more items (e.g., a Requirement). If a parentItemId is provided, it creates sub-items. Otherwise, it creates top-level items in a project.",
+        description: "Creates one or more items (e.g., a Requirement), including trees of sub-requirements. If a parentItemId is provided, it creates sub-items. Otherwise, it creates top-level items in a project. Everything is checked before the first item is created; if an item fails, the items created so far are deleted again (or kept, with onError 'report'). Returns what happened to each task.",
         inputSchema: {
             parentItemId: z.string().optional().describe("The ID of the parent Requirement, with or without prefix (e.g., 'RQ0123'). If provided, creates sub-items."),
             itemType: z.string().default('Requirement').describe("The type of item to create. Defaults to 'Requirement'."),
-            tasks: z.array(z.object({
-                title: z.string().describe("The title of the item."),
-                description: z.string().describe("The description of the item."),
-            })).describe("An array of item objects to create."),
+            tasks: z.array(createItemTaskSchema).min(1).describe("An array of item objects to create."),
+            onError: z.enum(aquaItemBatch.ON_ERROR_MODES).default('rollback').describe("What to do when an item can't be created: 'rollback' (default) deletes the items this call created; 'report' keeps them, carries on with the other tasks (skipping children of failed ones) and reports per task."),
+            format: writeFormatSchema,
+        },
+        outputSchema: {
+            ok: z.boolean().describe("Whether every task was created (or already existed)."),
+            created: z.number().int(),
+            existing: z.number().int(),
+            failed: z.number().int(),
+            skipped: z.number().int(),
+            results: z.array(createdItemOutputSchema).describe("One result per task, parents before their children."),
         }
     }, (input) => withAuth(async (auth, aquaUrl) => {
         const rawParentId = input.parentItemId;
@@ -213,7 +965,7 @@ function createMcpServer(sessionMemory) {
         let numericParentId = null;
 
         if (!projectId) {
-            return { content: [{ type: "text", text: "Error: No projectId found in the session." }] };
+            return toolError('VALIDATION', "No projectId found in the session.");
         }
 
         if (rawParentId && rawParentId !== "%TASK_CONTEXT_TASK_ID%") {
@@ -223,42 +975,108 @@ function createMcpServer(sessionMemory) {
             numericParentId = parsedId;
         }
 
-        const createdItems = [];
-        for (const task of input.tasks) {
-            const result = await aquaUtils.createItem(aquaUrl, auth, task, {
-                parentRequirementId: numericParentId, // This is now the parsed numeric ID
-                projectId: projectId,
-                itemType: input.itemType
-            });
-            createdItems.push(result);
+        // Check everything before creating anything, so a bad task fails the call up front.
+        const entries = aquaItemBatch.flattenTasks(input.tasks).map(entry => ({
+            ...entry,
+            task: {
+                ...entry.task,
+                description: aquaRichText.toAquaHtml(entry.task.description, input.format),
+                relations: (entry.task.relations || []).map(relation => ({
+                    ...parseAquaItemId(relation.targetItemId, relation.targetItemType),
+                    relationType: relation.relationType,
+                })),
+            },
+        }));
+        const problems = aquaItemBatch.validateBatch(entries, input.itemType);
+        if (numericParentId && !(await aquaItemBatch.itemExists(aquaUrl, auth, numericParentId, 'Requirement'))) {
+            problems.push(`The parent Requirement ${rawParentId} does not exist.`);
+        }
+        const checkedTargets = new Set();
+        for (const { path, task } of entries) {
+            for (const target of task.relations) {
+                const key = `${target.itemType}:${target.itemId}`;
+                if (checkedTargets.has(key)) continue;
+                checkedTargets.add(key);
+                if (!(await aquaItemBatch.itemExists(aquaUrl, auth, target.itemId, target.itemType))) {
+                    problems.push(`Task ${path}: the related item ${aquaUtils.formatAquaItemId(target.itemId, target.itemType)} does not exist.`);
+                }
+            }
         }
-        return { content: [{ type: "text", text: `Successfully created ${createdItems.length} item(s). Response: ${JSON.stringify(createdItems, null, 2)}` }] };
+        if (problems.length > 0) {
+            return toolError('VALIDATION', `Nothing was created.\n- ${problems.join('\n- ')}`);
+        }
+
+        await assertWritable(auth, aquaUrl, input.itemType, numericParentId ? { itemId: numericParentId, itemType: 'Requirement' } : projectId);
+
+        const batch = await aquaItemBatch.createItemBatch(aquaUrl, auth, entries, {
+            itemType: input.itemType,
+            parentRequirementId: numericParentId,
+            projectId,
+            onError: input.onError,
+            idempotencyStore: policy.dryRun ? null : idempotencyStore, // A dry run creates nothing to remember
+            idempotencyScope: `${aquaUrl}|${sessionMemory.user.aquacloud_username}|${projectId}|${input.itemType}`,
+            onCreated: (items) => recordUndo(items.length > 0 ? { action: 'delete-items', items } : null),
+        });
+
+        const count = (status) => batch.results.filter(result => result.status === status).length;
+        const report = JSON.stringify(batch.results, null, 2);
+        const output = {
+            ok: batch.ok,
+            created: count('created'),
+            existing: count('existing'),
+            failed: count('failed'),
+            skipped: count('skipped'),
+            results: batch.results,
+        };
+        if (batch.ok) {
+            const existing = count('existing');
+            const relations = batch.results.reduce((sum, result) => sum + result.relations.length, 0);
+            const summary = `Successfully created ${count('created')} item(s)`
+                + (relations > 0 ? ` and ${relations} relation(s)` : '')
+                + (existing > 0 ? `; ${existing} item(s) already existed for their idempotency key` : '');
+            return toolResult(`${summary}. Response: ${report}`, output);
+        }
+        const failed = batch.results.find(result => result.status === 'failed');
+        if (batch.rolledBack) {
+            const leftovers = batch.results.filter(result => result.rollbackError).map(result => result.rollbackError);
+            const rollback = leftovers.length > 0
+                ? `Rolling back failed for some items, which are still there: ${leftovers.join(' ')}`
+                : 'The items created by this call were deleted again.';
+            return toolError(failed.errorCode, `Task ${failed.path} ("${failed.title}") failed: ${failed.error} ${rollback}\n${report}`, { results: batch.results });
+        }
+        return toolResult(`Created ${count('created')} of ${entries.length} item(s); ${count('failed')} failed and ${count('skipped')} were skipped.\n${report}`, output);
     }));
 
-    server.registerTool("aquacloud_get-test-steps", {
+    registerTool("aquacloud_get-test-steps", {
         title: "Get Test Steps for a TestCase",
         description: "Fetches the detailed test steps for a given TestCase item.",
         inputSchema: {
             testCaseId: z.string().optional().describe("The ID of the TestCase item, with or without prefix (e.g., 'TC0123' or '123'). Defaults to task ID from session."),
+            format: readFormatSchema,
+        },
+        outputSchema: {
+            ...itemRefShape,
+            format: z.enum(aquaRichText.RICH_TEXT_FORMATS),
+            steps: z.array(testStepOutputSchema),
         }
     }, (input) => withAuth(async (auth, aquaUrl) => {
         const rawItemId = input.testCaseId || sessionMemory.taskId;
         if (!rawItemId) {
-            return { content: [{ type: "text", text: "Error: No testCaseId provided and none found in session." }] };
+            return toolError('VALIDATION', "No testCaseId provided and none found in session.");
         }
         
         // For this tool, we force the type to 'TestCase'
         const { itemId, itemType } = parseAquaItemId(rawItemId, 'TestCase');
 
         if (itemType.toLowerCase() !== 'testcase') {
-             return { content: [{ type: "text", text: `Error: The provided ID "${rawItemId}" does not appear to be a TestCase.` }] };
+             return toolError('VALIDATION', `The provided ID "${rawItemId}" does not appear to be a TestCase.`);
         }
 
-        const steps = await aquaUtils.getTestSteps(aquaUrl, auth, itemId);
-        return { content: [{ type: "text", text: JSON.stringify(steps, null, 2) }] };
+        const steps = formatTestSteps(aquaTestSteps.normalizeTestSteps(await aquaUtils.getTestSteps(aquaUrl, auth, itemId)), input.format, aquaUrl);
+        return toolResult(`${aquaUtils.formatAquaItemId(itemId, itemType)} has ${steps.length} test step(s).\n${JSON.stringify(steps, null, 2)}`, { itemId, itemType, format: input.format, steps });
     }));
 
-    server.registerTool("aquacloud_add-test-steps", {
+    registerTool("aquacloud_add-test-steps", {
         title: "Add Test Steps to a TestCase",
         description: "Adds one or more test steps to an existing Aqua Cloud TestCase item. This requires locking the item.",
         inputSchema: {
@@ -266,23 +1084,31 @@ function createMcpServer(sessionMemory) {
             itemType: z.string().optional().default('TestCase').describe("The type of the item. Must be 'TestCase' or a type that supports test steps."),
             steps: z.array(z.object({
                 name: z.string().describe("The name or title of the test step."),
-                instructions: z.string().describe("The detailed instructions or actions for the test step (as HTML text)."),
-                expectedResult: z.string().describe("The expected result for the test step (as HTML text)."),
+                instructions: z.string().describe("The detailed instructions or actions for the test step, in the given format."),
+                expectedResult: z.string().describe("The expected result for the test step, in the given format."),
             })).describe("An array of test step objects to add."),
+            format: writeFormatSchema,
+        },
+        outputSchema: {
+            ...itemRefShape,
+            added: z.number().int(),
+            stepIds: z.array(idSchema).describe("The IDs of the new steps."),
         }
     }, (input) => withAuth(async (auth, aquaUrl) => {
         const rawItemId = input.itemId || sessionMemory.taskId;
         if (!rawItemId) {
-            return { content: [{ type: "text", text: "Error: No itemId provided and none found in session." }] };
+            return toolError('VALIDATION', "No itemId provided and none found in session.");
         }
 
         // Default to 'TestCase' if not provided
         const { itemId, itemType } = parseAquaItemId(rawItemId, input.itemType || 'TestCase');
 
         if (itemType.toLowerCase() !== 'testcase') {
-             return { content: [{ type: "text", text: `Error: The provided ID "${rawItemId}" does not appear to be a TestCase.` }] };
+             return toolError('VALIDATION', `The provided ID "${rawItemId}" does not appear to be a TestCase.`);
         }
 
+        await assertWritable(auth, aquaUrl, itemType, { itemId, itemType });
+
         const existingSteps = await aquaUtils.getTestSteps(aquaUrl, auth, itemId);
         const currentStepCount = Array.isArray(existingSteps) ? existingSteps.length : 0;
 
@@ -290,8 +1116,8 @@ function createMcpServer(sessionMemory) {
             TestSteps: {
                 Added: input.steps.map((step, index) => ({
                     Name: step.name,
-                    Description: { Html: step.instructions },
-                    ExpectedResult: { Html: step.expectedResult },
+                    Description: { Html: aquaRichText.toAquaHtml(step.instructions, input.format) },
+                    ExpectedResult: { Html: aquaRichText.toAquaHtml(step.expectedResult, input.format) },
                     Automation: null,
                     Index: currentStepCount + index + 1,
                     StepType: 'Step',
@@ -301,124 +1127,1331 @@ function createMcpServer(sessionMemory) {
         };
 
         const result = await aquaUtils.updateLockedItem(aquaUrl, auth, itemId, itemType, updatePayload);
-        return { content: [{ type: "text", text: `Successfully added ${input.steps.length} test step(s) to item ${itemId}. Response: ${JSON.stringify(result, null, 2)}` }] };
-    }));
-
-
-    return server;
-}
 
-// Handle POST requests for client-to-server communication.
-app.post('/mcp', async (req, res) => {
-    const sessionId = req.headers['mcp-session-id'];
-    let transport;
+        const existingIds = (Array.isArray(existingSteps) ? existingSteps : []).map(step => step.Id);
+        const addedIds = aquaTestSteps.normalizeTestSteps(await aquaUtils.getTestSteps(aquaUrl, auth, itemId))
+            .map(step => step.id)
+            .filter(id => !existingIds.includes(id));
+        recordUndo({ action: 'delete-test-steps', itemId, itemType, stepIds: addedIds });
+        return toolResult(`Successfully added ${input.steps.length} test step(s) to item ${itemId}. Response: ${JSON.stringify(result, null, 2)}`, { itemId, itemType, added: input.steps.length, stepIds: addedIds });
+    }));
 
-    if (sessionId && sessionTransports[sessionId]) {
-        transport = sessionTransports[sessionId];
-    } else if (!sessionId && isInitializeRequest(req.body)) {
-
-        // --- MODIFICATION START ---
-        // Read credentials from headers instead of handshakeParams
-        console.log("[Aqua-MCP-Standalone] Received initialize request. Checking headers...");
-        const {
-            'x-aqua-username': username,
-            'x-aqua-password': password,
-            'x-aqua-url': aquacloud_url,
-            'x-aqua-projectid': projectId,
-            'x-task-id': taskId // Capture the task ID from headers
-        } = req.headers;
-
-        if (!username || !password || !aquacloud_url || !projectId) {
-            console.warn("[Aqua-MCP-Standalone] Initialize request failed: Missing required headers.");
-            return res.status(401).json({
-                error: { message: 'Unauthorized: Missing x-aqua-username, x-aqua-password, x-aqua-url, or x-aqua-projectid headers in initialize request.' }
-            });
+    registerTool("aquacloud_list-attachments", {
+        title: "List Attachments of an Aqua Cloud Item",
+        description: "Lists the attachments (screenshots, logs, documents) of an Aqua Cloud work item.",
+        inputSchema: {
+            itemId: z.string().optional().describe("The ID of the item, with or without its prefix (e.g., 'DF068415' or '68415'). Defaults to the task ID from the session."),
+            itemType: z.string().optional().describe("The type of the item (e.g., 'Requirement', 'Defect'). If omitted, the type will be inferred from the itemId prefix."),
+        },
+        outputSchema: {
+            ...itemRefShape,
+            attachments: z.array(attachmentOutputSchema),
+        }
+    }, (input) => withAuth(async (auth, aquaUrl) => {
+        const rawItemId = input.itemId || sessionMemory.taskId;
+        if (!rawItemId) {
+            return toolError('VALIDATION', "No itemId provided and none found in session.");
         }
-        // --- MODIFICATION END ---
 
-        try {
-            console.log(`[Aqua-MCP-Standalone] Credentials provided for user: ${username}`);
-            console.log(`[Aqua-MCP-Standalone] Context Task ID: ${taskId || 'N/A'}`); // Log the task ID
+        const { itemId, itemType } = parseAquaItemId(rawItemId, input.itemType);
 
-            const newSessionId = randomUUID();
+        const attachments = (await aquaUtils.getItemAttachments(aquaUrl, auth, itemId, itemType)).map(summarizeAttachment);
+        return toolResult(`${itemType} ${itemId} has ${attachments.length} attachment(s).\n${JSON.stringify(attachments, null, 2)}`, { itemId, itemType, attachments });
+    }));
 
-            // Create a user-like object in memory for the session.
-            const user = {
-                aquacloud_username: username,
-                aquacloud_password: password, // plain text
-                aquacloud_url: aquacloud_url,
-            };
+    registerTool("aquacloud_get-attachment", {
+        title: "Download an Attachment from an Aqua Cloud Item",
+        description: "Downloads a single attachment of an Aqua Cloud work item. Images are returned as image content, text files as text, and everything else as an embedded resource.",
+        inputSchema: {
+            itemId: z.string().optional().describe("The ID of the item, with or without its prefix (e.g., 'DF068415' or '68415'). Defaults to the task ID from the session."),
+            itemType: z.string().optional().describe("The type of the item (e.g., 'Requirement', 'Defect'). If omitted, the type will be inferred from the itemId prefix."),
+            attachmentId: z.union([z.string(), z.number()]).describe("The ID of the attachment, as returned by aquacloud_list-attachments."),
+        },
+        outputSchema: {
+            ...itemRefShape,
+            attachment: attachmentOutputSchema,
+            contentType: z.enum(['image', 'text', 'resource']).describe("How the file is returned in the content."),
+        }
+    }, (input) => withAuth(async (auth, aquaUrl) => {
+        const rawItemId = input.itemId || sessionMemory.taskId;
+        if (!rawItemId) {
+            return toolError('VALIDATION', "No itemId provided and none found in session.");
+        }
 
-            sessionMemoryStore[newSessionId] = {
-                user,
-                aquaProjectId: projectId, // Use project ID from header
-                taskId: taskId || null, // Store the task ID in session memory
-            };
-            console.log(`[Aqua-MCP-Standalone] New session initialized: ${newSessionId}`);
+        const { itemId, itemType } = parseAquaItemId(rawItemId, input.itemType);
 
-            const server = createMcpServer(sessionMemoryStore[newSessionId]);
+        const attachments = await aquaUtils.getItemAttachments(aquaUrl, auth, itemId, itemType);
+        const attachment = attachments.find(a => String(a.Id) === String(input.attachmentId));
+        if (!attachment) {
+            return toolError('NOT_FOUND', `Attachment ${input.attachmentId} not found on ${itemType} ${itemId}.`);
+        }
 
-            transport = new StreamableHTTPServerTransport({
-                sessionIdGenerator: () => newSessionId,
-                onsessioninitialized: (id) => { sessionTransports[id] = transport; },
-            });
+        const summary = summarizeAttachment(attachment);
+        const { id, name, size, mimeType } = summary;
+        if (size && size > MAX_ATTACHMENT_BYTES) {
+            return toolError('VALIDATION', `Attachment '${name}' is ${size} bytes, which exceeds the limit of ${MAX_ATTACHMENT_BYTES} bytes.`);
+        }
 
-            transport.onclose = () => {
-                if (transport.sessionId) {
-                    console.log(`[Aqua-MCP-Standalone] Session closed: ${transport.sessionId}`);
-                    delete sessionTransports[transport.sessionId];
-                    delete sessionMemoryStore[transport.sessionId];
-                    server.close();
-                }
-            };
+        const url = attachment.Url || aquaUtils.getAttachmentUrl(aquaUrl, id);
+        // AquaCloud doesn't always report the size, so the download itself is limited too.
+        const data = Buffer.from(await aquaUtils.downloadAttachment(url, auth, MAX_ATTACHMENT_BYTES));
 
-            await server.connect(transport);
-        } catch (error) {
-            console.error('[Aqua-MCP-Standalone] Initialization error:', error);
-            return res.status(500).json({ error: { message: 'Server error during initialization.' } });
+        const result = (contentType, block) => toolResult(
+            `Attachment '${name}' (${mimeType}, ${data.length} bytes) of ${itemType} ${itemId}:`,
+            { itemId, itemType, attachment: summary, contentType },
+            [block],
+        );
+        if (mimeType.startsWith('image/') && mimeType !== 'image/svg+xml') {
+            return result('image', { type: "image", data: data.toString('base64'), mimeType });
         }
-    } else {
-        return res.status(400).json({ error: { message: 'Bad Request: A valid mcp-session-id header is required for non-initialize requests.' } });
-    }
-
-    // --- Add Task ID to session on subsequent requests ---
-    // This ensures that even if the task ID changes, we capture it.
-    if (transport && transport.sessionId && req.headers['x-task-id']) {
-        const currentSessionId = transport.sessionId;
-        if (sessionMemoryStore[currentSessionId] && sessionMemoryStore[currentSessionId].taskId !== req.headers['x-task-id']) {
-             console.log(`[Aqua-MCP-Standalone] Updating Task ID for session ${currentSessionId}: ${req.headers['x-task-id']}`);
-             sessionMemoryStore[currentSessionId].taskId = req.headers['x-task-id'];
+        if (isTextMimeType(mimeType) || mimeType === 'image/svg+xml') {
+            return result('text', { type: "text", text: data.toString('utf8') });
         }
-    }
-    // --- End modification ---
-
-    await transport.handleRequest(req, res, req.body);
-});
+        return result('resource', {
+            type: "resource",
+            resource: { uri: url, mimeType, blob: data.toString('base64') },
+        });
+    }));
 
-const handleSessionRequest = async (req, res) => {
-    const sessionId = req.headers['mcp-session-id'];
-    if (!sessionId || !sessionTransports[sessionId]) {
-        return res.status(400).send('Invalid or missing mcp-session-id header');
+    registerTool("aquacloud_upload-attachment", {
+        title: "Upload an Attachment to an Aqua Cloud Item",
+        description: `Uploads a file (e.g., a log or a report) as an attachment to an Aqua Cloud work item. The decoded content may not exceed ${MAX_ATTACHMENT_BYTES} bytes.`,
+        inputSchema: {
+            itemId: z.string().optional().describe("The ID of the item, with or without its prefix (e.g., 'DF068415' or '68415'). Defaults to the task ID from the session."),
+            itemType: z.string().optional().describe("The type of the item (e.g., 'Requirement', 'Defect'). If omitted, the type will be inferred from the itemId prefix."),
+            ...attachmentInputShape,
+        },
+        outputSchema: {
+            ...itemRefShape,
+            fileName: z.string(),
+            size: z.number().int().describe("The uploaded size in bytes."),
+            attachmentId: idSchema.nullable(),
+        }
+    }, (input) => withAuth(async (auth, aquaUrl) => {
+        const rawItemId = input.itemId || sessionMemory.taskId;
+        if (!rawItemId) {
+            return toolError('VALIDATION', "No itemId provided and none found in session.");
+        }
+
+        const { itemId, itemType } = parseAquaItemId(rawItemId, input.itemType);
+
+        const fileBuffer = decodeAttachmentContent(input);
+        await assertWritable(auth, aquaUrl, itemType, { itemId, itemType });
+
+        const result = await aquaUtils.uploadAttachmentToItem(aquaUrl, auth, itemId, fileBuffer, input.fileName, itemType);
+        const output = { itemId, itemType, fileName: input.fileName, size: fileBuffer.length, attachmentId: result?.Id ?? null };
+        return toolResult(`Successfully uploaded '${input.fileName}' (${fileBuffer.length} bytes) to item ${itemType} ${itemId}. Response: ${JSON.stringify(result, null, 2)}`, output);
+    }));
+    registerTool("aquacloud_set-item-status", {
+        title: "Set the Status of an Aqua Cloud Item",
+        description: "Moves an Aqua Cloud work item to a new status (e.g., 'In Progress', 'Done'), given the status name. Returns the old and the new status.",
+        inputSchema: {
+            itemId: z.string().optional().describe("The ID of the item, with or without its prefix (e.g., 'RQ068415' or '68415'). Defaults to the task ID from the session."),
+            itemType: z.string().optional().describe("The type of the item (e.g., 'Requirement', 'Defect'). If omitted, the type will be inferred from the itemId prefix."),
+            status: z.string().describe("The name of the new status, as shown in Aqua Cloud (e.g., 'In Progress'). Matching is case-insensitive."),
+        },
+        outputSchema: {
+            ...itemRefShape,
+            oldStatus: z.string().nullable(),
+            newStatus: z.string(),
+        }
+    }, (input) => withAuth(async (auth, aquaUrl) => {
+        const rawItemId = input.itemId || sessionMemory.taskId;
+        if (!rawItemId) {
+            return toolError('VALIDATION', "No itemId provided and none found in session.");
+        }
+
+        const { itemId, itemType } = parseAquaItemId(rawItemId, input.itemType);
+
+        const details = await aquaUtils.getItemDetails(aquaUrl, auth, itemId, itemType);
+        const projectId = details.Location?.ProjectId || sessionMemory.aquaProjectId;
+        const oldStatus = aquaUtils.formatFieldValue(aquaUtils.getItemFieldValue(details, 'Status'));
+        await assertWritable(auth, aquaUrl, itemType, projectId);
+
+        const statuses = await getCachedStatuses(aquaUrl, auth, projectId, itemType);
+        if (statuses.length === 0) {
+            return toolError('UPSTREAM', `Could not load the statuses for ${itemType} in project ${projectId}.`);
+        }
+
+        const wanted = input.status.trim().toLowerCase();
+        const newStatus = statuses.find(status => status.name.trim().toLowerCase() === wanted);
+        if (!newStatus) {
+            const validNames = statuses.map(status => status.name).join(', ');
+            return toolError('VALIDATION', `Unknown status "${input.status}" for ${itemType}. Valid statuses are: ${validNames}.`);
+        }
+
+        await aquaUtils.updateItemStatus(aquaUrl, auth, itemId, newStatus.id, itemType);
+        const oldStatusId = getItemStatusId(details);
+        if (oldStatusId !== null) {
+            recordUndo({ action: 'restore-status', itemId, itemType, oldStatus: { id: oldStatusId, name: oldStatus }, newStatus: { id: newStatus.id, name: newStatus.name } });
+        }
+        const result = { itemId, itemType, oldStatus, newStatus: newStatus.name };
+        return toolResult(`Successfully changed the status of ${itemType} ${itemId} from '${oldStatus}' to '${newStatus.name}'.\n${JSON.stringify(result, null, 2)}`, result);
+    }));
+    registerTool("aquacloud_list-projects", {
+        title: "List Aqua Cloud Projects",
+        description: "Lists the Aqua Cloud projects the session's user can access, and marks the session's active project.",
+        inputSchema: {},
+        outputSchema: {
+            projects: z.array(z.object({
+                id: idSchema,
+                name: z.string().nullable(),
+                description: z.string().nullable(),
+                active: z.boolean().describe("Whether this is the session's active project."),
+            })),
+        }
+    }, () => withAuth(async (auth, aquaUrl) => {
+        const projects = await aquaUtils.getProjects(aquaUrl, auth);
+        const result = projects.map(project => ({
+            ...project,
+            active: String(project.id) === String(sessionMemory.aquaProjectId),
+        }));
+        return toolResult(`${result.length} project(s) are accessible.\n${JSON.stringify(result, null, 2)}`, { projects: result });
+    }));
+
+    registerTool("aquacloud_set-active-project", {
+        title: "Switch the Active Aqua Cloud Project",
+        description: "Switches the project used by this session (e.g., for aquacloud_create-item) after checking that the user can access it.",
+        inputSchema: {
+            project: z.union([z.string(), z.number()]).describe("The ID or the exact name of the project to switch to."),
+        },
+        outputSchema: {
+            previousProjectId: z.string().nullable(),
+            projectId: z.string(),
+            projectName: z.string().nullable(),
+        }
+    }, (input) => withAuth(async (auth, aquaUrl) => {
+        const projects = await aquaUtils.getProjects(aquaUrl, auth);
+        const wanted = String(input.project).trim();
+        const project = projects.find(p => String(p.id) === wanted)
+            || projects.find(p => p.name && p.name.toLowerCase() === wanted.toLowerCase());
+
+        if (!project) {
+            return toolError('NOT_FOUND', `Project "${input.project}" was not found or is not accessible for this user.`);
+        }
+
+        const previousProjectId = sessionMemory.aquaProjectId;
+        sessionMemory.aquaProjectId = String(project.id);
+        await persistSession(sessionMemory.sessionId); // Before a concurrent request could load the old project
+        console.log(`[Aqua-MCP-Standalone] Switched active project from ${previousProjectId} to ${project.id}.`);
+        const result = { previousProjectId: previousProjectId ? String(previousProjectId) : null, projectId: String(project.id), projectName: project.name ?? null };
+        return toolResult(`Successfully switched the active project from ${previousProjectId} to ${project.id} (${project.name}).`, result);
+    }));
+    registerTool("aquacloud_search-items", {
+        title: "Search Aqua Cloud Items",
+        description: "Searches items of any type in a project or folder, with structured filters, sorting and free-text search. Results are paged; pass the returned nextCursor to get the next page.",
+        inputSchema: {
+            itemType: z.string().default('Requirement').describe("The type of item to search (e.g., 'Requirement', 'TestCase', 'Defect'). Defaults to 'Requirement'."),
+            projectId: z.union([z.string(), z.number()]).optional().describe("The project to search in. Defaults to the session's active project."),
+            folderId: z.number().int().default(0).describe("The folder to search in. Defaults to 0 (the project root)."),
+            includeSubfolders: z.boolean().default(true).describe("Whether to include items in subfolders. Defaults to true."),
+            includeArchived: z.boolean().default(false).describe("Whether to include archived items. Defaults to false."),
+            search: z.string().optional().describe("Free text to search for."),
+            filter: itemFilterSchema.optional().describe("A condition such as {field: 'Status', operator: '=', value: 'To Do'}, or an {and: [...]} / {or: [...]} group of filters."),
+            sort: z.array(z.object({
+                field: z.string().describe("The field to sort by (e.g., 'LastModifiedDateTime')."),
+                direction: z.enum(['asc', 'desc']).default('asc'),
+            })).optional().describe("Sort order, most significant field first."),
+            pageSize: z.number().int().min(1).max(500).default(50).describe("The number of items per page (1-500). Defaults to 50."),
+            cursor: z.string().optional().describe("The nextCursor returned by a previous call with the same search, to fetch the next page."),
+        },
+        outputSchema: {
+            count: z.number().int(),
+            nextCursor: z.string().nullable().describe("Pass as 'cursor' to get the next page; null on the last page."),
+            items: z.array(z.record(z.string(), z.any())).describe("The items as returned by Aqua Cloud."),
+        }
+    }, (input) => withAuth(async (auth, aquaUrl) => {
+        const projectId = input.projectId || sessionMemory.aquaProjectId;
+        if (!projectId) {
+            return toolError('VALIDATION', "No projectId provided and none found in the session.");
+        }
+
+        const query = {
+            projectId,
+            itemType: input.itemType,
+            folderId: input.folderId,
+            includeSubfolders: input.includeSubfolders,
+            includeArchived: input.includeArchived,
+            filter: input.filter,
+            sorting: input.sort,
+            search: input.search,
+        };
+        const page = await aquaUtils.searchItemsPage(aquaUrl, auth, query, { cursor: input.cursor, pageSize: input.pageSize });
+        const result = { count: page.items.length, nextCursor: page.nextCursor ?? null, items: page.items };
+        return toolResult(`Found ${result.count} item(s)${result.nextCursor ? '; more are available with nextCursor' : ''}.\n${JSON.stringify(result, null, 2)}`, result);
+    }));
+    registerTool("aquacloud_get-item-hierarchy", {
+        title: "Get the Requirement Hierarchy",
+        description: "Fetches the sub-requirement tree below a Requirement (e.g., an epic) and returns it as structured JSON and as an indented outline with IDs, names and statuses. Use it to decide where new sub-requirements (aquacloud_create-item with parentItemId) belong.",
+        inputSchema: {
+            itemId: z.string().optional().describe("The ID of the root Requirement, with or without prefix (e.g., 'RQ0123' or '123'). Defaults to the task ID from the session."),
+            maxDepth: z.number().int().min(0).max(20).default(5).describe("How many levels below the root to expand. Defaults to 5."),
+            includeDescriptions: z.boolean().default(false).describe("Whether to fetch the plain-text description of every shown item. This makes one extra request per item."),
+        },
+        outputSchema: {
+            nodes: z.array(hierarchyNodeSchema).describe("The root node(s) of the tree."),
+        }
+    }, (input) => withAuth(async (auth, aquaUrl) => {
+        const rawItemId = input.itemId || sessionMemory.taskId;
+        if (!rawItemId) {
+            return toolError('VALIDATION', "No itemId provided and none found in session.");
+        }
+
+        const { itemId, itemType } = parseAquaItemId(rawItemId, 'Requirement');
+
+        const nodes = await loadHierarchy(aquaUrl, auth, itemId, itemType, input.maxDepth);
+
+        if (input.includeDescriptions) {
+            const pending = [...nodes];
+            while (pending.length > 0) {
+                const node = pending.shift();
+                const details = await aquaUtils.getItemDetails(aquaUrl, auth, node.itemId, 'Requirement');
+                node.description = details.Description?.PlainText || '';
+                if (!node.status) {
+                    node.status = aquaUtils.formatFieldValue(aquaUtils.getItemFieldValue(details, 'Status'));
+                }
+                pending.push(...node.children);
+            }
+        }
+
+        const outline = renderHierarchyOutline(nodes);
+        return toolResult(outline, { nodes }, [{ type: "text", text: JSON.stringify(nodes.length === 1 ? nodes[0] : nodes) }]);
+    }));
+    const stepTarget = {
+        index: z.number().int().min(1).optional().describe("The 1-based position of the step before this update (as returned by aquacloud_get-test-steps)."),
+        stepId: z.union([z.string(), z.number()]).optional().describe("The ID of the step. Use either 'index' or 'stepId'."),
+    };
+
+    registerTool("aquacloud_update-test-steps", {
+        title: "Edit the Test Steps of a TestCase",
+        description: "Modifies, deletes, moves and inserts test steps of an existing TestCase in a single locked update. Returns the resulting steps and a before/after diff.",
+        inputSchema: {
+            itemId: z.string().optional().describe("The ID of the TestCase, with or without prefix (e.g., 'TC0123' or '123'). Defaults to the task ID from the session."),
+            operations: z.array(z.discriminatedUnion('action', [
+                z.object({
+                    action: z.literal('modify'),
+                    ...stepTarget,
+                    name: z.string().optional().describe("The new name of the step."),
+                    instructions: z.string().optional().describe("The new instructions, in the given format."),
+                    expectedResult: z.string().optional().describe("The new expected result, in the given format."),
+                }),
+                z.object({ action: z.literal('delete'), ...stepTarget }),
+                z.object({
+                    action: z.literal('move'),
+                    ...stepTarget,
+                    toPosition: z.number().int().min(1).describe("The 1-based position to move the step to."),
+                }),
+                z.object({
+                    action: z.literal('insert'),
+                    position: z.number().int().min(1).optional().describe("The 1-based position to insert the step at. Defaults to the end."),
+                    name: z.string().describe("The name or title of the test step."),
+                    instructions: z.string().describe("The detailed instructions or actions for the test step, in the given format."),
+                    expectedResult: z.string().describe("The expected result for the test step, in the given format."),
+                }),
+            ])).min(1).describe("The operations to apply, in order."),
+            format: writeFormatSchema.describe("The format of the step texts in the operations, and of the returned steps: 'html' (default), 'markdown' (inline HTML allowed) or 'text'. Texts are converted to sanitized HTML for Aqua Cloud."),
+        },
+        outputSchema: {
+            ...itemRefShape,
+            format: z.enum(aquaRichText.RICH_TEXT_FORMATS),
+            added: z.number().int(),
+            modified: z.number().int().describe("Steps that were modified or moved."),
+            deleted: z.number().int(),
+            steps: z.array(testStepOutputSchema).describe("The steps after the update."),
+            diff: z.object({
+                before: z.array(z.object({ position: z.number().int(), id: idSchema.nullable(), name: z.string() })),
+                after: z.array(z.object({
+                    position: z.number().int(),
+                    id: idSchema.nullable(),
+                    name: z.string(),
+                    change: z.enum(['added', 'modified', 'moved', 'unchanged']),
+                    previousPosition: z.number().int().optional(),
+                })),
+                deleted: z.array(z.object({ id: idSchema, name: z.string() })),
+            }),
+        }
+    }, (input) => withAuth(async (auth, aquaUrl) => {
+        const rawItemId = input.itemId || sessionMemory.taskId;
+        if (!rawItemId) {
+            return toolError('VALIDATION', "No itemId provided and none found in session.");
+        }
+
+        const { itemId, itemType } = parseAquaItemId(rawItemId, 'TestCase');
+
+        const operations = input.operations.map(operation => {
+            const converted = { ...operation };
+            for (const key of ['instructions', 'expectedResult']) {
+                if (operation[key] !== undefined) converted[key] = aquaRichText.toAquaHtml(operation[key], input.format);
+            }
+            return converted;
+        });
+
+        await assertWritable(auth, aquaUrl, itemType, { itemId, itemType });
+
+        const existingSteps = aquaTestSteps.normalizeTestSteps(await aquaUtils.getTestSteps(aquaUrl, auth, itemId));
+        const { changes, diff } = aquaTestSteps.applyTestStepOperations(existingSteps, operations);
+
+        await aquaUtils.updateLockedItem(aquaUrl, auth, itemId, itemType, { TestSteps: changes });
+
+        const steps = formatTestSteps(aquaTestSteps.normalizeTestSteps(await aquaUtils.getTestSteps(aquaUrl, auth, itemId)), input.format, aquaUrl);
+        const summary = `Successfully updated test steps of ${itemType} ${itemId}: ${changes.Added.length} added, ${changes.Modified.length} modified or moved, ${changes.Deleted.length} deleted.`;
+        const result = { itemId, itemType, format: input.format, added: changes.Added.length, modified: changes.Modified.length, deleted: changes.Deleted.length, steps, diff };
+        return toolResult(`${summary}\n${JSON.stringify({ steps, diff }, null, 2)}`, result);
+    }));
+    registerTool("aquacloud_update-item-fields", {
+        title: "Update Fields of an Aqua Cloud Item",
+        description: "Sets fields of an Aqua Cloud work item (e.g., Name, Priority, AssignedTo, custom fields) and/or its description. Field names and values are checked against the project's field definitions; option labels and user names are translated to IDs.",
+        inputSchema: {
+            itemId: z.string().optional().describe("The ID of the item, with or without its prefix (e.g., 'DF068415' or '68415'). Defaults to the task ID from the session."),
+            itemType: z.string().optional().describe("The type of the item (e.g., 'Requirement', 'Defect'). If omitted, the type will be inferred from the itemId prefix."),
+            fields: fieldValuesSchema
+                .optional()
+                .describe("Field values keyed by field name or ID, e.g. { \"Priority\": \"High\", \"AssignedTo\": \"Doe, Jane (jdoe)\" }. Use null to clear a field and an array for multi-value fields."),
+            description: z.string().optional().describe("The new description of the item, in the given format."),
+            format: writeFormatSchema,
+        },
+        outputSchema: {
+            ...itemRefShape,
+            changes: z.array(z.object({ field: z.string(), oldValue: z.string().nullable(), newValue: z.string().nullable() })),
+        }
+    }, (input) => withAuth(async (auth, aquaUrl) => {
+        const rawItemId = input.itemId || sessionMemory.taskId;
+        if (!rawItemId) {
+            return toolError('VALIDATION', "No itemId provided and none found in session.");
+        }
+
+        const { itemId, itemType } = parseAquaItemId(rawItemId, input.itemType);
+        const fieldInput = input.fields || {};
+        if (Object.keys(fieldInput).length === 0 && input.description === undefined) {
+            return toolError('VALIDATION', "Provide at least one field or a description to update.");
+        }
+
+        const details = await aquaUtils.getItemDetails(aquaUrl, auth, itemId, itemType);
+        const projectId = details.Location?.ProjectId || sessionMemory.aquaProjectId;
+        await assertWritable(auth, aquaUrl, itemType, projectId);
+        const { problems, changes, detailsPayload } = await resolveFieldValues(aquaUrl, auth, projectId, itemType, fieldInput, details);
+        if (problems.length > 0) {
+            return toolError('VALIDATION', `Nothing was updated.\n- ${problems.join('\n- ')}`);
+        }
+
+        const updatePayload = {};
+        if (detailsPayload.length > 0) updatePayload.Details = detailsPayload;
+        if (input.description !== undefined) {
+            updatePayload.Description = { Html: aquaRichText.toAquaHtml(input.description, input.format) };
+            changes.push({ field: 'Description', oldValue: details.Description?.PlainText || '', newValue: input.description });
+        }
+
+        if (LOCKED_ITEM_TYPES.includes(itemType)) {
+            await aquaUtils.updateLockedItem(aquaUrl, auth, itemId, itemType, updatePayload);
+        } else {
+            await aquaUtils.updateItemFields(aquaUrl, auth, itemId, itemType, updatePayload);
+        }
+        return toolResult(`Successfully updated ${changes.length} field(s) of ${itemType} ${itemId}.\n${JSON.stringify(changes, null, 2)}`, { itemId, itemType, changes });
+    }));
+    registerTool("aquacloud_record-test-execution", {
+        title: "Record a Test Execution",
+        description: "Records the result of running a TestCase: the overall result, per-step status and actual results, and optional evidence attachments.",
+        inputSchema: {
+            testCaseId: z.string().optional().describe("The ID of the TestCase, with or without prefix (e.g., 'TC0123' or '123'). Defaults to the task ID from the session."),
+            status: z.enum(aquaTestExecutions.EXECUTION_STATUSES).describe("The overall result of the execution."),
+            stepResults: z.array(z.object({
+                index: z.number().int().min(1).optional().describe("The 1-based position of the step (as returned by aquacloud_get-test-steps)."),
+                stepId: z.union([z.string(), z.number()]).optional().describe("The ID of the step. Use either 'index' or 'stepId'."),
+                status: z.enum(aquaTestExecutions.EXECUTION_STATUSES).describe("The result of this step."),
+                actualResult: z.string().optional().describe("What actually happened, in the given format."),
+            })).default([]).describe("Per-step results. Steps that are left out count as 'Pass' if the overall status is 'Pass', otherwise as 'NotRun'."),
+            testedVersion: z.string().optional().describe("The version of the software under test."),
+            durationSeconds: z.number().min(0).optional().describe("How long the execution took, in seconds."),
+            attachments: z.array(z.object({
+                ...attachmentInputShape,
+                stepIndex: z.number().int().min(1).optional().describe("The step this attachment belongs to. Its file name is then prefixed with 'step<N>-'."),
+            })).default([]).describe("Evidence (screenshots, logs) to attach to the execution."),
+            format: writeFormatSchema,
+        },
+        outputSchema: {
+            executionId: idSchema.nullable(),
+            testCaseId: idSchema,
+            status: z.string(),
+            steps: z.array(z.object({ index: z.number().int(), name: z.string().nullable(), status: z.string() })),
+            attachments: z.array(z.string()).describe("The file names of the uploaded attachments."),
+            failedAttachments: z.array(z.object({ fileName: z.string(), error: z.string(), errorCode: z.enum(aquaUtils.TOOL_ERROR_CODES) }))
+                .describe("Attachments that could not be uploaded; the execution is recorded even so."),
+        }
+    }, (input) => withAuth(async (auth, aquaUrl) => {
+        const rawItemId = input.testCaseId || sessionMemory.taskId;
+        if (!rawItemId) {
+            return toolError('VALIDATION', "No testCaseId provided and none found in session.");
+        }
+
+        const { itemId, itemType } = parseAquaItemId(rawItemId, 'TestCase');
+
+        // Decode everything up front so a bad attachment doesn't leave a half-recorded execution behind.
+        const files = input.attachments.map(attachment => ({
+            fileName: attachment.stepIndex ? `step${attachment.stepIndex}-${attachment.fileName}` : attachment.fileName,
+            buffer: decodeAttachmentContent(attachment),
+        }));
+
+        const details = await aquaUtils.getItemDetails(aquaUrl, auth, itemId, itemType);
+        await assertWritable(auth, aquaUrl, itemType, details.Location?.ProjectId || sessionMemory.aquaProjectId);
+        const steps = aquaTestSteps.normalizeTestSteps(await aquaUtils.getTestSteps(aquaUrl, auth, itemId));
+        const stepResults = input.stepResults.map(stepResult => stepResult.actualResult === undefined ? stepResult : { ...stepResult, actualResult: aquaRichText.toAquaHtml(stepResult.actualResult, input.format) });
+        const execution = aquaTestExecutions.buildTestExecution({ id: itemId, name: details.Name, steps }, { ...input, stepResults });
+
+        const [created] = await aquaUtils.createTestExecutions(aquaUrl, auth, [execution]);
+        const executionId = created?.Id;
+
+        // The execution is recorded now, so failed uploads are reported along with its ID instead of failing the call.
+        const uploaded = [];
+        const failedAttachments = [];
+        for (const file of files) {
+            if (!executionId) {
+                failedAttachments.push({ fileName: file.fileName, error: 'AquaCloud returned no execution ID to attach it to.', errorCode: 'UPSTREAM' });
+                continue;
+            }
+            try {
+                await aquaUtils.uploadAttachmentToItem(aquaUrl, auth, executionId, file.buffer, file.fileName, 'TestExecution');
+                uploaded.push(file.fileName);
+            } catch (error) {
+                failedAttachments.push({ fileName: file.fileName, error: error.response ? `${error.message}: ${JSON.stringify(error.response.data)}` : error.message, errorCode: aquaUtils.getErrorCode(error) });
+            }
+        }
+
+        const result = { executionId: executionId ?? null, testCaseId: itemId, status: input.status, steps: execution.Steps.map(step => ({ index: step.Index, name: step.Name, status: step.Status })), attachments: uploaded, failedAttachments };
+        const summary = failedAttachments.length === 0
+            ? `Successfully recorded a '${input.status}' execution for ${itemType} ${itemId}.`
+            : `Recorded a '${input.status}' execution for ${itemType} ${itemId}, but ${failedAttachments.length} of ${files.length} attachment(s) could not be uploaded.`;
+        return toolResult(`${summary}\n${JSON.stringify(result, null, 2)}`, result);
+    }));
+
+    registerTool("aquacloud_get-test-executions", {
+        title: "Get the Execution History of a TestCase",
+        description: "Returns the execution history of a TestCase, oldest first, with a summary that shows how often the result switched between pass and fail (to spot flaky tests).",
+        inputSchema: {
+            testCaseId: z.string().optional().describe("The ID of the TestCase, with or without prefix (e.g., 'TC0123' or '123'). Defaults to the task ID from the session."),
+            limit: z.number().int().min(1).max(500).default(50).describe("The maximum number of most recent executions to return. Defaults to 50."),
+        },
+        outputSchema: {
+            executions: z.array(z.object({
+                id: idSchema,
+                executedAt: z.string().nullable(),
+                status: z.string().nullable(),
+                executedBy: z.string().nullable(),
+                testedVersion: z.string().nullable(),
+                failedSteps: z.array(z.number()),
+            })).describe("The most recent executions, oldest first."),
+            summary: z.object({
+                total: z.number().int(),
+                passed: z.number().int(),
+                failed: z.number().int(),
+                other: z.number().int(),
+                lastStatus: z.string().nullable(),
+                passFailSwitches: z.number().int(),
+                flaky: z.boolean(),
+            }).describe("Over the whole history, not just the returned executions."),
+        }
+    }, (input) => withAuth(async (auth, aquaUrl) => {
+        const rawItemId = input.testCaseId || sessionMemory.taskId;
+        if (!rawItemId) {
+            return toolError('VALIDATION', "No testCaseId provided and none found in session.");
+        }
+
+        const { itemId } = parseAquaItemId(rawItemId, 'TestCase');
+
+        const executions = (await aquaUtils.getTestExecutions(aquaUrl, auth, itemId)).map(aquaTestExecutions.normalizeTestExecution);
+        const history = aquaTestExecutions.summarizeTestExecutions(executions);
+        history.executions = history.executions.slice(-input.limit);
+        const { summary } = history;
+        return toolResult(`${summary.total} execution(s): ${summary.passed} passed, ${summary.failed} failed${summary.flaky ? '; the result is flaky' : ''}.\n${JSON.stringify(history, null, 2)}`, history);
+    }));
+    registerTool("aquacloud_report-defect", {
+        title: "Report a Defect for a Failed Test Step",
+        description: "Files a Defect for a failed step of a TestCase. Its description holds reproduction steps (the TestCase's steps up to the failing one), the expected and the actual result. Sets severity, priority, assignee and other fields, uploads evidence, relates the Defect to the TestCase, and can add a comment to the TestCase that points to the Defect. If any of that fails, the Defect is deleted again.",
+        inputSchema: {
+            testCaseId: z.string().optional().describe("The ID of the TestCase, with or without prefix (e.g., 'TC0123' or '123'). Defaults to the task ID from the session."),
+            failedStepIndex: z.number().int().min(1).describe("The 1-based position of the failing step (as returned by aquacloud_get-test-steps)."),
+            actualResult: z.string().describe("What actually happened at the failing step, in the given format."),
+            title: z.string().optional().describe("The title of the Defect. Defaults to the TestCase name and the failing step."),
+            notes: z.string().optional().describe("Further information, e.g. the environment, tested version or how often it happens, in the given format."),
+            severity: z.string().optional().describe("The severity, as shown in Aqua Cloud (e.g., 'Major')."),
+            priority: z.string().optional().describe("The priority, as shown in Aqua Cloud (e.g., 'High')."),
+            assignee: z.string().optional().describe("The user to assign the Defect to, by name or ID (e.g., 'Doe, Jane (jdoe)')."),
+            fields: fieldValuesSchema.optional().describe("Further fields of the Defect, keyed by field name or ID, as for aquacloud_update-item-fields."),
+            attachments: z.array(z.object(attachmentInputShape)).default([]).describe("Evidence (screenshots, logs) to attach to the Defect."),
+            relationType: relationTargetShape.relationType,
+            commentOnTestCase: z.boolean().default(false).describe("Whether to add a comment to the TestCase that points to the new Defect. Defaults to false."),
+            format: writeFormatSchema,
+        },
+        outputSchema: {
+            itemId: idSchema.describe("The numeric ID of the new Defect."),
+            id: z.string().describe("The prefixed ID of the new Defect (e.g., 'DF000123')."),
+            title: z.string(),
+            testCaseId: z.string(),
+            failedStepIndex: z.number().int(),
+            fields: z.array(z.object({ field: z.string(), value: z.string().nullable() })),
+            attachments: z.array(z.string()).describe("The file names of the uploaded attachments."),
+            relationType: z.string(),
+            commentAdded: z.boolean(),
+        }
+    }, (input) => withAuth(async (auth, aquaUrl) => {
+        const rawItemId = input.testCaseId || sessionMemory.taskId;
+        if (!rawItemId) {
+            return toolError('VALIDATION', "No testCaseId provided and none found in session.");
+        }
+
+        const { itemId, itemType } = parseAquaItemId(rawItemId, 'TestCase');
+        if (itemType !== 'TestCase') {
+            return toolError('VALIDATION', `The provided ID "${rawItemId}" does not appear to be a TestCase.`);
+        }
+
+        // Decode everything up front so a bad attachment doesn't leave a half-filed defect behind.
+        const files = input.attachments.map(attachment => ({ fileName: attachment.fileName, buffer: decodeAttachmentContent(attachment) }));
+
+        const details = await aquaUtils.getItemDetails(aquaUrl, auth, itemId, itemType);
+        const testCase = { id: aquaUtils.formatAquaItemId(itemId, itemType), name: details.Name };
+        const steps = aquaTestSteps.normalizeTestSteps(await aquaUtils.getTestSteps(aquaUrl, auth, itemId));
+        if (input.failedStepIndex > steps.length) {
+            return toolError('VALIDATION', `${testCase.id} has ${steps.length} test step(s), so there is no step ${input.failedStepIndex}.`);
+        }
+
+        const projectId = details.Location?.ProjectId || sessionMemory.aquaProjectId;
+        await assertWritable(auth, aquaUrl, 'Defect', projectId);
+        if (input.commentOnTestCase) {
+            await assertWritable(auth, aquaUrl, itemType, { itemId, itemType });
+        }
+
+        const fieldInput = { ...input.fields };
+        for (const [key, fieldName] of Object.entries(aquaDefects.DEFECT_FIELD_INPUTS)) {
+            if (input[key] !== undefined) fieldInput[fieldName] = input[key];
+        }
+        const { problems, changes, detailsPayload } = await resolveFieldValues(aquaUrl, auth, projectId, 'Defect', fieldInput);
+        if (problems.length > 0) {
+            return toolError('VALIDATION', `No defect was created.\n- ${problems.join('\n- ')}`);
+        }
+
+        const failedStep = steps[input.failedStepIndex - 1];
+        const title = input.title || aquaDefects.getDefaultDefectTitle(testCase, failedStep, input.failedStepIndex);
+        const description = aquaDefects.buildDefectDescription({
+            testCase,
+            steps,
+            failedStepIndex: input.failedStepIndex,
+            actualResult: aquaRichText.toAquaHtml(input.actualResult, input.format),
+            notes: input.notes ? aquaRichText.toAquaHtml(input.notes, input.format) : null,
+        });
+
+        const defect = await aquaUtils.createItem(aquaUrl, auth, { title, description, details: detailsPayload }, { projectId, itemType: 'Defect' });
+        recordUndo({ action: 'delete-items', items: [{ itemId: defect.Id, itemType: 'Defect' }] });
+        const defectId = aquaUtils.formatAquaItemId(defect.Id, 'Defect');
+
+        try {
+            for (const file of files) {
+                await aquaUtils.uploadAttachmentToItem(aquaUrl, auth, defect.Id, file.buffer, file.fileName, 'Defect');
+            }
+            await aquaUtils.createItemRelation(aquaUrl, auth, { itemId: defect.Id, itemType: 'Defect' }, { itemId, itemType }, input.relationType);
+            if (input.commentOnTestCase) {
+                await aquaUtils.addCommentToItem(aquaUrl, auth, itemId, aquaDefects.buildTestCaseComment({ id: defectId, title }, input.failedStepIndex), itemType);
+            }
+        } catch (error) {
+            // Like a failed batch (see aquaItemBatch.js), the half-filed defect is rolled back.
+            const message = error.response ? `${error.message}: ${JSON.stringify(error.response.data)}` : error.message;
+            let rolledBack = true;
+            try {
+                await aquaUtils.deleteItem(aquaUrl, auth, defect.Id, 'Defect');
+                recordUndo(null);
+            } catch (deleteError) {
+                rolledBack = false;
+                console.error(`[Aqua-MCP-Standalone] Failed to delete ${defectId} after reporting it failed:`, deleteError.message);
+            }
+            const rollback = rolledBack ? `${defectId} was deleted again.` : `Deleting ${defectId} failed as well, so it is still there, incomplete.`;
+            return toolError(aquaUtils.getErrorCode(error), `Reporting the defect failed: ${message} ${rollback}`, { itemId: defect.Id, id: defectId, rolledBack });
+        }
+
+        const result = {
+            itemId: defect.Id,
+            id: defectId,
+            title,
+            testCaseId: testCase.id,
+            failedStepIndex: input.failedStepIndex,
+            fields: changes.map(change => ({ field: change.field, value: change.newValue })),
+            attachments: files.map(file => file.fileName),
+            relationType: input.relationType,
+            commentAdded: input.commentOnTestCase,
+        };
+        return toolResult(`Successfully reported ${defectId} ("${title}") for step ${input.failedStepIndex} of ${testCase.id}.\n${JSON.stringify(result, null, 2)}`, result);
+    }));
+    registerTool("aquacloud_list-relations", {
+        title: "List Relations of an Aqua Cloud Item",
+        description: "Lists the items an Aqua Cloud work item is related to (e.g., the Requirements a TestCase covers, or the TestCase a Defect was found in).",
+        inputSchema: {
+            itemId: z.string().optional().describe("The ID of the item, with or without its prefix (e.g., 'TC0123' or '123'). Defaults to the task ID from the session."),
+            itemType: z.string().optional().describe("The type of the item (e.g., 'Requirement', 'Defect'). If omitted, the type will be inferred from the itemId prefix."),
+        },
+        outputSchema: {
+            ...itemRefShape,
+            relations: z.array(relationOutputSchema),
+        }
+    }, (input) => withAuth(async (auth, aquaUrl) => {
+        const rawItemId = input.itemId || sessionMemory.taskId;
+        if (!rawItemId) {
+            return toolError('VALIDATION', "No itemId provided and none found in session.");
+        }
+
+        const { itemId, itemType } = parseAquaItemId(rawItemId, input.itemType);
+
+        const relations = (await aquaUtils.getItemRelations(aquaUrl, auth, itemId, itemType)).map(summarizeRelation);
+        return toolResult(`${itemType} ${itemId} has ${relations.length} relation(s).\n${JSON.stringify(relations, null, 2)}`, { itemId, itemType, relations });
+    }));
+
+    registerTool("aquacloud_create-relation", {
+        title: "Relate Two Aqua Cloud Items",
+        description: "Creates a relation between two Aqua Cloud work items, e.g. a TestCase covering a Requirement or a Defect found by a TestCase.",
+        inputSchema: {
+            itemId: z.string().optional().describe("The ID of the source item, with or without its prefix (e.g., 'TC0123'). Defaults to the task ID from the session."),
+            itemType: z.string().optional().describe("The type of the source item. If omitted, the type will be inferred from the itemId prefix."),
+            ...relationTargetShape,
+        },
+        outputSchema: {
+            source: z.string().describe("The source item, with its prefix."),
+            target: z.string().describe("The related item, with its prefix."),
+            relationType: z.string(),
+            relationId: idSchema.nullable(),
+        }
+    }, (input) => withAuth(async (auth, aquaUrl) => {
+        const rawItemId = input.itemId || sessionMemory.taskId;
+        if (!rawItemId) {
+            return toolError('VALIDATION', "No itemId provided and none found in session.");
+        }
+
+        const source = parseAquaItemId(rawItemId, input.itemType);
+        const target = parseAquaItemId(input.targetItemId, input.targetItemType);
+        await assertWritable(auth, aquaUrl, source.itemType, source);
+
+        const result = await aquaUtils.createItemRelation(aquaUrl, auth, source, target, input.relationType);
+        const output = {
+            source: aquaUtils.formatAquaItemId(source.itemId, source.itemType),
+            target: aquaUtils.formatAquaItemId(target.itemId, target.itemType),
+            relationType: input.relationType,
+            relationId: result?.Id ?? null,
+        };
+        return toolResult(`Successfully related ${output.source} to ${output.target} (${input.relationType}). Response: ${JSON.stringify(result, null, 2)}`, output);
+    }));
+
+    registerTool("aquacloud_remove-relation", {
+        title: "Remove a Relation Between Aqua Cloud Items",
+        description: "Removes a relation of an Aqua Cloud work item, identified either by the related item or by the relation ID from aquacloud_list-relations.",
+        inputSchema: {
+            itemId: z.string().optional().describe("The ID of the source item, with or without its prefix (e.g., 'TC0123'). Defaults to the task ID from the session."),
+            itemType: z.string().optional().describe("The type of the source item. If omitted, the type will be inferred from the itemId prefix."),
+            targetItemId: z.string().optional().describe("The ID of the related item, with its prefix (e.g., 'RQ0123'). Removes every relation to that item."),
+            targetItemType: z.string().optional().describe("The type of the related item. If omitted, the type will be inferred from the targetItemId prefix."),
+            relationId: z.union([z.string(), z.number()]).optional().describe("The ID of a single relation to remove. Use either 'targetItemId' or 'relationId'."),
+        },
+        outputSchema: {
+            ...itemRefShape,
+            removed: z.array(relationOutputSchema),
+        }
+    }, (input) => withAuth(async (auth, aquaUrl) => {
+        const rawItemId = input.itemId || sessionMemory.taskId;
+        if (!rawItemId) {
+            return toolError('VALIDATION', "No itemId provided and none found in session.");
+        }
+        if (!input.targetItemId && input.relationId === undefined) {
+            return toolError('VALIDATION', "Provide either targetItemId or relationId.");
+        }
+
+        const { itemId, itemType } = parseAquaItemId(rawItemId, input.itemType);
+        await assertWritable(auth, aquaUrl, itemType, { itemId, itemType });
+
+        const relations = await aquaUtils.getItemRelations(aquaUrl, auth, itemId, itemType);
+        let toRemove;
+        if (input.relationId !== undefined) {
+            toRemove = relations.filter(relation => String(relation.Id) === String(input.relationId));
+        } else {
+            const target = parseAquaItemId(input.targetItemId, input.targetItemType);
+            toRemove = relations.filter(relation => String(relation.ItemId) === String(parseInt(target.itemId, 10)) && relation.ItemType === target.itemType);
+        }
+
+        if (toRemove.length === 0) {
+            return toolError('NOT_FOUND', `No matching relation found on ${itemType} ${itemId}.`);
+        }
+
+        for (const relation of toRemove) {
+            await aquaUtils.deleteItemRelation(aquaUrl, auth, itemId, itemType, relation.Id);
+        }
+        const removed = toRemove.map(summarizeRelation);
+        return toolResult(`Successfully removed ${removed.length} relation(s) from ${itemType} ${itemId}.\n${JSON.stringify(removed, null, 2)}`, { itemId, itemType, removed });
+    }));
+
+    registerTool("aquacloud_undo-last-change", {
+        title: "Undo the Last Change",
+        description: "Reverts the most recent change of this session that hasn't been undone yet, as recorded in the audit log. Supported are items created with aquacloud_create-item and defects filed with aquacloud_report-defect (they are deleted; a comment on the TestCase stays), test steps added with aquacloud_add-test-steps (they are removed) and statuses set with aquacloud_set-item-status (the previous status is restored); later changes of other tools are left as they are and listed. Call it again to undo the change before.",
+        inputSchema: {},
+        outputSchema: {
+            undoneEntryId: z.string().describe("The ID of the reverted audit log entry."),
+            tool: z.string(),
+            time: z.string(),
+            action: z.string(),
+            summary: z.string(),
+            skipped: z.array(z.string()).describe("Later changes that can't be undone automatically and were left as they are."),
+        },
+    }, () => withAuth(async (auth, aquaUrl) => {
+        if (!auditLog) {
+            return toolError('VALIDATION', "The audit log is turned off (AQUA_MCP_AUDIT_LOG=off), so changes can't be undone.");
+        }
+
+        // Entries are read newest first, so undo entries are seen before the changes they reverted.
+        const undone = new Set();
+        const skipped = [];
+        const entry = await auditLog.findLastEntry(candidate => {
+            if (candidate.sessionId !== sessionMemory.sessionId || undone.has(candidate.id)) return false;
+            if (candidate.undoes) {
+                undone.add(candidate.undoes);
+                return false;
+            }
+            if (!candidate.undo) {
+                skipped.push(`${candidate.tool} at ${candidate.time}`);
+                return false;
+            }
+            return true;
+        });
+        const skippedNote = skipped.length > 0 ? `\nThese later changes can't be undone automatically and were left as they are: ${skipped.join('; ')}.` : '';
+        if (!entry) {
+            return toolError('NOT_FOUND', `This session has no changes left that can be undone.${skippedNote}`);
+        }
+
+        const { undo } = entry;
+        let summary;
+        switch (undo.action) {
+            case 'delete-items': {
+                for (const item of [...undo.items].reverse()) {
+                    await assertWritable(auth, aquaUrl, item.itemType, item);
+                    try {
+                        await aquaUtils.deleteItem(aquaUrl, auth, item.itemId, item.itemType);
+                    } catch (error) {
+                        if (error.response?.status !== 404) throw error; // Already deleted
+                    }
+                }
+                summary = `Deleted ${undo.items.length} item(s) created by ${entry.tool}: ${undo.items.map(item => aquaUtils.formatAquaItemId(item.itemId, item.itemType)).join(', ')}.`;
+                break;
+            }
+            case 'delete-test-steps': {
+                await assertWritable(auth, aquaUrl, undo.itemType, undo);
+                const steps = aquaTestSteps.normalizeTestSteps(await aquaUtils.getTestSteps(aquaUrl, auth, undo.itemId));
+                const stepIds = undo.stepIds.filter(id => steps.some(step => step.id === id));
+                if (stepIds.length > 0) {
+                    await aquaUtils.updateLockedItem(aquaUrl, auth, undo.itemId, undo.itemType, { TestSteps: { Added: [], Modified: [], Deleted: stepIds } });
+                }
+                summary = `Removed ${stepIds.length} test step(s) added by ${entry.tool} from ${undo.itemType} ${undo.itemId}.`;
+                break;
+            }
+            case 'restore-status': {
+                const details = await aquaUtils.getItemDetails(aquaUrl, auth, undo.itemId, undo.itemType);
+                if (String(getItemStatusId(details)) !== String(undo.newStatus.id)) {
+                    const currentStatus = aquaUtils.formatFieldValue(aquaUtils.getItemFieldValue(details, 'Status'));
+                    return toolError('VALIDATION', `The status of ${undo.itemType} ${undo.itemId} was changed again since (it is now '${currentStatus}'), so it is not set back to '${undo.oldStatus.name}'.`);
+                }
+                await assertWritable(auth, aquaUrl, undo.itemType, details.Location?.ProjectId || sessionMemory.aquaProjectId);
+                await aquaUtils.updateItemStatus(aquaUrl, auth, undo.itemId, undo.oldStatus.id, undo.itemType);
+                summary = `Set the status of ${undo.itemType} ${undo.itemId} back from '${undo.newStatus.name}' to '${undo.oldStatus.name}'.`;
+                break;
+            }
+            default:
+                return toolError('VALIDATION', `Don't know how to undo '${undo.action}'.`);
+        }
+
+        toolCalls.getStore().undoes = entry.id;
+        const result = { undoneEntryId: entry.id, tool: entry.tool, time: entry.time, action: undo.action, summary, skipped };
+        return toolResult(`Successfully undid ${entry.tool} from ${entry.time}. ${summary}${skippedNote}`, result);
+    }));
+    registerTool("aquacloud_coverage-report", {
+        title: "Requirement Coverage Report",
+        description: "Builds a traceability matrix for the requirements below a Requirement (e.g., an epic) or in a project folder: related test cases with their latest result, related defects, and flagged gaps (NO_TEST_CASE, NEVER_EXECUTED, FAILING, OPEN_DEFECTS). Returns summary counts, a Markdown table and JSON.",
+        inputSchema: {
+            itemId: z.string().optional().describe("The ID of the root Requirement, with or without prefix (e.g., 'RQ0123'). Defaults to the task ID from the session unless folderId is given."),
+            folderId: z.number().int().optional().describe("Report on the requirements in this project folder instead of a requirement tree (0 is the project root)."),
+            projectId: z.union([z.string(), z.number()]).optional().describe("The project of the folder. Defaults to the session's active project."),
+            maxDepth: z.number().int().min(0).max(20).default(10).describe("How many levels below the root Requirement to include. Defaults to 10."),
+            maxRequirements: z.number().int().min(1).max(1000).default(200).describe("The maximum number of requirements to report on. Defaults to 200."),
+            closedStatuses: z.array(z.string()).optional().describe(`Defect statuses that count as resolved. Defaults to ${aquaCoverage.DEFAULT_CLOSED_STATUSES.join(', ')}.`),
+        },
+        outputSchema: {
+            summary: z.record(z.string(), z.number()).describe("Counts of requirements, test cases and defects, and of the gaps."),
+            rows: z.array(z.object({
+                requirement: z.object({ id: z.string(), name: z.string().nullable(), status: z.string().nullable() }),
+                testCases: z.array(z.record(z.string(), z.any())),
+                defects: z.array(z.record(z.string(), z.any())),
+                gaps: z.array(z.string()),
+            })),
+        }
+    }, (input) => withAuth(async (auth, aquaUrl) => {
+        let requirements = [];
+
+        if (input.folderId !== undefined) {
+            const projectId = input.projectId || sessionMemory.aquaProjectId;
+            if (!projectId) {
+                return toolError('VALIDATION', "No projectId provided and none found in the session.");
+            }
+            let cursor;
+            do {
+                const page = await aquaUtils.searchItemsPage(aquaUrl, auth, { projectId, itemType: 'Requirement', folderId: input.folderId }, {
+                    cursor,
+                    pageSize: Math.min(100, input.maxRequirements - requirements.length),
+                });
+                requirements.push(...page.items.map(item => ({
+                    itemId: item.Id,
+                    name: item.Name ?? aquaUtils.formatFieldValue(aquaUtils.getItemFieldValue(item, 'Name')),
+                    status: aquaUtils.formatFieldValue(item.Status ?? aquaUtils.getItemFieldValue(item, 'Status')),
+                })));
+                cursor = page.nextCursor;
+            } while (cursor && requirements.length < input.maxRequirements);
+        } else {
+            const rawItemId = input.itemId || sessionMemory.taskId;
+            if (!rawItemId) {
+                return toolError('VALIDATION', "No itemId or folderId provided and no task ID found in session.");
+            }
+            const { itemId, itemType } = parseAquaItemId(rawItemId, 'Requirement');
+
+            const pending = await loadHierarchy(aquaUrl, auth, itemId, itemType, input.maxDepth);
+            while (pending.length > 0 && requirements.length < input.maxRequirements) {
+                const node = pending.shift();
+                requirements.push({ itemId: node.itemId, name: node.name, status: node.status });
+                pending.push(...node.children);
+            }
+        }
+
+        const report = await aquaCoverage.buildCoverageReport(aquaUrl, auth, requirements, { closedStatuses: input.closedStatuses });
+        return toolResult(aquaCoverage.renderCoverageMarkdown(report), report, [{ type: "text", text: JSON.stringify(report) }]);
+    }));
+
+    // --- Resources: items, their test steps and attachments, and folders, for clients to attach as context ---
+
+    // Like withAuth for tools, but errors are thrown as MCP errors, as resources/read and prompts/get expect.
+    const readWithAuth = async (reader) => {
+        try {
+            return await getSessionAuthProvider(sessionMemory).withAuth(auth => reader(auth, sessionMemory.user.aquacloud_url));
+        } catch (error) {
+            if (error instanceof McpError) throw error;
+            const errorMessage = error.response ? JSON.stringify(error.response.data) : error.message;
+            console.error(`[Aqua-MCP-Standalone] Resource or prompt error:`, error.message);
+            throw new McpError(error.response?.status === 404 ? ErrorCode.InvalidParams : ErrorCode.InternalError, errorMessage);
+        }
+    };
+    const completeItemType = { itemType: (value) => aquaResources.ITEM_TYPES.filter(type => type.toLowerCase().startsWith((value || '').toLowerCase())) };
+
+    server.registerResource("aqua-folder", new ResourceTemplate(aquaResources.RESOURCE_TEMPLATES.folder, { list: undefined }), {
+        title: "Aqua Cloud Folder",
+        description: "The items directly in a folder of a project (folder 0 is the project root), with their resource URIs.",
+        mimeType: "application/json",
+    }, (uri, { projectId, folderId }) => readWithAuth(async (auth, aquaUrl) => {
+        const items = await listFolderItems(aquaUrl, auth, projectId, folderId);
+        return { contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify({ projectId, folderId, items }, null, 2) }] };
+    }));
+
+    server.registerResource("aqua-test-steps", new ResourceTemplate(aquaResources.RESOURCE_TEMPLATES.steps, { list: undefined, complete: completeItemType }), {
+        title: "Aqua Cloud Test Steps",
+        description: "The test steps of a TestCase, in Markdown.",
+        mimeType: "application/json",
+    }, (uri, variables) => readWithAuth(async (auth, aquaUrl) => {
+        const { itemId, itemType } = parseResourceItem(variables);
+        if (itemType.toLowerCase() !== 'testcase') {
+            throw new McpError(ErrorCode.InvalidParams, `Only TestCases have test steps, not ${itemType} items.`);
+        }
+        const steps = aquaTestSteps.normalizeTestSteps(await aquaUtils.getTestSteps(aquaUrl, auth, itemId));
+        return { contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify(formatTestSteps(steps, 'markdown', aquaUrl), null, 2) }] };
+    }));
+
+    server.registerResource("aqua-attachment", new ResourceTemplate(aquaResources.RESOURCE_TEMPLATES.attachment, { list: undefined, complete: completeItemType }), {
+        title: "Aqua Cloud Attachment",
+        description: `An attachment of an item. Text files are returned as text, everything else as a blob; files over ${MAX_ATTACHMENT_BYTES} bytes can't be read.`,
+    }, (uri, variables) => readWithAuth(async (auth, aquaUrl) => {
+        const { itemId, itemType } = parseResourceItem(variables);
+        const attachments = await aquaUtils.getItemAttachments(aquaUrl, auth, itemId, itemType);
+        const attachment = attachments.find(a => String(a.Id) === String(variables.attachmentId));
+        if (!attachment) {
+            throw new McpError(ErrorCode.InvalidParams, `Attachment ${variables.attachmentId} not found on ${itemType} ${itemId}.`);
+        }
+
+        const { id, name, size, mimeType } = summarizeAttachment(attachment);
+        if (size && size > MAX_ATTACHMENT_BYTES) {
+            throw new McpError(ErrorCode.InvalidParams, `Attachment '${name}' is ${size} bytes, which exceeds the limit of ${MAX_ATTACHMENT_BYTES} bytes.`);
+        }
+        let data;
+        try {
+            data = Buffer.from(await aquaUtils.downloadAttachment(attachment.Url || aquaUtils.getAttachmentUrl(aquaUrl, id), auth, MAX_ATTACHMENT_BYTES));
+        } catch (error) {
+            if (error.errorCode !== 'VALIDATION' || error.response) throw error; // Only the size limit fails without a response
+            throw new McpError(ErrorCode.InvalidParams, `Attachment '${name}' exceeds the limit of ${MAX_ATTACHMENT_BYTES} bytes.`);
+        }
+        return {
+            contents: [isTextMimeType(mimeType) || mimeType === 'image/svg+xml'
+                ? { uri: uri.href, mimeType, text: data.toString('utf8') }
+                : { uri: uri.href, mimeType, blob: data.toString('base64') }],
+        };
+    }));
+
+    // The session's task is listed, so clients can offer it without knowing the template.
+    const listTaskItem = async () => {
+        if (!sessionMemory.taskId) return { resources: [] };
+        let task;
+        try {
+            task = parseAquaItemId(sessionMemory.taskId);
+        } catch (error) {
+            return { resources: [] }; // A task ID without a prefix doesn't say what type it is
+        }
+        return {
+            resources: [{
+                uri: aquaResources.getItemUri(task.itemType, task.itemId),
+                name: aquaUtils.formatAquaItemId(task.itemId, task.itemType),
+                description: "The current task of this session.",
+            }],
+        };
+    };
+
+    server.registerResource("aqua-item", new ResourceTemplate(aquaResources.RESOURCE_TEMPLATES.item, { list: listTaskItem, complete: completeItemType }), {
+        title: "Aqua Cloud Item",
+        description: "An item (e.g., a Requirement, TestCase or Defect) with its status and description, in Markdown. The ID can be given with or without its prefix.",
+        mimeType: "text/markdown",
+    }, (uri, variables) => readWithAuth(async (auth, aquaUrl) => {
+        const { itemId, itemType } = parseResourceItem(variables);
+        const details = await aquaUtils.getItemDetails(aquaUrl, auth, itemId, itemType);
+        const status = aquaUtils.formatFieldValue(aquaUtils.getItemFieldValue(details, 'Status'));
+        const text = [
+            `# ${aquaUtils.formatAquaItemId(itemId, itemType)}: ${details.Name}`,
+            status ? `Status: ${status}` : null,
+            aquaRichText.htmlToMarkdown(details.Description?.Html || '', { aquaUrl }),
+        ].filter(Boolean).join('\n\n');
+        return { contents: [{ uri: uri.href, mimeType: "text/markdown", text }] };
+    }));
+
+    server.server.registerCapabilities({ resources: { subscribe: true } });
+    server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+        if (!aquaResources.parseResourceUri(request.params.uri)) {
+            throw new McpError(ErrorCode.InvalidParams, `Resource ${request.params.uri} not found`);
+        }
+        await subscriptions.subscribe(request.params.uri);
+        return {};
+    });
+    server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+        subscriptions.unsubscribe(request.params.uri);
+        return {};
+    });
+
+    // --- Prompts: common QA workflows, pre-filled with the item they are about ---
+
+    for (const prompt of aquaPrompts.QA_PROMPTS) {
+        // A prompt that tells the model to call tools the session doesn't have would only fail.
+        if (!prompt.tools.every(tool => aquaPolicy.isToolAllowed(policy, tool, WRITE_TOOLS.includes(tool)))) continue;
+
+        server.registerPrompt(prompt.name, {
+            title: prompt.title,
+            description: prompt.description,
+            argsSchema: {
+                itemId: z.string().optional().describe(`The ID of the ${prompt.itemType}, with or without its prefix. Defaults to the task ID from the session.`),
+                focus: z.string().optional().describe("Anything to pay special attention to."),
+            },
+        }, ({ itemId: rawItemId, focus }) => readWithAuth(async (auth, aquaUrl) => {
+            const rawId = rawItemId || sessionMemory.taskId;
+            if (!rawId) {
+                throw new McpError(ErrorCode.InvalidParams, "No itemId provided and none found in session.");
+            }
+            // A prefix says what the item is; an ID without one is taken to be of the prompt's type.
+            const { itemId, itemType } = /^[a-z]{2}\d+$/i.test(rawId) ? parseResourceItem({ id: rawId }) : parseResourceItem({ id: rawId, itemType: prompt.itemType });
+            if (itemType !== prompt.itemType) {
+                throw new McpError(ErrorCode.InvalidParams, `The prompt ${prompt.name} works on ${prompt.itemType} items, but ${rawId} is a ${itemType}.`);
+            }
+
+            const item = await loadPromptItem(aquaUrl, auth, itemId, itemType, prompt.include);
+            return {
+                description: `${prompt.title}: ${item.id}`,
+                messages: [{ role: "user", content: { type: "text", text: aquaPrompts.buildPromptText(prompt, item, focus) } }],
+            };
+        }));
+    }
+
+    return server;
+}
+
+/**
+ * Checks that a transport can be marked as initialized (see connectSession). The SDK has no API
+ * for that, so its private _initialized flag is set; the SDK version is pinned in package.json,
+ * and this fails loudly should a version without the flag be installed.
+ * @param {StreamableHTTPServerTransport} transport - A transport that has not been initialized.
+ * @throws {Error} if the transport has no _initialized flag.
+ */
+function assertTransportCanBeRehydrated(transport) {
+    if (transport._initialized !== false) {
+        throw new Error('StreamableHTTPServerTransport has no _initialized flag, so sessions cannot be restored. This @modelcontextprotocol/sdk version is not supported; install the version pinned in package.json.');
+    }
+}
+
+/**
+ * Creates the McpServer and transport for a session whose data is in sessionMemoryStore.
+ * @param {string} sessionId
+ * @param {object} [options]
+ * @param {boolean} [options.rehydrate=false] - True for a session that was initialized earlier (e.g., before a
+ *   restart or on another instance). The new transport is then marked as already initialized.
+ * @returns {Promise<StreamableHTTPServerTransport>}
+ */
+async function connectSession(sessionId, { rehydrate = false } = {}) {
+    const server = createMcpServer(sessionMemoryStore[sessionId]);
+
+    const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => sessionId,
+        onsessioninitialized: (id) => { sessionTransports[id] = transport; },
+    });
+
+    // server.close() closes the transport again, which calls onclose again; only clean up once.
+    let closed = false;
+    transport.onclose = () => {
+        if (transport.sessionId && !closed) {
+            closed = true;
+            console.log(`[Aqua-MCP-Standalone] Session closed: ${transport.sessionId}`);
+            delete sessionTransports[transport.sessionId];
+            delete sessionMemoryStore[transport.sessionId];
+            delete sessionRecordTimes[transport.sessionId];
+            sessionStore.delete(transport.sessionId).catch(error => console.error('[Aqua-MCP-Standalone] Failed to delete session:', error.message));
+            server.close();
+        }
+    };
+
+    await server.connect(transport);
+
+    if (rehydrate) {
+        // The SDK only accepts requests on a transport that saw the initialize request;
+        // that happened in an earlier life of this session.
+        assertTransportCanBeRehydrated(transport);
+        transport.sessionId = sessionId;
+        transport._initialized = true;
+        sessionTransports[sessionId] = transport;
+    }
+    return transport;
+}
+
+/**
+ * Finds the transport of a known session, rebuilding it from the session store if this process
+ * doesn't have it (after a restart, or when another instance created the session).
+ * @param {string} sessionId
+ * @returns {Promise<StreamableHTTPServerTransport|null>} The transport, or null if the session is unknown or expired.
+ */
+async function getSessionTransport(sessionId) {
+    const record = await sessionStore.getRecord(sessionId);
+    if (!record) {
+        if (sessionTransports[sessionId]) await sessionTransports[sessionId].close();
+        return null;
     }
 
-    // --- Add Task ID to session on subsequent requests ---
-    if (req.headers['x-task-id']) {
-         if (sessionMemoryStore[sessionId] && sessionMemoryStore[sessionId].taskId !== req.headers['x-task-id']) {
-             console.log(`[Aqua-MCP-Standalone] Updating Task ID for session ${sessionId}: ${req.headers['x-task-id']}`);
-             sessionMemoryStore[sessionId].taskId = req.headers['x-task-id'];
+    if (sessionTransports[sessionId]) {
+        // Pick up changes made by other instances, keeping the object the McpServer holds. A record
+        // this process saved or loaded itself is older than the live session, which may have changes
+        // that a running request hasn't saved yet.
+        if (record.lastAccessedAt > (sessionRecordTimes[sessionId] || 0)) {
+            Object.assign(sessionMemoryStore[sessionId], record.data);
+            sessionRecordTimes[sessionId] = record.lastAccessedAt;
         }
+        return sessionTransports[sessionId];
+    }
+
+    if (!rehydratingSessions[sessionId]) {
+        console.log(`[Aqua-MCP-Standalone] Rehydrating session: ${sessionId}`);
+        sessionMemoryStore[sessionId] = record.data;
+        sessionRecordTimes[sessionId] = record.lastAccessedAt;
+        rehydratingSessions[sessionId] = connectSession(sessionId, { rehydrate: true })
+            .finally(() => { delete rehydratingSessions[sessionId]; });
     }
-    // --- End modification ---
+    return rehydratingSessions[sessionId];
+}
+
+/**
+ * Writes a live session back to the session store, which also resets its idle timer.
+ * Sessions that were closed in the meantime are not written back.
+ * @param {string} sessionId
+ */
+async function persistSession(sessionId) {
+    if (sessionTransports[sessionId] && sessionMemoryStore[sessionId]) {
+        sessionRecordTimes[sessionId] = await sessionStore.save(sessionId, sessionMemoryStore[sessionId]);
+    }
+}
+
+/**
+ * Updates the session's task ID from the x-task-id header, if it changed.
+ * @param {string} sessionId
+ * @param {object} req - The Express request.
+ */
+function updateSessionTaskId(sessionId, req) {
+    const taskId = req.headers['x-task-id'];
+    if (taskId && sessionMemoryStore[sessionId] && sessionMemoryStore[sessionId].taskId !== taskId) {
+        console.log(`[Aqua-MCP-Standalone] Updating Task ID for session ${sessionId}: ${taskId}`);
+        sessionMemoryStore[sessionId].taskId = taskId;
+        const server = sessionServers.get(sessionMemoryStore[sessionId]);
+        if (server) server.sendResourceListChanged(); // The task is a listed resource
+    }
+}
+
+// Handle POST requests for client-to-server communication.
+app.post('/mcp', async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    let transport;
+
+    if (sessionId) {
+        transport = await getSessionTransport(sessionId);
+        if (!transport) {
+            return res.status(404).json({ error: { message: 'Session not found or expired. Please send a new initialize request.' } });
+        }
+        if (!isRequestAuthorizedForSession(sessionMemoryStore[sessionId], req)) {
+            return res.status(403).json({ error: { message: 'Forbidden: This session belongs to a different API key.' } });
+        }
+    } else if (isInitializeRequest(req.body)) {
+        console.log("[Aqua-MCP-Standalone] Received initialize request. Checking credentials...");
+        const taskId = req.headers['x-task-id']; // Capture the task ID from headers
+
+        let credentials;
+        try {
+            credentials = await resolveSessionCredentials(req);
+        } catch (error) {
+            console.error('[Aqua-MCP-Standalone] Failed to resolve credentials:', error.message);
+            return res.status(500).json({ error: { message: 'Server error while checking credentials.' } });
+        }
+        if (credentials.error) {
+            console.warn(`[Aqua-MCP-Standalone] Initialize request failed: ${credentials.error}`);
+            return res.status(401).json({ error: { message: credentials.error } });
+        }
+
+        // A session can restrict its tools further with an x-aqua-policy header, but never widen them.
+        let policy;
+        try {
+            policy = aquaPolicy.mergePolicies(DEFAULT_POLICY, credentials.policy, aquaPolicy.parsePolicy(req.headers['x-aqua-policy'], 'the x-aqua-policy header'));
+        } catch (error) {
+            console.warn(`[Aqua-MCP-Standalone] Initialize request failed: ${error.message}`);
+            return res.status(400).json({ error: { message: error.message } });
+        }
+
+        try {
+            console.log(`[Aqua-MCP-Standalone] Context Task ID: ${taskId || 'N/A'}`); // Log the task ID
+
+            const newSessionId = randomUUID();
+
+            sessionMemoryStore[newSessionId] = {
+                sessionId: newSessionId,
+                user: credentials.user,
+                aquaProjectId: credentials.projectId, // From the header or the credential profile
+                taskId: taskId || null, // Store the task ID in session memory
+                apiKeyHash: credentials.apiKeyHash, // Later requests must present the same API key
+                policy, // Tool policy (see aquaPolicy.js)
+            };
+            sessionRecordTimes[newSessionId] = await sessionStore.save(newSessionId, sessionMemoryStore[newSessionId]);
+            console.log(`[Aqua-MCP-Standalone] New session initialized: ${newSessionId}`);
+
+            transport = await connectSession(newSessionId);
+        } catch (error) {
+            console.error('[Aqua-MCP-Standalone] Initialization error:', error);
+            return res.status(500).json({ error: { message: 'Server error during initialization.' } });
+        }
+    } else {
+        return res.status(400).json({ error: { message: 'Bad Request: A valid mcp-session-id header is required for non-initialize requests.' } });
+    }
+
+    // Capture task ID changes on subsequent requests.
+    if (transport.sessionId) {
+        updateSessionTaskId(transport.sessionId, req);
+    }
+
+    // Tools may change the session (tokens, active project), so write it back once the
+    // response is done. handleRequest can return before a streamed response has finished.
+    res.on('close', () => {
+        if (transport.sessionId) {
+            persistSession(transport.sessionId).catch(error => console.error('[Aqua-MCP-Standalone] Failed to save session:', error.message));
+        }
+    });
+
+    await transport.handleRequest(req, res, req.body);
+});
+
+const handleSessionRequest = async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    if (!sessionId) {
+        return res.status(400).send('Invalid or missing mcp-session-id header');
+    }
+
+    const transport = await getSessionTransport(sessionId);
+    if (!transport) {
+        return res.status(404).send('Session not found or expired');
+    }
+    if (!isRequestAuthorizedForSession(sessionMemoryStore[sessionId], req)) {
+        return res.status(403).send('Forbidden: This session belongs to a different API key');
+    }
+
+    updateSessionTaskId(sessionId, req);
+    await persistSession(sessionId);
 
-    const transport = sessionTransports[sessionId];
     await transport.handleRequest(req, res);
 };
 
 app.get('/mcp', handleSessionRequest);
 app.delete('/mcp', handleSessionRequest);
 
-const server = app.listen(PORT, () => {
-    console.log(`🚀 Aqua Cloud MCP Standalone Server running on http://localhost:${PORT}/mcp`);
-});
+/**
+ * Starts the MCP server over Streamable HTTP at /mcp.
+ * @param {object} [options]
+ * @param {number} [options.port=PORT]
+ * @param {string} [options.host=BIND_ADDRESS] - The address to bind to. Defaults to all interfaces.
+ * @returns {import('http').Server}
+ */
+function startHttpServer({ port = PORT, host = BIND_ADDRESS } = {}) {
+    // Sessions outlive the process, so an SDK that can't restore them must not start serving.
+    assertTransportCanBeRehydrated(new StreamableHTTPServerTransport({ sessionIdGenerator: undefined }));
+    if (ALLOW_HEADER_CREDENTIALS && !process.env.AQUA_MCP_MASTER_KEY) {
+        throw new Error('AQUA_MCP_ALLOW_HEADER_CREDENTIALS needs AQUA_MCP_MASTER_KEY, as the passwords from x-aqua-password headers are kept in session data, encrypted.');
+    }
+
+    sessionStore = aquaSessionStore.createSessionStore({
+        driver: SESSION_STORE === 'file'
+            ? aquaSessionStore.createFileSessionDriver({ directory: SESSION_DIR })
+            : aquaSessionStore.createMemorySessionDriver(),
+        idleTimeoutMs: SESSION_IDLE_TIMEOUT_MS,
+        absoluteTtlMs: SESSION_TTL_MS,
+        onExpire: (sessionId) => {
+            if (sessionTransports[sessionId]) sessionTransports[sessionId].close();
+        },
+    });
 
-server.timeout = 600000; // 10 minutes
+    const server = app.listen(port, host, () => {
+        console.log(`🚀 Aqua Cloud MCP Standalone Server running on http://${host || 'localhost'}:${port}/mcp`);
+    });
+
+    server.timeout = 600000; // 10 minutes
+    return server;
+}
+
+/**
+ * Starts the MCP server over stdio for a single user, for clients that launch servers as subprocesses.
+ * Everything the server logs must go to stderr, as stdout carries the protocol.
+ * @param {object} options
+ * @param {object} options.user - The AquaCloud user, as stored in session data (aquacloud_url, aquacloud_username, and aquacloud_password or profile).
+ * @param {string} options.projectId - The Aqua project to work in.
+ * @param {string} [options.taskId] - The task ID tools default to.
+ * @param {object} [options.policy] - A tool policy (see aquaPolicy.js), combined with AQUA_MCP_POLICY.
+ * @returns {Promise<McpServer>}
+ */
+async function startStdioServer({ user, projectId, taskId = null, policy = null }) {
+    const sessionMemory = {
+        sessionId: `stdio-${randomUUID()}`,
+        user,
+        aquaProjectId: String(projectId),
+        taskId,
+        policy: aquaPolicy.mergePolicies(DEFAULT_POLICY, policy),
+    };
+    const server = createMcpServer(sessionMemory);
+    await server.connect(new StdioServerTransport());
+    console.error(`[Aqua-MCP-Standalone] Aqua Cloud MCP server running on stdio for ${user.profile ? `profile ${user.profile}` : user.aquacloud_url}, project ${projectId}.`);
+    return server;
+}
+
+module.exports = {
+    createMcpServer,
+    startHttpServer,
+    startStdioServer,
+};
+
+// Legacy entry point: `node aquacloud.js` serves HTTP. Use aquaCli.js to choose the transport.
+if (require.main === module) {
+    startHttpServer();
+}
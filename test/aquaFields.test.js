@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const aquaFields = require('../aquaFields.js');
+
+const USERS = [{ Id: 100, Name: 'User, Demo (demo)' }, { Id: 101, Name: 'Tester, Tina (tina)' }];
+
+/**
+ * Normalizes a single field definition.
+ * @param {object} definition
+ * @returns {object}
+ */
+const normalize = (definition) => aquaFields.findField(aquaFields.normalizeFieldDefinitions([definition]), definition.FieldId);
+
+test('field types map onto kinds, multi-value before single-value', () => {
+    const kinds = {
+        User: 'user',
+        MultiUser: 'multiUser',
+        UserMultiSelect: 'multiUser',
+        MultiSelectDictionary: 'multiList',
+        Dictionary: 'list',
+        Boolean: 'boolean',
+        DateTime: 'date',
+        Decimal: 'number',
+        Text: 'text',
+    };
+    for (const [type, kind] of Object.entries(kinds)) {
+        assert.equal(normalize({ FieldId: 'Field', FieldType: type }).kind, kind, type);
+    }
+});
+
+test('a multi-user field takes several users, by name or login', () => {
+    const field = normalize({ FieldId: 'Reviewers', FieldType: 'MultiUser', Entries: USERS });
+    assert.equal(aquaFields.needsEntries(field), true);
+    assert.deepEqual(aquaFields.coerceFieldValue(field, ['demo', 'Tester, Tina (tina)']), { value: [100, 101], display: 'User, Demo (demo), Tester, Tina (tina)' });
+    assert.deepEqual(aquaFields.coerceFieldValue(field, 'tina'), { value: [101], display: 'Tester, Tina (tina)' });
+});
+
+test('a single-user field takes one user', () => {
+    const field = normalize({ FieldId: 'Assignee', FieldType: 'User', Entries: USERS });
+    assert.deepEqual(aquaFields.coerceFieldValue(field, 'demo'), { value: 100, display: 'User, Demo (demo)' });
+    assert.throws(() => aquaFields.coerceFieldValue(field, ['demo', 'tina']), /takes a single value/);
+});
@@ -0,0 +1,179 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const aquaUtils = require('../aquaUtils.js');
+const aquaItemBatch = require('../aquaItemBatch.js');
+const aquaIdempotency = require('../aquaIdempotency.js');
+const aquaSessionStore = require('../aquaSessionStore.js');
+
+const SCOPE = 'test-scope';
+
+/**
+ * Replaces the AquaCloud calls of aquaItemBatch with an in-memory fake for one test.
+ * @param {object} t - The test context.
+ * @param {object} [options]
+ * @param {Array<string>} [options.failing] - Titles whose creation fails.
+ * @param {Array<string>} [options.unlinked] - Titles that are created, but whose creation then fails (error.createdItem).
+ * @param {number} [options.delayMs=0] - How long creating an item takes.
+ * @returns {{items: Map<number, object>, deleted: Array<number>}}
+ */
+function fakeAquaCloud(t, { failing = [], unlinked = [], delayMs = 0 } = {}) {
+    const items = new Map();
+    const deleted = [];
+    let nextId = 100;
+    t.mock.method(aquaUtils, 'createItem', async (aquaUrl, auth, task, { parentRequirementId }) => {
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+        if (failing.includes(task.title)) throw new Error(`Could not create "${task.title}"`);
+        const item = { Id: nextId++, Name: task.title, ParentId: parentRequirementId ?? null };
+        items.set(item.Id, item);
+        if (unlinked.includes(task.title)) {
+            throw Object.assign(new Error(`Could not link "${task.title}" to its parent`), { createdItem: item });
+        }
+        return item;
+    });
+    t.mock.method(aquaUtils, 'getItemDetails', async (aquaUrl, auth, itemId) => {
+        if (!items.has(itemId)) throw Object.assign(new Error('Not found'), { response: { status: 404, data: null } });
+        return items.get(itemId);
+    });
+    t.mock.method(aquaUtils, 'deleteItem', async (aquaUrl, auth, itemId) => {
+        items.delete(itemId);
+        deleted.push(itemId);
+    });
+    return { items, deleted };
+}
+
+/**
+ * Creates a batch of Requirements in project 1.
+ * @param {Array<object>} tasks
+ * @param {object} [options] - Further options of createItemBatch.
+ * @returns {Promise<object>}
+ */
+function createBatch(tasks, options = {}) {
+    return aquaItemBatch.createItemBatch('https://aqua.example', {}, aquaItemBatch.flattenTasks(tasks), {
+        itemType: 'Requirement',
+        parentRequirementId: null,
+        projectId: 1,
+        idempotencyScope: SCOPE,
+        ...options,
+    });
+}
+
+const memoryStore = () => aquaIdempotency.createIdempotencyStore({ driver: aquaSessionStore.createMemorySessionDriver(), ttlMs: 60000 });
+
+test('rollback deletes children before their parents and forgets their keys', async (t) => {
+    const { items, deleted } = fakeAquaCloud(t, { failing: ['Refunds'] });
+    const idempotencyStore = memoryStore();
+    const batch = await createBatch([
+        { title: 'Checkout', idempotencyKey: 'checkout', children: [{ title: 'Pay by card', idempotencyKey: 'card' }] },
+        { title: 'Refunds' },
+        { title: 'Invoices' },
+    ], { idempotencyStore });
+
+    assert.equal(batch.rolledBack, true);
+    assert.deepEqual(batch.results.map(result => result.status), ['rolled back', 'rolled back', 'failed', 'skipped']);
+    assert.deepEqual(deleted, [101, 100]);
+    assert.equal(items.size, 0);
+    assert.equal(await idempotencyStore.get(SCOPE, 'checkout'), null);
+    assert.equal(await idempotencyStore.get(SCOPE, 'card'), null);
+});
+
+test('rollback also deletes an item whose creation failed after it was created', async (t) => {
+    const { items, deleted } = fakeAquaCloud(t, { unlinked: ['Pay by card'] });
+    const idempotencyStore = memoryStore();
+    const batch = await createBatch([
+        { title: 'Checkout', children: [{ title: 'Pay by card', idempotencyKey: 'card' }] },
+    ], { idempotencyStore });
+
+    assert.deepEqual(batch.results.map(result => [result.status, result.itemId]), [['rolled back', 100], ['failed', 101]]);
+    assert.match(batch.results[1].error, /Could not link/);
+    assert.deepEqual(deleted, [101, 100]);
+    assert.equal(items.size, 0);
+    assert.equal(await idempotencyStore.get(SCOPE, 'card'), null);
+});
+
+test('rollback keeps items that an earlier call created', async (t) => {
+    const { items, deleted } = fakeAquaCloud(t, { failing: ['Refunds'] });
+    const idempotencyStore = memoryStore();
+    const first = await createBatch([{ title: 'Checkout', idempotencyKey: 'checkout' }], { idempotencyStore });
+    assert.equal(first.results[0].status, 'created');
+
+    const retry = await createBatch([{ title: 'Checkout', idempotencyKey: 'checkout' }, { title: 'Refunds' }], { idempotencyStore });
+    assert.deepEqual(retry.results.map(result => result.status), ['existing', 'failed']);
+    assert.deepEqual(deleted, []);
+    assert.ok(items.has(100));
+    assert.deepEqual(await idempotencyStore.get(SCOPE, 'checkout'), { itemId: 100 });
+});
+
+test('report mode keeps the created items and skips the children of failed tasks', async (t) => {
+    const { deleted } = fakeAquaCloud(t, { failing: ['Checkout'] });
+    const batch = await createBatch([
+        { title: 'Checkout', children: [{ title: 'Pay by card' }] },
+        { title: 'Refunds' },
+    ], { onError: 'report' });
+
+    assert.equal(batch.rolledBack, false);
+    assert.deepEqual(batch.results.map(result => result.status), ['failed', 'skipped', 'created']);
+    assert.deepEqual(deleted, []);
+});
+
+test('a key whose item was deleted creates the item again', async (t) => {
+    const { items } = fakeAquaCloud(t);
+    const idempotencyStore = memoryStore();
+    await createBatch([{ title: 'Checkout', idempotencyKey: 'checkout' }], { idempotencyStore });
+    items.delete(100);
+
+    const retry = await createBatch([{ title: 'Checkout', idempotencyKey: 'checkout' }], { idempotencyStore });
+    assert.deepEqual([retry.results[0].status, retry.results[0].itemId], ['created', 101]);
+    assert.deepEqual(await idempotencyStore.get(SCOPE, 'checkout'), { itemId: 101 });
+});
+
+test('a failed creation frees its key for a retry', async (t) => {
+    const idempotencyStore = memoryStore();
+    await t.test('first attempt', async (t) => {
+        fakeAquaCloud(t, { failing: ['Checkout'] });
+        const batch = await createBatch([{ title: 'Checkout', idempotencyKey: 'checkout' }], { idempotencyStore });
+        assert.equal(batch.results[0].status, 'failed');
+    });
+    await t.test('retry', async (t) => {
+        fakeAquaCloud(t);
+        const batch = await createBatch([{ title: 'Checkout', idempotencyKey: 'checkout' }], { idempotencyStore });
+        assert.equal(batch.results[0].status, 'created');
+    });
+});
+
+for (const [driverName, createDriver] of [
+    ['memory', async () => aquaSessionStore.createMemorySessionDriver()],
+    ['file', async (t) => {
+        const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'aqua-idempotency-'));
+        t.after(() => fs.rm(directory, { recursive: true, force: true }));
+        return aquaSessionStore.createFileSessionDriver({ directory, encrypted: false });
+    }],
+]) {
+    test(`concurrent calls with the same key create one item (${driverName} driver)`, async (t) => {
+        const { items } = fakeAquaCloud(t, { delayMs: 20 });
+        const idempotencyStore = aquaIdempotency.createIdempotencyStore({ driver: await createDriver(t), ttlMs: 60000 });
+        const tasks = [{ title: 'Checkout', idempotencyKey: 'checkout' }];
+
+        const batches = await Promise.all([createBatch(tasks, { idempotencyStore }), createBatch(tasks, { idempotencyStore })]);
+        const results = batches.map(batch => batch.results[0]);
+        assert.equal(aquaUtils.createItem.mock.callCount(), 1);
+        assert.equal(items.size, 1);
+        assert.deepEqual(results.map(result => result.status).sort(), ['created', 'failed']);
+        const loser = results.find(result => result.status === 'failed');
+        assert.equal(loser.errorCode, 'LOCKED');
+        assert.match(loser.error, /Another call is creating the item/);
+
+        const retry = await createBatch(tasks, { idempotencyStore });
+        assert.deepEqual([retry.results[0].status, retry.results[0].itemId], ['existing', 100]);
+    });
+}
+
+test('a reservation whose call never finished expires', async () => {
+    const idempotencyStore = aquaIdempotency.createIdempotencyStore({ driver: aquaSessionStore.createMemorySessionDriver(), ttlMs: 60000, pendingTtlMs: 10 });
+    assert.deepEqual(await idempotencyStore.reserve(SCOPE, 'checkout'), { reserved: true });
+    assert.deepEqual(await idempotencyStore.reserve(SCOPE, 'checkout'), { reserved: false, pending: true, value: null });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.deepEqual(await idempotencyStore.reserve(SCOPE, 'checkout'), { reserved: true });
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const aquaQuery = require('../aquaQuery.js');
+
+test('buildFilter JSON-encodes values, so quotes cannot change the filter', () => {
+    const filter = aquaQuery.buildFilter({ field: 'Name', operator: '=', value: 'a"],["Status","=","Done' });
+    assert.deepEqual(JSON.parse(filter), [['Name', '=', 'a"],["Status","=","Done']]);
+});
+
+test('buildFilter spells != as <> and joins groups with and/or', () => {
+    const filter = aquaQuery.buildFilter({
+        and: [
+            { field: 'Status', operator: '!=', value: 'Done' },
+            { or: [{ field: 'Priority', operator: '=', value: 'High' }, { field: 'Name', operator: 'contains', value: 'pay' }] },
+        ],
+    });
+    assert.deepEqual(JSON.parse(filter), [['Status', '<>', 'Done'], 'and', [['Priority', '=', 'High'], 'or', ['Name', 'contains', 'pay']]]);
+});
+
+test('buildFilter rejects unknown operators and empty groups', () => {
+    assert.throws(() => aquaQuery.buildFilter({ field: 'Name', operator: 'like', value: 'x' }), /unsupported operator "like"/);
+    assert.throws(() => aquaQuery.buildFilter({ and: [] }), /must not be empty/);
+});
+
+test('a cursor is rejected for another query', () => {
+    const query = { projectId: 1, itemType: 'Requirement' };
+    const cursor = aquaQuery.encodeCursor(query, { after: ['Checkout', 1], offset: 0 });
+    assert.deepEqual(aquaQuery.decodeCursor(query, cursor), { after: ['Checkout', 1], offset: 0 });
+    assert.throws(() => aquaQuery.decodeCursor({ ...query, itemType: 'Defect' }, cursor), /does not belong to this search/);
+    assert.throws(() => aquaQuery.decodeCursor(query, 'not a cursor'), /Invalid cursor/);
+});
+
+test('getPageSortKeys adds Id as a tie-breaker once', () => {
+    assert.deepEqual(aquaQuery.getPageSortKeys([{ field: 'Name' }]), [{ field: 'Name', direction: 'asc' }, { field: 'Id', direction: 'asc' }]);
+    assert.deepEqual(aquaQuery.getPageSortKeys([{ field: 'Id', direction: 'desc' }]), [{ field: 'Id', direction: 'desc' }]);
+});
+
+test('buildAfterFilter compares every key after equal earlier keys', () => {
+    const keys = [{ field: 'Status', direction: 'asc' }, { field: 'Priority', direction: 'desc' }, { field: 'Id', direction: 'asc' }];
+    assert.deepEqual(aquaQuery.buildAfterFilter(keys, ['Open', 'High', 7]), {
+        or: [
+            { and: [{ field: 'Status', operator: '>', value: 'Open' }] },
+            { and: [{ field: 'Status', operator: '=', value: 'Open' }, { or: [{ field: 'Priority', operator: '<', value: 'High' }, { field: 'Priority', operator: '=', value: null }] }] },
+            { and: [{ field: 'Status', operator: '=', value: 'Open' }, { field: 'Priority', operator: '=', value: 'High' }, { field: 'Id', operator: '>', value: 7 }] },
+        ],
+    });
+});
+
+test('buildAfterFilter puts non-empty values after an empty ascending key', () => {
+    const keys = [{ field: 'Priority', direction: 'asc' }, { field: 'Id', direction: 'asc' }];
+    assert.deepEqual(aquaQuery.buildAfterFilter(keys, [null, 3]), {
+        or: [
+            { and: [{ field: 'Priority', operator: '!=', value: null }] },
+            { and: [{ field: 'Priority', operator: '=', value: null }, { field: 'Id', operator: '>', value: 3 }] },
+        ],
+    });
+});
+
+test('buildAfterFilter has nothing after an empty descending key but its ties', () => {
+    const keys = [{ field: 'Priority', direction: 'desc' }, { field: 'Id', direction: 'asc' }];
+    assert.deepEqual(aquaQuery.buildAfterFilter(keys, [null, 3]), {
+        or: [{ and: [{ field: 'Priority', operator: '=', value: null }, { field: 'Id', operator: '>', value: 3 }] }],
+    });
+});
+
+test('getNextPosition pages by keyset even when a sort value is empty', () => {
+    const keys = aquaQuery.getPageSortKeys([{ field: 'Priority' }]);
+    const page = [{ Id: 2, Details: [{ FieldId: 'Priority', Value: { Text: 'High' } }] }, { Id: 5, Details: [] }];
+    assert.deepEqual(aquaQuery.getNextPosition(keys, { after: null, offset: 0 }, page), { after: [null, 5], offset: 0 });
+});
+
+test('getNextPosition falls back to an offset without an Id', () => {
+    const keys = aquaQuery.getPageSortKeys([{ field: 'Name' }]);
+    assert.deepEqual(aquaQuery.getNextPosition(keys, { after: ['A', 1], offset: 2 }, [{ Name: 'B' }, { Name: 'C' }]), { after: ['A', 1], offset: 4 });
+});
@@ -0,0 +1,56 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const aquaRecordReplay = require('../aquaRecordReplay.js');
+const aquaStandIn = require('../aquaStandIn.js');
+const aquaUtils = require('../aquaUtils.js');
+
+// The demo user created the stand-in's seed items.
+const DEMO_USER = { username: 'demo', password: 'demo', displayName: 'User, Demo (demo)' };
+const USER = { username: 'recorder', password: 'Secret-Pass-42', displayName: 'Recorder, Rita (recorder)' };
+const previousSettings = { ...aquaRecordReplay.settings };
+let standIn;
+let aquaUrl;
+let directory;
+
+before(async () => {
+    standIn = aquaStandIn.startStandInServer({ port: 0, users: [DEMO_USER, USER] });
+    await once(standIn, 'listening');
+    aquaUrl = `http://127.0.0.1:${standIn.address().port}`;
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'aqua-fixtures-'));
+});
+
+after(async () => {
+    aquaRecordReplay.configure(previousSettings);
+    if (standIn.listening) standIn.close();
+    await fs.rm(directory, { recursive: true, force: true });
+});
+
+test('recorded fixtures contain no passwords or tokens, and replay without the server', async () => {
+    aquaRecordReplay.configure({ mode: 'record', directory });
+    const tokens = await aquaUtils.login(aquaUrl, USER.username, USER.password);
+    const auth = { type: 'bearer', token: tokens.access_token };
+    const projects = await aquaUtils.getProjects(aquaUrl, auth);
+    assert.ok(projects.length > 0);
+
+    const files = await fs.readdir(directory);
+    assert.equal(files.length, 2);
+    const recorded = (await Promise.all(files.map(file => fs.readFile(path.join(directory, file), 'utf8')))).join('\n');
+    for (const secret of [USER.password, tokens.access_token, tokens.refresh_token]) {
+        assert.ok(!recorded.includes(secret), `The fixtures contain ${secret}`);
+    }
+    const tokenFixture = JSON.parse(await fs.readFile(path.join(directory, files.find(file => file.startsWith('POST_token_'))), 'utf8'));
+    assert.equal(new URLSearchParams(tokenFixture.request.body).get('password'), '[REDACTED]');
+    assert.equal(tokenFixture.responses[0].data.access_token, '[REDACTED]');
+    assert.equal(tokenFixture.responses[0].data.refresh_token, '[REDACTED]');
+
+    // Replayed responses are matched on the redacted request, so another password and token still get them.
+    standIn.close();
+    aquaRecordReplay.configure({ mode: 'replay', directory });
+    const replayedTokens = await aquaUtils.login(aquaUrl, USER.username, 'another password');
+    assert.equal(replayedTokens.access_token, '[REDACTED]');
+    assert.deepEqual(await aquaUtils.getProjects(aquaUrl, { type: 'bearer', token: replayedTokens.access_token }), projects);
+});
@@ -0,0 +1,121 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const aquaResilience = require('../aquaResilience.js');
+
+const defaults = { ...aquaResilience.settings };
+afterEach(() => aquaResilience.configure(defaults));
+
+const METHODS = ['GET', 'HEAD', 'OPTIONS', 'DELETE', 'POST', 'PUT', 'PATCH'];
+const IDEMPOTENT = ['GET', 'HEAD', 'OPTIONS', 'DELETE'];
+
+/**
+ * Tells whether getRetryDelay retries a first failed attempt.
+ * @param {object} failure - status or errorCode, and optionally retryAfter.
+ * @param {string} method
+ * @returns {boolean}
+ */
+const retries = (failure, method) => aquaResilience.getRetryDelay({ method, attempt: 0, replayable: true, ...failure }) !== null;
+
+test('429 is retried for every method', () => {
+    for (const method of METHODS) {
+        assert.equal(retries({ status: 429 }, method), true, method);
+    }
+});
+
+test('5xx is only retried for idempotent methods', () => {
+    for (const status of [502, 503, 504]) {
+        for (const method of METHODS) {
+            assert.equal(retries({ status }, method), IDEMPOTENT.includes(method), `${method} ${status}`);
+        }
+    }
+    for (const method of METHODS) {
+        assert.equal(retries({ status: 500 }, method), false, `${method} 500`); // May have been processed halfway
+        assert.equal(retries({ status: 400 }, method), false, `${method} 400`);
+    }
+});
+
+test('network errors after sending are only retried for idempotent methods', () => {
+    for (const errorCode of ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED']) {
+        for (const method of METHODS) {
+            assert.equal(retries({ errorCode }, method), IDEMPOTENT.includes(method), `${method} ${errorCode}`);
+        }
+    }
+});
+
+test('requests that never reached AquaCloud are retried for every method', () => {
+    for (const errorCode of ['ECONNREFUSED', 'ENOTFOUND']) {
+        for (const method of METHODS) {
+            assert.equal(retries({ errorCode }, method), true, `${method} ${errorCode}`);
+        }
+    }
+});
+
+test('no retries once maxRetries is reached, or if the body cannot be sent again', () => {
+    aquaResilience.configure({ maxRetries: 2 });
+    assert.notEqual(aquaResilience.getRetryDelay({ method: 'GET', attempt: 1, replayable: true, status: 503 }), null);
+    assert.equal(aquaResilience.getRetryDelay({ method: 'GET', attempt: 2, replayable: true, status: 503 }), null);
+    assert.equal(aquaResilience.getRetryDelay({ method: 'POST', attempt: 0, replayable: false, status: 429 }), null);
+});
+
+test('Retry-After is waited for, unless it is longer than maxRetryAfterMs', () => {
+    aquaResilience.configure({ maxRetryAfterMs: 5000 });
+    const delay = (retryAfter) => aquaResilience.getRetryDelay({ method: 'POST', attempt: 0, replayable: true, status: 429, retryAfter });
+    assert.equal(delay('5'), 5000);
+    assert.equal(delay('6'), null);
+    assert.equal(delay(new Date(Date.now() + 60000).toUTCString()), null);
+    assert.ok(delay(new Date(Date.now() + 3000).toUTCString()) <= 3000);
+});
+
+test('without Retry-After, the backoff grows per attempt up to maxDelayMs', () => {
+    aquaResilience.configure({ baseDelayMs: 100, maxDelayMs: 300, maxRetries: 10 });
+    for (const [attempt, ceiling] of [[0, 100], [1, 200], [2, 300], [5, 300]]) {
+        for (let i = 0; i < 20; i++) {
+            const delay = aquaResilience.getRetryDelay({ method: 'GET', attempt, replayable: true, status: 503 });
+            assert.ok(delay >= 0 && delay <= ceiling, `attempt ${attempt}: ${delay}`);
+        }
+    }
+});
+
+test('the circuit opens after breakerThreshold failures and closes on success', () => {
+    aquaResilience.configure({ breakerThreshold: 2, breakerCooldownMs: 60000 });
+    const host = 'threshold.example';
+    aquaResilience.recordFailure(host);
+    aquaResilience.assertCircuitClosed(host);
+    aquaResilience.recordFailure(host);
+    assert.throws(() => aquaResilience.assertCircuitClosed(host), { code: 'AQUA_CIRCUIT_OPEN' });
+
+    aquaResilience.recordSuccess(host);
+    aquaResilience.assertCircuitClosed(host);
+});
+
+test('a failed half-open probe opens the circuit again', async () => {
+    aquaResilience.configure({ breakerThreshold: 1, breakerCooldownMs: 30 });
+    const host = 'probe.example';
+    aquaResilience.recordFailure(host);
+    assert.throws(() => aquaResilience.assertCircuitClosed(host), { code: 'AQUA_CIRCUIT_OPEN' });
+
+    await aquaResilience.sleep(40);
+    aquaResilience.assertCircuitClosed(host); // The probe
+    assert.throws(() => aquaResilience.assertCircuitClosed(host), { code: 'AQUA_CIRCUIT_OPEN' }); // Only one probe at a time
+
+    aquaResilience.recordFailure(host);
+    assert.throws(() => aquaResilience.assertCircuitClosed(host), { code: 'AQUA_CIRCUIT_OPEN' });
+    await aquaResilience.sleep(40);
+    aquaResilience.assertCircuitClosed(host); // The next probe, after another cooldown
+    aquaResilience.recordSuccess(host);
+    aquaResilience.assertCircuitClosed(host);
+});
+
+test('withHostSlot runs at most maxConcurrency calls per host at once', async () => {
+    aquaResilience.configure({ maxConcurrency: 2 });
+    let running = 0;
+    let peak = 0;
+    const call = () => aquaResilience.withHostSlot('slots.example', async () => {
+        running++;
+        peak = Math.max(peak, running);
+        await aquaResilience.sleep(5);
+        running--;
+    });
+    await Promise.all([call(), call(), call(), call(), call()]);
+    assert.equal(peak, 2);
+});
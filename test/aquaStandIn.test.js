@@ -0,0 +1,93 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+
+process.env.AQUA_MCP_AUDIT_LOG = 'off'; // Read when aquacloud.js is loaded
+const aquacloud = require('../aquacloud.js');
+const aquaStandIn = require('../aquaStandIn.js');
+
+// The tools run against the stand-in, through aquaUtils.callApi and a real login.
+let standIn;
+let server;
+let client;
+
+before(async () => {
+    standIn = aquaStandIn.startStandInServer({ port: 0 });
+    await once(standIn, 'listening');
+    server = aquacloud.createMcpServer({
+        sessionId: 'test-session',
+        user: { aquacloud_url: `http://127.0.0.1:${standIn.address().port}`, aquacloud_username: 'demo', aquacloud_password: 'demo' },
+        aquaProjectId: '1',
+        taskId: null,
+    });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await server.connect(serverTransport);
+    client = new Client({ name: 'stand-in-test', version: '1.0.0' });
+    await client.connect(clientTransport);
+});
+
+after(async () => {
+    await client.close();
+    await server.close();
+    standIn.close();
+});
+
+/**
+ * Calls a tool and fails the test if it returns an error.
+ * @param {string} name
+ * @param {object} args
+ * @returns {Promise<object>} The structured content of the result.
+ */
+async function callTool(name, args) {
+    const result = await client.callTool({ name, arguments: args });
+    assert.ok(!result.isError, `${name} failed: ${result.content[0]?.text}`);
+    return result.structuredContent;
+}
+
+test('create-item creates an item that can be read back', async () => {
+    const created = await callTool('aquacloud_create-item', {
+        tasks: [{ title: 'Gift cards', description: 'Pay with a gift card.' }],
+    });
+    assert.equal(created.ok, true);
+    assert.equal(created.results[0].status, 'created');
+
+    const details = await callTool('aquacloud_get-item-details', { itemId: created.results[0].id, format: 'text' });
+    assert.equal(details.title, 'Gift cards');
+    assert.equal(details.description, 'Pay with a gift card.');
+});
+
+test('update-test-steps changes and inserts steps of a TestCase', async () => {
+    const updated = await callTool('aquacloud_update-test-steps', {
+        itemId: 'TC4',
+        format: 'text',
+        operations: [
+            { action: 'modify', index: 1, name: 'Open the shop' },
+            { action: 'insert', position: 1, name: 'Log in', instructions: 'Log in as demo.', expectedResult: 'The start page is shown.' },
+        ],
+    });
+    assert.equal(updated.added, 1);
+    assert.equal(updated.modified, 3); // The three existing steps moved down, and the first was renamed
+    assert.deepEqual(updated.steps.slice(0, 2).map(step => step.name), ['Log in', 'Open the shop']);
+
+    const { steps } = await callTool('aquacloud_get-test-steps', { testCaseId: 'TC4', format: 'text' });
+    assert.deepEqual(steps.map(step => step.name), updated.steps.map(step => step.name));
+});
+
+test('search-items pages through every item exactly once', async () => {
+    const query = { itemType: 'Requirement', sort: [{ field: 'Name', direction: 'asc' }] };
+    const all = await callTool('aquacloud_search-items', { ...query, pageSize: 500 });
+    assert.ok(all.items.length > 2);
+    assert.equal(all.nextCursor, null);
+
+    const paged = [];
+    let cursor;
+    do {
+        const page = await callTool('aquacloud_search-items', { ...query, pageSize: 2, cursor });
+        assert.ok(page.items.length <= 2);
+        paged.push(...page.items);
+        cursor = page.nextCursor ?? undefined;
+    } while (cursor);
+    assert.deepEqual(paged.map(item => item.Id), all.items.map(item => item.Id));
+});